@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const accountId = getSingleQueryValue(req.query?.accountId).trim()
+
+  if (!accountId) {
+    res.status(400).json({ error: 'Parametro accountId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/accounts/${encodeURIComponent(accountId)}`)
+}
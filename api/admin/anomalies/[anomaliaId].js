@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const anomaliaId = getSingleQueryValue(req.query?.anomaliaId).trim()
+
+  if (!anomaliaId) {
+    res.status(400).json({ error: 'Parametro anomaliaId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/anomalies/${encodeURIComponent(anomaliaId)}`)
+}
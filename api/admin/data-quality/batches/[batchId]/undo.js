@@ -0,0 +1,16 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const batchId = getSingleQueryValue(req.query?.batchId).trim()
+
+  if (!batchId) {
+    res.status(400).json({ error: 'Parametro batchId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(
+    req,
+    res,
+    `/admin/data-quality/batches/${encodeURIComponent(batchId)}/undo`
+  )
+}
@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const distritoId = getSingleQueryValue(req.query?.distritoId).trim()
+
+  if (!distritoId) {
+    res.status(400).json({ error: 'Parametro distritoId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/distritos/${encodeURIComponent(distritoId)}/geofence`)
+}
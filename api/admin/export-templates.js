@@ -0,0 +1,5 @@
+import { runAdminAppAtPath } from '../_appAdapter.js'
+
+export default function handler(req, res) {
+  return runAdminAppAtPath(req, res, '/admin/export-templates')
+}
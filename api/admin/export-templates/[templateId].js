@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const templateId = getSingleQueryValue(req.query?.templateId).trim()
+
+  if (!templateId) {
+    res.status(400).json({ error: 'Parametro templateId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/export-templates/${encodeURIComponent(templateId)}`)
+}
@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const jobId = getSingleQueryValue(req.query?.jobId).trim()
+
+  if (!jobId) {
+    res.status(400).json({ error: 'Parametro jobId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/exports/${encodeURIComponent(jobId)}/download`)
+}
@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const goalId = getSingleQueryValue(req.query?.goalId).trim()
+
+  if (!goalId) {
+    res.status(400).json({ error: 'Parametro goalId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/goals/${encodeURIComponent(goalId)}`)
+}
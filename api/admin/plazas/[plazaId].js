@@ -0,0 +1,12 @@
+import { getSingleQueryValue, runAdminAppAtPath } from '../../_appAdapter.js'
+
+export default function handler(req, res) {
+  const plazaId = getSingleQueryValue(req.query?.plazaId).trim()
+
+  if (!plazaId) {
+    res.status(400).json({ error: 'Parametro plazaId requerido.' })
+    return
+  }
+
+  return runAdminAppAtPath(req, res, `/admin/plazas/${encodeURIComponent(plazaId)}`)
+}
@@ -0,0 +1,299 @@
+import { maskPiiValue } from '../shared/activacionesPii.js'
+
+export const ANOMALIA_ESTADOS = Object.freeze(['pendiente', 'confirmada', 'descartada'])
+
+// Peso de cada patron en el puntaje (0-100) de una activacion.
+export const ANOMALIA_TIPOS = Object.freeze({
+  ci_repetido: { peso: 40 },
+  telefono_repetido: { peso: 30 },
+  coordenadas_repetidas: { peso: 25 },
+  foto_repetida: { peso: 50 },
+})
+
+export const ANOMALIA_COLUMNS =
+  'id, activacion_id, puntaje, motivos, estado, nota, created_at, updated_at, revisada_at, ' +
+  'revisada_por'
+export const ANOMALIAS_SCAN_COLUMNS =
+  'id, created_at, ci_cliente, telefono_cliente, latitud, longitud, foto_url'
+export const ANOMALIA_NOTA_MAX_LENGTH = 500
+
+// Mismo punto = coordenadas redondeadas a 4 decimales (unos 11 m). Se marcan las rachas de al
+// menos 3 activaciones en ese punto separadas por no mas de 30 minutos entre una y la siguiente.
+const COORDENADAS_DECIMALES = 4
+const COORDENADAS_MINUTOS = 30
+const COORDENADAS_MINIMO = 3
+// Ids relacionados que se guardan por motivo; `total` conserva el tamano real del grupo.
+const RELACIONADAS_MAX = 20
+// Activaciones extra (sobre el minimo del patron) que suman 5 puntos cada una, hasta duplicar
+// el peso del patron.
+const PUNTOS_POR_EXTRA = 5
+
+const GRUPOS_POR_VALOR = ['ci_repetido', 'telefono_repetido', 'foto_repetida']
+
+// Valores de relleno como 0000000 no identifican a nadie.
+function esRelleno(digits) {
+  return /^(\d)\1*$/.test(digits)
+}
+
+// Numero del CI sin extension ni complemento (1234567 LP, 1234567-1A -> 1234567).
+function claveCi(value) {
+  const [numero] = String(value ?? '').match(/\d{5,}/) ?? []
+  return numero && !esRelleno(numero) ? numero : ''
+}
+
+// Telefono sin espacios ni prefijo de pais.
+function claveTelefono(value) {
+  let digits = String(value ?? '').replace(/\D/g, '')
+  if (digits.length > 8 && digits.startsWith('591')) {
+    digits = digits.slice(3)
+  }
+  return digits.length >= 7 && !esRelleno(digits) ? digits : ''
+}
+
+function clavePunto(row) {
+  const lat = Number(row?.latitud)
+  const lon = Number(row?.longitud)
+  if (
+    row?.latitud === null ||
+    row?.longitud === null ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lon) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lon) > 180 ||
+    (lat === 0 && lon === 0)
+  ) {
+    return ''
+  }
+  return `${lat.toFixed(COORDENADAS_DECIMALES)}, ${lon.toFixed(COORDENADAS_DECIMALES)}`
+}
+
+export function createAnomaliasScan() {
+  return {
+    revisadas: 0,
+    // tipo -> Map(clave -> ids)
+    grupos: Object.fromEntries(GRUPOS_POR_VALOR.map((tipo) => [tipo, new Map()])),
+    // clave de punto -> [{ id, tiempo }]
+    puntos: new Map(),
+  }
+}
+
+function agregarAGrupo(grupo, clave, id) {
+  if (!clave) {
+    return
+  }
+  const ids = grupo.get(clave) ?? []
+  ids.push(id)
+  grupo.set(clave, ids)
+}
+
+// `huellas`: Map(activacion_id -> sha256). Sin huella, la foto se agrupa por su URL.
+export function addRowsToAnomaliasScan(scan, rows, { huellas = new Map() } = {}) {
+  for (const row of rows ?? []) {
+    if (!row?.id) {
+      continue
+    }
+
+    scan.revisadas += 1
+    agregarAGrupo(scan.grupos.ci_repetido, claveCi(row.ci_cliente), row.id)
+    agregarAGrupo(scan.grupos.telefono_repetido, claveTelefono(row.telefono_cliente), row.id)
+
+    const fotoUrl = typeof row.foto_url === 'string' ? row.foto_url.trim() : ''
+    if (fotoUrl) {
+      const huella = huellas.get(row.id)
+      const clave = huella ? `sha256:${huella}` : `url:${fotoUrl}`
+      agregarAGrupo(scan.grupos.foto_repetida, clave, row.id)
+    }
+
+    const punto = clavePunto(row)
+    const tiempo = Date.parse(row.created_at)
+    if (punto && Number.isFinite(tiempo)) {
+      const items = scan.puntos.get(punto) ?? []
+      items.push({ id: row.id, tiempo })
+      scan.puntos.set(punto, items)
+    }
+  }
+}
+
+function valorMotivo(tipo, clave) {
+  if (tipo === 'ci_repetido') {
+    return maskPiiValue('ci_cliente', clave)
+  }
+  if (tipo === 'telefono_repetido') {
+    return maskPiiValue('telefono_cliente', clave)
+  }
+  if (tipo === 'coordenadas_repetidas') {
+    return clave
+  }
+  return null
+}
+
+function puntajeMotivo(tipo, total, minimo) {
+  const { peso } = ANOMALIA_TIPOS[tipo]
+  return Math.min(peso * 2, peso + PUNTOS_POR_EXTRA * (total - minimo))
+}
+
+// Rachas de activaciones en el mismo punto con menos de `COORDENADAS_MINUTOS` entre cada una.
+function rachasEnPunto(items) {
+  const ordenados = [...items].sort((a, b) => a.tiempo - b.tiempo)
+  const rachas = []
+  let actual = []
+
+  for (const item of ordenados) {
+    const previo = actual[actual.length - 1]
+    if (previo && item.tiempo - previo.tiempo > COORDENADAS_MINUTOS * 60 * 1000) {
+      rachas.push(actual)
+      actual = []
+    }
+    actual.push(item)
+  }
+  rachas.push(actual)
+
+  return rachas
+    .filter((racha) => racha.length >= COORDENADAS_MINIMO)
+    .map((racha) => racha.map((item) => item.id))
+}
+
+// Activaciones sospechosas `[{ activacion_id, puntaje, motivos }]`, de mayor a menor puntaje.
+// Cada motivo es `{ tipo, puntaje, valor, total, relacionadas }`: `valor` es el CI o telefono
+// enmascarado o el punto, `total` el tamano del grupo y `relacionadas` otras activaciones de el.
+export function buildAnomalias(scan) {
+  const motivosPorActivacion = new Map()
+
+  function agregarMotivos(tipo, clave, ids, minimo) {
+    const puntaje = puntajeMotivo(tipo, ids.length, minimo)
+    const valor = valorMotivo(tipo, clave)
+
+    for (const id of ids) {
+      const motivos = motivosPorActivacion.get(id) ?? []
+      motivos.push({
+        tipo,
+        puntaje,
+        valor,
+        total: ids.length,
+        relacionadas: ids.filter((otro) => otro !== id).slice(0, RELACIONADAS_MAX),
+      })
+      motivosPorActivacion.set(id, motivos)
+    }
+  }
+
+  for (const tipo of GRUPOS_POR_VALOR) {
+    for (const [clave, ids] of scan.grupos[tipo]) {
+      if (ids.length >= 2) {
+        agregarMotivos(tipo, clave.replace(/^(sha256|url):/, ''), ids, 2)
+      }
+    }
+  }
+
+  for (const [clave, items] of scan.puntos) {
+    for (const ids of rachasEnPunto(items)) {
+      agregarMotivos('coordenadas_repetidas', clave, ids, COORDENADAS_MINIMO)
+    }
+  }
+
+  return [...motivosPorActivacion]
+    .map(([activacionId, motivos]) => ({
+      activacion_id: activacionId,
+      puntaje: Math.min(100, motivos.reduce((total, motivo) => total + motivo.puntaje, 0)),
+      motivos,
+    }))
+    .sort((a, b) => b.puntaje - a.puntaje)
+}
+
+// jsonb no conserva el orden de las claves: se comparan los valores de cada motivo.
+function firmaMotivos(motivos) {
+  return (motivos ?? [])
+    .map((motivo) => {
+      const { tipo, puntaje, valor, total, relacionadas } = motivo
+      return [tipo, puntaje, valor, total, (relacionadas ?? []).join(',')].join('|')
+    })
+    .join(';')
+}
+
+// Compara lo detectado con la cola guardada y devuelve las filas a guardar (completas, para un
+// upsert por `activacion_id`) y los ids a borrar:
+// - Las pendientes que ya no se detectan se borran; las revisadas quedan como historial.
+// - Una descartada vuelve a pendiente si aparece un tipo de motivo que no tenia.
+export function planAnomaliasSync(detectadas, existentes, ahora = new Date().toISOString()) {
+  const porActivacion = new Map(existentes.map((row) => [row.activacion_id, row]))
+  const detectadasIds = new Set()
+  const guardar = []
+  const resumen = { nuevas: 0, actualizadas: 0, reabiertas: 0, resueltas: 0 }
+
+  for (const anomalia of detectadas) {
+    detectadasIds.add(anomalia.activacion_id)
+    const previa = porActivacion.get(anomalia.activacion_id)
+
+    if (!previa) {
+      resumen.nuevas += 1
+      guardar.push({
+        activacion_id: anomalia.activacion_id,
+        puntaje: anomalia.puntaje,
+        motivos: anomalia.motivos,
+        estado: 'pendiente',
+        nota: null,
+        revisada_at: null,
+        revisada_por: null,
+        updated_at: ahora,
+      })
+      continue
+    }
+
+    const sinCambios =
+      previa.puntaje === anomalia.puntaje &&
+      firmaMotivos(previa.motivos) === firmaMotivos(anomalia.motivos)
+    if (sinCambios) {
+      continue
+    }
+
+    const tiposPrevios = new Set((previa.motivos ?? []).map((motivo) => motivo.tipo))
+    const reabrir =
+      previa.estado === 'descartada' &&
+      anomalia.motivos.some((motivo) => !tiposPrevios.has(motivo.tipo))
+
+    resumen.actualizadas += 1
+    if (reabrir) {
+      resumen.reabiertas += 1
+    }
+    guardar.push({
+      activacion_id: anomalia.activacion_id,
+      puntaje: anomalia.puntaje,
+      motivos: anomalia.motivos,
+      estado: reabrir ? 'pendiente' : previa.estado,
+      nota: previa.nota ?? null,
+      revisada_at: reabrir ? null : (previa.revisada_at ?? null),
+      revisada_por: reabrir ? null : (previa.revisada_por ?? null),
+      updated_at: ahora,
+    })
+  }
+
+  const eliminar = existentes
+    .filter((row) => row.estado === 'pendiente' && !detectadasIds.has(row.activacion_id))
+    .map((row) => row.id)
+  resumen.resueltas = eliminar.length
+
+  return { guardar, eliminar, resumen }
+}
+
+// Valida la revision de un supervisor: `estado` y `nota` opcional (sin `nota` se conserva la
+// anterior; vacia la borra).
+export function normalizeAnomaliaRevision(raw = {}) {
+  const estado = typeof raw.estado === 'string' ? raw.estado.trim() : ''
+  if (!ANOMALIA_ESTADOS.includes(estado)) {
+    return { errors: ['estado debe ser pendiente, confirmada o descartada.'] }
+  }
+
+  if (raw.nota !== undefined && raw.nota !== null && typeof raw.nota !== 'string') {
+    return { errors: ['nota debe ser texto.'] }
+  }
+
+  const nota = typeof raw.nota === 'string' ? raw.nota.trim() : ''
+  if (nota.length > ANOMALIA_NOTA_MAX_LENGTH) {
+    return { errors: [`nota admite hasta ${ANOMALIA_NOTA_MAX_LENGTH} caracteres.`] }
+  }
+
+  const revision = { estado }
+  if (raw.nota !== undefined) {
+    revision.nota = nota || null
+  }
+  return { revision, errors: [] }
+}
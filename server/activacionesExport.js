@@ -0,0 +1,137 @@
+import ExcelJS from 'exceljs'
+import { buildCsvHeaderLine, buildCsvLine } from '../shared/activacionesExport.js'
+
+export const EXPORT_PHOTO_CONCURRENCY = 4
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+const CSV_MIME_TYPE = 'text/csv; charset=utf-8'
+const PHOTO_ROW_HEIGHT = 52
+
+export function getExportFileInfo(format) {
+  return format === 'xlsx'
+    ? { extension: 'xlsx', contentType: XLSX_MIME_TYPE }
+    : { extension: 'csv', contentType: CSV_MIME_TYPE }
+}
+
+export function buildActivacionesCsv(rows, columnas) {
+  const lines = [buildCsvHeaderLine(columnas)]
+
+  for (const [index, row] of rows.entries()) {
+    lines.push(buildCsvLine(columnas, row, index))
+  }
+
+  return Buffer.from(`\uFEFF${lines.join('\n')}`, 'utf8')
+}
+
+function getImageExtension(contentType) {
+  const lower = String(contentType ?? '').toLowerCase()
+
+  if (lower.includes('png')) return 'png'
+  if (lower.includes('jpeg') || lower.includes('jpg')) return 'jpeg'
+
+  return null
+}
+
+function styleHeaderRow(worksheet) {
+  worksheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } }
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF101E2E' },
+    }
+    cell.alignment = { vertical: 'middle', horizontal: 'left' }
+    cell.border = {
+      top: { style: 'thin', color: { argb: 'FF1E3B58' } },
+      left: { style: 'thin', color: { argb: 'FF1E3B58' } },
+      bottom: { style: 'thin', color: { argb: 'FF1E3B58' } },
+      right: { style: 'thin', color: { argb: 'FF1E3B58' } },
+    }
+  })
+}
+
+// Ejecuta `task` sobre cada item con un maximo de `concurrency` en paralelo.
+export async function forEachWithConcurrency(items, concurrency, task) {
+  let nextIndex = 0
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const currentIndex = nextIndex
+      nextIndex += 1
+      await task(items[currentIndex], currentIndex)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+}
+
+// Genera el XLSX; `loadPhoto(row)` devuelve `{ buffer, contentType }` o null si no hay foto.
+export async function buildActivacionesXlsx(
+  rows,
+  columnas,
+  { loadPhoto = null, onPhotoProgress = () => {}, photoConcurrency = EXPORT_PHOTO_CONCURRENCY } = {}
+) {
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet('Activaciones', {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  })
+
+  worksheet.columns = columnas.map((columna) => ({
+    header: columna.header,
+    key: columna.key,
+    width: columna.width,
+  }))
+  styleHeaderRow(worksheet)
+
+  for (const [index, row] of rows.entries()) {
+    worksheet.addRow(
+      Object.fromEntries(columnas.map((columna) => [columna.key, columna.value(row, index)]))
+    )
+  }
+
+  const fotoColumna = columnas.find((columna) => columna.photo)
+  const summary = { photos_embedded: 0, photos_failed: 0 }
+
+  if (!loadPhoto || !fotoColumna) {
+    return { buffer: Buffer.from(await workbook.xlsx.writeBuffer()), ...summary }
+  }
+
+  const fotoColumnIndex = worksheet.getColumn(fotoColumna.key).number
+  const rowsConFoto = rows
+    .map((row, index) => ({ row, rowNumber: index + 2 }))
+    .filter((item) => item.row.foto_url)
+  let processed = 0
+
+  await forEachWithConcurrency(rowsConFoto, photoConcurrency, async ({ row, rowNumber }) => {
+    try {
+      const photo = await loadPhoto(row)
+      const extension = getImageExtension(photo?.contentType)
+
+      if (photo?.buffer && extension) {
+        const imageId = workbook.addImage({ buffer: photo.buffer, extension })
+        const excelRow = worksheet.getRow(rowNumber)
+        if (!excelRow.height || excelRow.height < PHOTO_ROW_HEIGHT) {
+          excelRow.height = PHOTO_ROW_HEIGHT
+        }
+
+        worksheet.addImage(imageId, {
+          tl: { col: fotoColumnIndex - 1 + 0.1, row: rowNumber - 1 + 0.1 },
+          ext: { width: 88, height: 56 },
+          editAs: 'oneCell',
+        })
+        worksheet.getCell(rowNumber, fotoColumnIndex).value = ''
+        summary.photos_embedded += 1
+      } else {
+        summary.photos_failed += 1
+      }
+    } catch {
+      // La celda conserva la URL de la foto cuando no se puede incrustar.
+      summary.photos_failed += 1
+    }
+
+    processed += 1
+    onPhotoProgress({ processed, total: rowsConFoto.length })
+  })
+
+  return { buffer: Buffer.from(await workbook.xlsx.writeBuffer()), ...summary }
+}
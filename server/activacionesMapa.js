@@ -0,0 +1,87 @@
+import { buildOpcionesFiltros } from './metricasPanel.js'
+
+export const MAPA_ZOOM_MIN = 4
+export const MAPA_ZOOM_MAX = 18
+// Lado de cada celda de la grilla en pixeles del mapa, al zoom pedido.
+const MAPA_CELDA_PX = 48
+// Tope de celdas posibles en el area pedida, para no agregar un pais entero a zoom de calle.
+const MAPA_CELDAS_MAX = 20000
+const TILE_SIZE = 256
+
+// Grados por celda al zoom indicado (proyeccion Web Mercator, medida en longitud).
+export function celdaMapa(zoom) {
+  return (MAPA_CELDA_PX * 360) / (TILE_SIZE * 2 ** zoom)
+}
+
+function parseCoordenada(value, limite) {
+  const text = Array.isArray(value) ? value[0] : value
+  if (text === undefined || text === null || String(text).trim() === '') {
+    return null
+  }
+
+  const numero = Number(text)
+  return Number.isFinite(numero) && Math.abs(numero) <= limite ? numero : null
+}
+
+// Valida el area visible y el zoom de `GET /admin/map`. Devuelve `{ vista, errors }`.
+export function parseMapaVista(query = {}) {
+  const errors = []
+  const zoom = Number.parseInt(String(query.zoom ?? ''), 10)
+  const norte = parseCoordenada(query.norte, 90)
+  const sur = parseCoordenada(query.sur, 90)
+  const este = parseCoordenada(query.este, 180)
+  const oeste = parseCoordenada(query.oeste, 180)
+
+  if (!Number.isInteger(zoom) || zoom < MAPA_ZOOM_MIN || zoom > MAPA_ZOOM_MAX) {
+    errors.push(`zoom debe ser un entero entre ${MAPA_ZOOM_MIN} y ${MAPA_ZOOM_MAX}.`)
+  }
+  if (norte === null || sur === null || norte <= sur) {
+    errors.push('norte y sur deben ser latitudes validas, con norte mayor que sur.')
+  }
+  if (este === null || oeste === null || este <= oeste) {
+    errors.push('este y oeste deben ser longitudes validas, con este mayor que oeste.')
+  }
+  if (errors.length > 0) {
+    return { vista: null, errors }
+  }
+
+  const celda = celdaMapa(zoom)
+  if (((norte - sur) / celda) * ((este - oeste) / celda) > MAPA_CELDAS_MAX) {
+    return { vista: null, errors: ['El area pedida es demasiado grande para ese zoom.'] }
+  }
+
+  return { vista: { zoom, celda, norte, sur, este, oeste }, errors }
+}
+
+// Respuesta de `GET /admin/map` a partir de `get_activaciones_mapa`. Cada celda trae conteos
+// por etapa del embudo (indice 0 = ningun paso, 7 = respaldo) y activaciones con error.
+export function buildMapaActivaciones(data, { catalogo, vista }) {
+  const extension = data?.extension ?? null
+
+  return {
+    zoom: vista.zoom,
+    celda: vista.celda,
+    total: Number(data?.total) || 0,
+    sin_coordenadas: Number(data?.sin_coordenadas) || 0,
+    extension:
+      extension && extension.norte !== null
+        ? {
+            norte: Number(extension.norte),
+            sur: Number(extension.sur),
+            este: Number(extension.este),
+            oeste: Number(extension.oeste),
+          }
+        : null,
+    celdas: (data?.celdas ?? []).map((celda) => ({
+      fila: Number(celda.fila),
+      columna: Number(celda.columna),
+      lat: Number(celda.lat),
+      lon: Number(celda.lon),
+      total: Number(celda.total) || 0,
+      etapas: (celda.etapas ?? []).map((conteo) => Number(conteo) || 0),
+      hubo_error: Number(celda.hubo_error) || 0,
+      activacion_id: celda.activacion_id ?? null,
+    })),
+    opciones: data?.opciones ? buildOpcionesFiltros(data.opciones, catalogo) : null,
+  }
+}
@@ -0,0 +1,253 @@
+import { getCatalogEntryKeys, normalizeCatalogKey } from '../shared/plazasCatalogo.js'
+
+// Campos de texto libre que la herramienta de calidad de datos puede unificar.
+export const NORMALIZACION_FIELDS = Object.freeze({
+  ciudad_activacion: { label: 'Plaza', target: 'plaza' },
+  plaza: { label: 'Plaza (columna anterior)', target: 'plaza' },
+  zona_activacion: { label: 'Distrito', target: 'distrito' },
+  impulsador: { label: 'Impulsador', target: 'impulsador' },
+})
+
+const FIELD_KEYS = Object.keys(NORMALIZACION_FIELDS)
+
+export const NORMALIZACION_SCAN_COLUMNS = `id, usuario_id, ${FIELD_KEYS.join(', ')}`
+export const NORMALIZACION_MAX_MAPPINGS = 500
+const NORMALIZACION_VALUE_MAX_LENGTH = 120
+// Similitud minima (1 - distancia/longitud) para proponer una coincidencia aproximada.
+const FUZZY_MIN_SIMILARITY = 0.8
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length)
+  return maxLength ? 1 - levenshteinDistance(a, b) / maxLength : 1
+}
+
+function cleanValue(value) {
+  return value.replace(/\s+/g, ' ').trim()
+}
+
+export function createNormalizacionScan() {
+  return {
+    scanned: 0,
+    // field -> Map(valor exacto -> filas)
+    valores: Object.fromEntries(FIELD_KEYS.map((field) => [field, new Map()])),
+    // valor de impulsador -> Map(usuario_id -> filas)
+    usuariosPorImpulsador: new Map(),
+  }
+}
+
+export function addRowsToNormalizacionScan(scan, rows) {
+  for (const row of rows ?? []) {
+    scan.scanned += 1
+
+    for (const field of FIELD_KEYS) {
+      const value = row?.[field]
+      if (typeof value === 'string' && value.trim()) {
+        scan.valores[field].set(value, (scan.valores[field].get(value) ?? 0) + 1)
+      }
+    }
+
+    if (typeof row?.impulsador === 'string' && row.impulsador.trim() && row.usuario_id) {
+      const usuarios = scan.usuariosPorImpulsador.get(row.impulsador) ?? new Map()
+      usuarios.set(row.usuario_id, (usuarios.get(row.usuario_id) ?? 0) + 1)
+      scan.usuariosPorImpulsador.set(row.impulsador, usuarios)
+    }
+  }
+}
+
+// Clave normalizada -> nombre canonico. Las claves que apuntan a dos nombres distintos se
+// descartan: no hay forma segura de elegir.
+function buildTargetIndex(entries) {
+  const index = new Map()
+  const ambiguous = new Set()
+
+  for (const entry of entries) {
+    for (const key of getCatalogEntryKeys(entry)) {
+      if (index.has(key) && index.get(key) !== entry.nombre) {
+        ambiguous.add(key)
+      }
+      index.set(key, entry.nombre)
+    }
+  }
+
+  for (const key of ambiguous) {
+    index.delete(key)
+  }
+
+  return index
+}
+
+function findFuzzyTarget(key, targetIndex) {
+  let best = null
+  let tied = false
+
+  for (const [candidateKey, nombre] of targetIndex) {
+    const score = similarity(key, candidateKey)
+    if (score < FUZZY_MIN_SIMILARITY) {
+      continue
+    }
+    if (!best || score > best.score) {
+      best = { nombre, score }
+      tied = false
+    } else if (score === best.score && nombre !== best.nombre) {
+      tied = true
+    }
+  }
+
+  return best && !tied ? best : null
+}
+
+// Propone `{ field, from, to, count, match, score }` para cada valor que no esta escrito como
+// su forma canonica. `match` indica el origen de la propuesta:
+// - `catalogo`: coincide (sin tildes, mayusculas ni espacios) con un nombre o alias del catalogo
+//   de plazas/distritos o con el nombre de un impulsador registrado.
+// - `usuario`: el impulsador se identifica por el `usuario_id` de sus activaciones.
+// - `aproximada`: coincidencia difusa por distancia de edicion; conviene revisarla.
+// - `variante`: sin destino conocido, se unifica con la variante mas frecuente de la misma clave.
+export function proposeNormalizaciones(scan, { plazas = [], activadores = [] } = {}) {
+  const nombrePorUsuario = new Map(
+    activadores.filter((item) => item?.usuario_id).map((item) => [item.usuario_id, item.nombre])
+  )
+  const targets = {
+    plaza: buildTargetIndex(plazas),
+    distrito: buildTargetIndex(plazas.flatMap((plaza) => plaza.distritos ?? [])),
+    impulsador: buildTargetIndex(
+      activadores.filter((item) => item?.nombre).map((item) => ({ nombre: item.nombre }))
+    ),
+  }
+  const mappings = []
+
+  for (const [field, config] of Object.entries(NORMALIZACION_FIELDS)) {
+    const targetIndex = targets[config.target]
+    const sinDestino = new Map()
+
+    for (const [value, count] of scan.valores[field]) {
+      const key = normalizeCatalogKey(value)
+      let proposal = null
+
+      if (targetIndex.has(key)) {
+        proposal = { to: targetIndex.get(key), match: 'catalogo', score: 1 }
+      } else if (field === 'impulsador') {
+        const usuarios = scan.usuariosPorImpulsador.get(value)
+        const usuarioId = usuarios ? [...usuarios].sort((a, b) => b[1] - a[1])[0][0] : null
+        const nombre = nombrePorUsuario.get(usuarioId)
+        if (nombre) {
+          proposal = { to: nombre, match: 'usuario', score: 1 }
+        }
+      }
+
+      if (!proposal) {
+        const fuzzy = findFuzzyTarget(key, targetIndex)
+        if (fuzzy) {
+          proposal = { to: fuzzy.nombre, match: 'aproximada', score: fuzzy.score }
+        }
+      }
+
+      if (proposal) {
+        if (proposal.to !== value) {
+          mappings.push({ field, from: value, count, ...proposal })
+        }
+        continue
+      }
+
+      const variantes = sinDestino.get(key) ?? []
+      variantes.push({ value, count })
+      sinDestino.set(key, variantes)
+    }
+
+    for (const variantes of sinDestino.values()) {
+      const [principal] = [...variantes].sort(
+        (a, b) => b.count - a.count || a.value.localeCompare(b.value, 'es')
+      )
+      const to = cleanValue(principal.value)
+
+      for (const { value, count } of variantes) {
+        if (value !== to) {
+          mappings.push({ field, from: value, to, count, match: 'variante', score: 1 })
+        }
+      }
+    }
+  }
+
+  return mappings.sort(
+    (a, b) => FIELD_KEYS.indexOf(a.field) - FIELD_KEYS.indexOf(b.field) || b.count - a.count
+  )
+}
+
+// Valida los mapeos a aplicar. `from` se compara exacto (con sus espacios) porque asi esta
+// guardado; un destino no puede ser origen de otro mapeo del mismo campo para evitar cadenas.
+export function validateNormalizacionMappings(raw) {
+  if (!Array.isArray(raw) || !raw.length) {
+    return { mappings: [], error: 'mappings debe ser una lista con al menos un mapeo.' }
+  }
+
+  if (raw.length > NORMALIZACION_MAX_MAPPINGS) {
+    return {
+      mappings: [],
+      error: `Se permiten hasta ${NORMALIZACION_MAX_MAPPINGS} mapeos por lote.`,
+    }
+  }
+
+  const mappings = []
+  const origenes = new Set()
+
+  for (const item of raw) {
+    const field = typeof item?.field === 'string' ? item.field : ''
+    const from = typeof item?.from === 'string' ? item.from : ''
+    const to = typeof item?.to === 'string' ? cleanValue(item.to) : ''
+
+    if (!NORMALIZACION_FIELDS[field]) {
+      return { mappings: [], error: `Campo no permitido: ${field || '(vacio)'}.` }
+    }
+
+    if (!from.trim() || !to) {
+      return { mappings: [], error: 'Cada mapeo necesita valor original y valor nuevo.' }
+    }
+
+    if (to.length > NORMALIZACION_VALUE_MAX_LENGTH) {
+      return {
+        mappings: [],
+        error: `El valor nuevo no puede superar ${NORMALIZACION_VALUE_MAX_LENGTH} caracteres.`,
+      }
+    }
+
+    if (from === to) {
+      continue
+    }
+
+    const origen = `${field}\u0000${from}`
+    if (origenes.has(origen)) {
+      return { mappings: [], error: `El valor "${from}" de ${field} esta repetido.` }
+    }
+    origenes.add(origen)
+    mappings.push({ field, from, to })
+  }
+
+  const encadenado = mappings.find((mapping) => origenes.has(`${mapping.field}\u0000${mapping.to}`))
+  if (encadenado) {
+    return {
+      mappings: [],
+      error: `"${encadenado.to}" es origen y destino en ${encadenado.field}; usa lotes separados.`,
+    }
+  }
+
+  if (!mappings.length) {
+    return { mappings: [], error: 'No hay cambios para aplicar.' }
+  }
+
+  return { mappings, error: null }
+}
@@ -0,0 +1,199 @@
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+// CI boliviano: numero con complemento opcional (ej. 1234567-1A) y extension departamental opcional.
+const CI_REGEX = /^\d{4,12}(-[0-9A-Z]{1,3})?( [A-Z]{2,3})?$/
+const TELEFONO_REGEX = /^\+?\d{7,15}$/
+const BOLIVIA_UTC_OFFSET_MS = 4 * 60 * 60 * 1000
+
+// Campos que la web admin puede corregir. usuario_id/impulsador se cambian con la reasignacion
+// masiva y foto_url no se edita desde la web.
+export const ACTIVACIONES_EDITABLE_FIELDS = Object.freeze({
+  fecha_activacion: { type: 'date', label: 'Fecha' },
+  ciudad_activacion: { type: 'text', label: 'Plaza', maxLength: 80, nullable: true },
+  zona_activacion: { type: 'text', label: 'Distrito', maxLength: 80, nullable: true },
+  nombres_cliente: { type: 'text', label: 'Nombres', maxLength: 120, nullable: true },
+  apellidos_cliente: { type: 'text', label: 'Apellidos', maxLength: 120, nullable: true },
+  ci_cliente: { type: 'ci', label: 'CI', nullable: true },
+  telefono_cliente: { type: 'telefono', label: 'Telefono', nullable: true },
+  email_cliente: { type: 'email', label: 'Email', nullable: true },
+  descargo_app: { type: 'boolean', label: 'Descargo App' },
+  registro: { type: 'boolean', label: 'Registro' },
+  cash_in: { type: 'boolean', label: 'Cash In' },
+  cash_out: { type: 'boolean', label: 'Cash Out' },
+  p2p: { type: 'boolean', label: 'P2P' },
+  qr_fisico: { type: 'boolean', label: 'QR Fisico' },
+  respaldo: { type: 'boolean', label: 'Respaldo' },
+  hubo_error: { type: 'boolean', label: 'Error' },
+  descripcion_error: { type: 'text', label: 'Descripcion Error', maxLength: 500, nullable: true },
+  tipo_activacion: { type: 'catalog', label: 'Tipo Activacion', maxLength: 80, nullable: true },
+  tipo_comercio: { type: 'catalog', label: 'Tipo Comercio', maxLength: 80, nullable: true },
+  tamano_tienda: { type: 'catalog', label: 'Tamano Tienda', maxLength: 80, nullable: true },
+  latitud: { type: 'number', label: 'Latitud', min: -90, max: 90, nullable: true },
+  longitud: { type: 'number', label: 'Longitud', min: -180, max: 180, nullable: true },
+})
+
+export const ACTIVACIONES_CATALOG_FIELDS = Object.keys(ACTIVACIONES_EDITABLE_FIELDS).filter(
+  (field) => ACTIVACIONES_EDITABLE_FIELDS[field].type === 'catalog'
+)
+
+function getBoliviaToday() {
+  return new Date(Date.now() - BOLIVIA_UTC_OFFSET_MS).toISOString().slice(0, 10)
+}
+
+function isValidCalendarDate(value) {
+  if (!DATE_REGEX.test(value)) {
+    return false
+  }
+
+  const parsed = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value
+}
+
+function normalizeFieldValue(definition, rawValue) {
+  const isEmpty =
+    rawValue === null || rawValue === undefined || (typeof rawValue === 'string' && !rawValue.trim())
+
+  if (isEmpty) {
+    return definition.nullable
+      ? { value: null }
+      : { error: `${definition.label} es obligatorio.` }
+  }
+
+  switch (definition.type) {
+    case 'boolean':
+      return typeof rawValue === 'boolean'
+        ? { value: rawValue }
+        : { error: `${definition.label} debe ser true o false.` }
+
+    case 'number': {
+      const parsed = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim())
+      if (!Number.isFinite(parsed)) {
+        return { error: `${definition.label} debe ser numerico.` }
+      }
+      if (parsed < definition.min || parsed > definition.max) {
+        return { error: `${definition.label} debe estar entre ${definition.min} y ${definition.max}.` }
+      }
+      return { value: parsed }
+    }
+
+    case 'date': {
+      const value = String(rawValue).trim()
+      if (!isValidCalendarDate(value)) {
+        return { error: `${definition.label} debe tener formato YYYY-MM-DD.` }
+      }
+      if (value > getBoliviaToday()) {
+        return { error: `${definition.label} no puede ser futura.` }
+      }
+      return { value }
+    }
+
+    case 'email': {
+      const value = String(rawValue).trim().toLowerCase()
+      return EMAIL_REGEX.test(value) ? { value } : { error: `${definition.label} invalido.` }
+    }
+
+    case 'ci': {
+      const value = String(rawValue).trim().toUpperCase().replace(/\s+/g, ' ')
+      return CI_REGEX.test(value)
+        ? { value }
+        : { error: `${definition.label} invalido. Usa solo numeros con complemento opcional (ej. 1234567-1A).` }
+    }
+
+    case 'telefono': {
+      const value = String(rawValue).replace(/[\s-]/g, '')
+      return TELEFONO_REGEX.test(value)
+        ? { value }
+        : { error: `${definition.label} invalido. Usa de 7 a 15 digitos.` }
+    }
+
+    default: {
+      if (typeof rawValue !== 'string') {
+        return { error: `${definition.label} debe ser texto.` }
+      }
+      const value = rawValue.trim().replace(/\s+/g, ' ')
+      if (value.length > definition.maxLength) {
+        return { error: `${definition.label} admite hasta ${definition.maxLength} caracteres.` }
+      }
+      return { value }
+    }
+  }
+}
+
+// Valida un PATCH parcial. Devuelve valores normalizados y errores por campo.
+export function validateActivacionPatch(body) {
+  const values = {}
+  const errors = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: { body: 'El cuerpo debe ser un objeto JSON.' } }
+  }
+
+  for (const [field, rawValue] of Object.entries(body)) {
+    const definition = ACTIVACIONES_EDITABLE_FIELDS[field]
+    if (!definition) {
+      errors[field] = 'Campo no editable.'
+      continue
+    }
+
+    const result = normalizeFieldValue(definition, rawValue)
+    if (result.error) {
+      errors[field] = result.error
+    } else {
+      values[field] = result.value
+    }
+  }
+
+  return { values, errors }
+}
+
+// Reglas que dependen de varios campos, evaluadas sobre la fila resultante. Con `editedFields`,
+// cada regla solo aplica si la edicion toca alguno de sus campos (filas historicas).
+export function validateActivacionConsistency(row, editedFields = null) {
+  const errors = {}
+  const touches = (...fields) =>
+    !editedFields || fields.some((field) => editedFields.includes(field))
+
+  if (touches('latitud', 'longitud') && (row.latitud == null) !== (row.longitud == null)) {
+    errors.latitud = 'Latitud y longitud deben informarse juntas.'
+  }
+
+  if (
+    touches('hubo_error', 'descripcion_error') &&
+    !row.hubo_error &&
+    normalizeOptionalText(row.descripcion_error)
+  ) {
+    errors.descripcion_error = 'La descripcion de error solo aplica cuando Error es Si.'
+  }
+
+  return errors
+}
+
+function normalizeOptionalText(value) {
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+export function diffActivacionFields(previousRow, values) {
+  const changes = []
+
+  for (const [field, nextValue] of Object.entries(values)) {
+    const previousValue = previousRow?.[field] ?? null
+    const isSame =
+      ACTIVACIONES_EDITABLE_FIELDS[field]?.type === 'number'
+        ? previousValue != null && nextValue != null
+          ? Number(previousValue) === nextValue
+          : previousValue === nextValue
+        : previousValue === nextValue
+
+    if (!isSame) {
+      changes.push({ field, from: previousValue, to: nextValue })
+    }
+  }
+
+  return changes
+}
+
+export function formatFieldErrors(errors) {
+  return Object.entries(errors)
+    .map(([field, message]) => `${field}: ${message}`)
+    .join('; ')
+}
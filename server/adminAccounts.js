@@ -0,0 +1,142 @@
+import crypto from 'node:crypto'
+import { promisify } from 'node:util'
+
+const scryptAsync = promisify(crypto.scrypt)
+
+export const ADMIN_ROLES = ['viewer', 'supervisor', 'superadmin']
+export const ADMIN_ACCOUNT_COLUMNS =
+  'id, username, nombre, role, activo, created_at, updated_at, last_login_at'
+export const ADMIN_PASSWORD_MIN_LENGTH = 10
+
+const ADMIN_USERNAME_REGEX = /^[a-z0-9._-]{3,40}$/
+const PASSWORD_HASH_SCHEME = 'scrypt'
+const SCRYPT_COST = 16384
+const SCRYPT_BLOCK_SIZE = 8
+const SCRYPT_PARALLELIZATION = 1
+const SCRYPT_KEY_LENGTH = 64
+const SCRYPT_SALT_BYTES = 16
+
+// Hash fijo para igualar el tiempo de respuesta cuando la cuenta no existe.
+const DUMMY_PASSWORD_HASH = [
+  PASSWORD_HASH_SCHEME,
+  SCRYPT_COST,
+  SCRYPT_BLOCK_SIZE,
+  SCRYPT_PARALLELIZATION,
+  Buffer.alloc(SCRYPT_SALT_BYTES).toString('base64'),
+  Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64'),
+].join('$')
+
+export function normalizeAdminUsername(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : ''
+}
+
+export function isValidAdminUsername(value) {
+  return ADMIN_USERNAME_REGEX.test(normalizeAdminUsername(value))
+}
+
+export function normalizeAdminRole(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return ADMIN_ROLES.includes(normalized) ? normalized : ''
+}
+
+export function hasRequiredRole(role, requiredRole) {
+  const roleIndex = ADMIN_ROLES.indexOf(role)
+  const requiredIndex = ADMIN_ROLES.indexOf(requiredRole)
+
+  if (roleIndex < 0 || requiredIndex < 0) {
+    return false
+  }
+
+  return roleIndex >= requiredIndex
+}
+
+export async function hashAdminPassword(password) {
+  const salt = crypto.randomBytes(SCRYPT_SALT_BYTES)
+  const derivedKey = await scryptAsync(String(password), salt, SCRYPT_KEY_LENGTH, {
+    N: SCRYPT_COST,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELIZATION,
+  })
+
+  return [
+    PASSWORD_HASH_SCHEME,
+    SCRYPT_COST,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELIZATION,
+    salt.toString('base64'),
+    derivedKey.toString('base64'),
+  ].join('$')
+}
+
+export async function verifyAdminPassword(password, storedHash) {
+  const parts = typeof storedHash === 'string' ? storedHash.split('$') : []
+  const isKnownHash = parts.length === 6 && parts[0] === PASSWORD_HASH_SCHEME
+  const hashToCheck = isKnownHash ? parts : DUMMY_PASSWORD_HASH.split('$')
+
+  const [, rawCost, rawBlockSize, rawParallelization, rawSalt, rawKey] = hashToCheck
+  const expectedKey = Buffer.from(rawKey, 'base64')
+
+  try {
+    const derivedKey = await scryptAsync(
+      String(password ?? ''),
+      Buffer.from(rawSalt, 'base64'),
+      expectedKey.length,
+      {
+        N: Number(rawCost),
+        r: Number(rawBlockSize),
+        p: Number(rawParallelization),
+      }
+    )
+
+    return isKnownHash && crypto.timingSafeEqual(derivedKey, expectedKey)
+  } catch {
+    return false
+  }
+}
+
+export function toPublicAdminAccount(row) {
+  if (!row) {
+    return null
+  }
+
+  return {
+    id: row.id ?? null,
+    username: row.username,
+    nombre: row.nombre ?? null,
+    role: row.role,
+    activo: row.activo !== false,
+    created_at: row.created_at ?? null,
+    updated_at: row.updated_at ?? null,
+    last_login_at: row.last_login_at ?? null,
+  }
+}
+
+export async function findActiveAdminAccount(adminSupabase, username) {
+  const { data, error } = await adminSupabase
+    .from('admin_accounts')
+    .select(`${ADMIN_ACCOUNT_COLUMNS}, password_hash`)
+    .eq('username', normalizeAdminUsername(username))
+    .eq('activo', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  return data ?? null
+}
+
+export async function findActiveAdminAccountById(adminSupabase, accountId) {
+  const { data, error } = await adminSupabase
+    .from('admin_accounts')
+    .select(ADMIN_ACCOUNT_COLUMNS)
+    .eq('id', accountId)
+    .eq('activo', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  return data ?? null
+}
@@ -0,0 +1,71 @@
+export const ADMIN_AUDIT_OUTCOMES = ['success', 'denied', 'rejected', 'error']
+export const ADMIN_AUDIT_COLUMNS =
+  'id, created_at, actor_account_id, actor_username, actor_role, session_id, action, target_type, target_id, outcome, status_code, error_message, before, after, details, ip, user_agent'
+
+const SENSITIVE_KEY_REGEX = /pass(word)?|token|secret|hash/i
+const REDACTED_VALUE = '[redactado]'
+
+// Quita secretos de los snapshots antes de persistirlos en la auditoria.
+export function sanitizeAuditSnapshot(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitizeAuditSnapshot)
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value ?? null
+  }
+
+  const sanitized = {}
+  for (const [key, item] of Object.entries(value)) {
+    const isSecretValue = typeof item === 'string' && SENSITIVE_KEY_REGEX.test(key)
+    sanitized[key] = isSecretValue ? REDACTED_VALUE : sanitizeAuditSnapshot(item)
+  }
+
+  return sanitized
+}
+
+export function resolveAuditOutcome(statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return 'denied'
+  }
+
+  if (statusCode >= 500) {
+    return 'error'
+  }
+
+  if (statusCode >= 400) {
+    return 'rejected'
+  }
+
+  return 'success'
+}
+
+export function normalizeAuditOutcome(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return ADMIN_AUDIT_OUTCOMES.includes(normalized) ? normalized : ''
+}
+
+// La auditoria es best-effort: un fallo al registrar no debe tumbar la operacion auditada.
+export async function insertAdminAuditEvent(adminSupabase, event) {
+  const { error } = await adminSupabase.from('admin_audit_log').insert({
+    actor_account_id: event.actor?.id ?? null,
+    actor_username: event.actor?.username ?? null,
+    actor_role: event.actor?.role ?? null,
+    session_id: event.sessionId ?? null,
+    action: event.action,
+    target_type: event.targetType ?? null,
+    target_id: event.targetId == null ? null : String(event.targetId),
+    outcome: event.outcome,
+    status_code: event.statusCode ?? null,
+    error_message: event.errorMessage ?? null,
+    before: sanitizeAuditSnapshot(event.before),
+    after: sanitizeAuditSnapshot(event.after),
+    details: sanitizeAuditSnapshot(event.details),
+    ip: event.ip ?? null,
+    user_agent: event.userAgent ?? null,
+  })
+
+  if (error) {
+    console.error('[admin-api] No se pudo registrar evento de auditoria:', event.action, error.message)
+  }
+}
@@ -0,0 +1,103 @@
+import crypto from 'node:crypto'
+
+export const ADMIN_SESSION_SECRET_MIN_LENGTH = 32
+export const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60
+export const DEFAULT_REFRESH_TOKEN_TTL_SECONDS = 12 * 60 * 60
+
+const TOKEN_HEADER = Object.freeze({ alg: 'HS256', typ: 'JWT' })
+const REFRESH_TOKEN_BYTES = 48
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url')
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+}
+
+function signSegments(headerSegment, payloadSegment, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${headerSegment}.${payloadSegment}`)
+    .digest('base64url')
+}
+
+export function parseTtlSeconds(rawValue, { fallback, unitSeconds = 1 } = {}) {
+  const parsed = Number.parseFloat(String(rawValue ?? ''))
+
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback
+  }
+
+  return Math.round(parsed * unitSeconds)
+}
+
+export function signAccessToken(claims, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const payload = {
+    ...claims,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+  }
+
+  const headerSegment = encodeSegment(TOKEN_HEADER)
+  const payloadSegment = encodeSegment(payload)
+  const signature = signSegments(headerSegment, payloadSegment, secret)
+
+  return {
+    token: `${headerSegment}.${payloadSegment}.${signature}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  }
+}
+
+// Devuelve los claims solo si la firma es valida y el token no expiro.
+export function verifyAccessToken(token, secret) {
+  const segments = typeof token === 'string' ? token.split('.') : []
+  if (segments.length !== 3) {
+    return null
+  }
+
+  const [headerSegment, payloadSegment, signature] = segments
+  const header = decodeSegment(headerSegment)
+  if (header?.alg !== TOKEN_HEADER.alg) {
+    return null
+  }
+
+  const expectedSignature = Buffer.from(signSegments(headerSegment, payloadSegment, secret))
+  const receivedSignature = Buffer.from(signature)
+
+  if (
+    expectedSignature.length !== receivedSignature.length ||
+    !crypto.timingSafeEqual(expectedSignature, receivedSignature)
+  ) {
+    return null
+  }
+
+  const payload = decodeSegment(payloadSegment)
+  if (!payload || !Number.isFinite(payload.exp) || payload.exp * 1000 <= Date.now()) {
+    return null
+  }
+
+  return payload
+}
+
+export function generateRefreshToken() {
+  return crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url')
+}
+
+export function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex')
+}
+
+export function parseBearerToken(header) {
+  if (typeof header !== 'string' || !header.startsWith('Bearer ')) {
+    return null
+  }
+
+  const token = header.slice('Bearer '.length).trim()
+  return token || null
+}
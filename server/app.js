@@ -1,14 +1,118 @@
 import crypto from 'node:crypto'
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
+import {
+  ADMIN_ACCOUNT_COLUMNS,
+  ADMIN_PASSWORD_MIN_LENGTH,
+  findActiveAdminAccount,
+  findActiveAdminAccountById,
+  hasRequiredRole,
+  hashAdminPassword,
+  isValidAdminUsername,
+  normalizeAdminRole,
+  normalizeAdminUsername,
+  toPublicAdminAccount,
+  verifyAdminPassword,
+} from './adminAccounts.js'
+import {
+  ADMIN_SESSION_SECRET_MIN_LENGTH,
+  DEFAULT_ACCESS_TOKEN_TTL_SECONDS,
+  DEFAULT_REFRESH_TOKEN_TTL_SECONDS,
+  generateRefreshToken,
+  hashRefreshToken,
+  parseBearerToken,
+  parseTtlSeconds,
+  signAccessToken,
+  verifyAccessToken,
+} from './adminSessions.js'
+import {
+  ADMIN_AUDIT_COLUMNS,
+  insertAdminAuditEvent,
+  normalizeAuditOutcome,
+  resolveAuditOutcome,
+} from './adminAudit.js'
+import {
+  ACTIVACIONES_CATALOG_FIELDS,
+  diffActivacionFields,
+  formatFieldErrors,
+  validateActivacionConsistency,
+  validateActivacionPatch,
+} from './activacionesSchema.js'
+import {
+  EXPORT_PHOTO_CONCURRENCY,
+  buildActivacionesCsv,
+  buildActivacionesXlsx,
+  forEachWithConcurrency,
+  getExportFileInfo,
+} from './activacionesExport.js'
+import {
+  ACTIVACIONES_EXPORT_FORMATS,
+  EXPORT_TEMPLATE_NAME_MAX_LENGTH,
+  buildColumnasExportacion,
+  getCiudadActivacion,
+  normalizeExportTemplateConfig,
+} from '../shared/activacionesExport.js'
+import {
+  ACTIVACIONES_PII_REVEAL_ROLE,
+  isActivacionPiiField,
+  maskActivacionChanges,
+  maskActivacionPii,
+} from '../shared/activacionesPii.js'
+import {
+  buildCatalogoIndex,
+  findCatalogConflict,
+  mergeCatalogEntryPatch,
+  normalizeCatalogEntryInput,
+} from '../shared/plazasCatalogo.js'
+import {
+  NORMALIZACION_SCAN_COLUMNS,
+  addRowsToNormalizacionScan,
+  createNormalizacionScan,
+  proposeNormalizaciones,
+  validateNormalizacionMappings,
+} from './activacionesNormalizacion.js'
+import { PERFIL_ACTIVACIONES_COLUMNS, buildImpulsadorPerfil } from './impulsadorPerfil.js'
+import { buildMetricasPanel } from './metricasPanel.js'
+import { buildMapaActivaciones, parseMapaVista } from './activacionesMapa.js'
+import {
+  META_COLUMNS,
+  META_PERIODOS,
+  buildAvanceMetas,
+  iniciosPeriodo,
+  normalizeMetaInput,
+  rangoMeta,
+} from './metas.js'
+import { fechaHoyBolivia } from '../shared/activacionesMetricas.js'
+import {
+  GEOCERCA_ALERTAS,
+  buildGeocercaChecker,
+  contarVerticesGeocerca,
+  normalizeGeocercaInput,
+} from '../shared/geocercas.js'
+import {
+  ANOMALIAS_SCAN_COLUMNS,
+  ANOMALIA_COLUMNS,
+  ANOMALIA_ESTADOS,
+  ANOMALIA_TIPOS,
+  addRowsToAnomaliasScan,
+  buildAnomalias,
+  createAnomaliasScan,
+  normalizeAnomaliaRevision,
+  planAnomaliasSync,
+} from './activacionesAnomalias.js'
+import {
+  CONCILIACION_ACTIVACION_COLUMNS,
+  CONCILIACION_MAX_ITEMS,
+  buildConciliacionFotos,
+} from './fotosConciliacion.js'
+import {
+  FOTO_REVISION_FILTROS,
+  calcularTasaAprobacion,
+  normalizeFotoRevisionInput,
+} from '../shared/fotosRevision.js'
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-const REQUIRED_ENV = [
-  'SUPABASE_URL',
-  'SUPABASE_SERVICE_ROLE_KEY',
-  'ADMIN_BASIC_USER',
-  'ADMIN_BASIC_PASS',
-]
+const REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'ADMIN_SESSION_SECRET']
 const DEFAULT_ALLOWED_ORIGINS = [
   'http://localhost:5173',
   'http://localhost:5174',
@@ -27,6 +131,97 @@ const SUPABASE_FREE_PLAN_REFERENCE = Object.freeze({
   file_storage_limit_bytes: 1 * GB,
   support: 'Community support',
 })
+const ACTIVACIONES_BOOLEAN_FLAGS = [
+  'descargo_app',
+  'registro',
+  'cash_in',
+  'cash_out',
+  'p2p',
+  'qr_fisico',
+  'respaldo',
+  'hubo_error',
+]
+const ACTIVACIONES_SORTABLE_COLUMNS = [
+  'created_at',
+  'fecha_activacion',
+  'impulsador',
+  'ciudad_activacion',
+  'zona_activacion',
+  'tipo_activacion',
+  'deleted_at',
+]
+const DEFAULT_ACTIVACIONES_RETENTION_DAYS = 30
+const ACTIVACIONES_PURGE_BATCH_SIZE = 200
+const ACTIVACIONES_BULK_ACTIONS = ['delete', 'restore', 'purge', 'reassign']
+const ACTIVACIONES_BULK_MAX_ITEMS = 2000
+const ACTIVACIONES_BULK_PAGE_SIZE = 1000
+const ACTIVACIONES_BULK_CHUNK_SIZE = 100
+const ACTIVACIONES_SAME_DAY_LIMIT = 100
+const PERFIL_PAGE_SIZE = 1000
+const PERFIL_NOTIFICACIONES_RECIENTES = 10
+const NORMALIZACION_PAGE_SIZE = 1000
+const NORMALIZACION_UNDO_CHUNK_SIZE = 100
+const NORMALIZACION_BATCHES_LIMIT = 20
+// Un lote `running` mas viejo que esto se corto a mitad: supera el maxDuration (300 s) de la
+// funcion en vercel.json.
+const NORMALIZACION_RUNNING_STALE_SECONDS = 360
+const NORMALIZACION_BATCH_COLUMNS =
+  'id, created_at, username, status, cambios, total_rows, error_message, undone_at, undone_by, undone_rows'
+const DEFAULT_EXPORTS_BUCKET = 'exportaciones'
+const DEFAULT_EXPORT_MAX_ROWS = 20000
+const DEFAULT_EXPORT_MAX_PHOTO_ROWS = 2000
+const DEFAULT_EXPORT_TTL_SECONDS = 24 * 60 * 60
+const EXPORT_PAGE_SIZE = 1000
+const EXPORT_PHOTO_PROGRESS_STEP = 10
+const EXPORT_SIGNED_URL_TTL_SECONDS = 10 * 60
+const EXPORT_CLEANUP_BATCH_SIZE = 50
+const EXPORT_LIST_LIMIT = 20
+// Una exportacion `running` mas vieja que esto se corto a mitad: supera el maxDuration (300 s)
+// de la funcion en vercel.json.
+const EXPORT_RUNNING_STALE_SECONDS = 360
+const ADMIN_EXPORT_JOB_COLUMNS =
+  'id, created_at, finished_at, expires_at, username, format, include_photos, filters, status, total_rows, photos_embedded, photos_failed, file_path, file_size_bytes, error_message, template_nombre, pii_revealed'
+const ADMIN_EXPORT_TEMPLATE_COLUMNS = 'id, created_at, updated_at, username, nombre, config'
+const EXPORT_TEMPLATES_LIMIT = 50
+const DATE_ONLY_REGEX = /^(\d{4}-\d{2}-\d{2})/
+const IMPULSADOR_PASSWORD_MIN_LENGTH = 6
+const IMPULSADOR_PASSWORD_BY_LINK_ERROR =
+  'password no se acepta: el impulsador define su contrasena con el enlace de invitacion o de restablecimiento.'
+const IMPULSADORES_IMPORT_MAX_ROWS = 500
+const IMPULSADORES_IMPORT_EMAIL_CHUNK_SIZE = 100
+const IMPULSADOR_COLUMNS =
+  'usuario_id, email, nombre, plaza, activo, suspendido_at, suspendido_por, motivo_suspension'
+// Supabase Auth no tiene baneo indefinido: 100 anos equivale a suspender hasta reactivar.
+const IMPULSADOR_SUSPENSION_BAN_DURATION = '876000h'
+const IMPULSADOR_SUSPENSION_MOTIVO_MAX_LENGTH = 300
+const PLAZA_COLUMNS = 'id, nombre, alias, created_at, updated_at'
+const DISTRITO_COLUMNS = 'id, plaza_id, nombre, alias, created_at, updated_at'
+const PLAZAS_CATALOGO_COLUMNS = `${PLAZA_COLUMNS}, distritos(${DISTRITO_COLUMNS})`
+const GEOCERCA_COLUMNS = 'id, plaza_id, distrito_id, geojson, created_at, updated_at, updated_by'
+const GEOCERCAS_PAGE_SIZE = 1000
+const GEOCERCAS_SCAN_COLUMNS =
+  'id, ciudad_activacion, plaza, zona_activacion, latitud, longitud, geocerca_alerta, geocerca_detalle'
+const GEOCERCAS_REPORTE_COLUMNS =
+  'id, created_at, fecha_activacion, impulsador, usuario_id, ciudad_activacion, plaza, zona_activacion, latitud, longitud, geocerca_alerta, geocerca_detalle'
+const ANOMALIAS_PAGE_SIZE = 1000
+// Fotos sin huella que se descargan por busqueda; el resto queda para la siguiente.
+const ANOMALIAS_FOTOS_POR_REVISION = 200
+const ANOMALIAS_ACTIVACION_COLUMNS =
+  'id, created_at, fecha_activacion, impulsador, usuario_id, ciudad_activacion, plaza, zona_activacion, ci_cliente, telefono_cliente, latitud, longitud, foto_url, deleted_at'
+const ANOMALIAS_RELACIONADA_COLUMNS =
+  'id, created_at, fecha_activacion, impulsador, ciudad_activacion, plaza, deleted_at'
+const GEOCERCAS_RECALCULO_WARNING =
+  'Los cambios se guardaron, pero no se pudo recalcular la alerta de geocerca. Ejecuta la revision de geocercas.'
+const CERRAR_SESIONES_WARNING =
+  'El usuario quedo suspendido, pero no se pudieron cerrar sus sesiones abiertas: la app lo desconecta cuando vence su token de acceso.'
+// Campos de una activacion que cambian el resultado de la revision de geocercas.
+const GEOCERCA_CAMPOS_ACTIVACION = [
+  'ciudad_activacion',
+  'plaza',
+  'zona_activacion',
+  'latitud',
+  'longitud',
+]
 
 function normalizeText(value) {
   return typeof value === 'string' ? value.trim() : ''
@@ -59,6 +254,12 @@ function assertRequiredEnv(env) {
       throw new Error(`Falta variable de entorno requerida: ${envName}`)
     }
   }
+
+  if (env.ADMIN_SESSION_SECRET.length < ADMIN_SESSION_SECRET_MIN_LENGTH) {
+    throw new Error(
+      `ADMIN_SESSION_SECRET debe tener al menos ${ADMIN_SESSION_SECRET_MIN_LENGTH} caracteres.`
+    )
+  }
 }
 
 function buildAllowedOrigins(rawValue) {
@@ -157,37 +358,403 @@ function asyncRoute(handler) {
   }
 }
 
-function parseBasicAuth(header) {
-  if (!header || !header.startsWith('Basic ')) {
-    return null
+function parseLimit(value, { fallback = 50, min = 1, max = 200 } = {}) {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+
+  if (!Number.isInteger(parsed)) {
+    return fallback
   }
 
-  try {
-    const base64Payload = header.slice('Basic '.length)
-    const decoded = Buffer.from(base64Payload, 'base64').toString('utf8')
-    const separatorIndex = decoded.indexOf(':')
+  return Math.min(max, Math.max(min, parsed))
+}
 
-    if (separatorIndex < 0) {
-      return null
-    }
+function parseOffset(value) {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    return 0
+  }
+
+  return parsed
+}
+
+function getQueryText(value) {
+  if (Array.isArray(value)) {
+    return normalizeText(value[0])
+  }
+
+  return normalizeText(value)
+}
+
+function parseBooleanFilter(value) {
+  const normalized = getQueryText(value).toLowerCase()
+
+  if (['true', '1', 'si', 'yes'].includes(normalized)) {
+    return true
+  }
+
+  if (['false', '0', 'no'].includes(normalized)) {
+    return false
+  }
+
+  return null
+}
+
+function normalizeDateFilter(value) {
+  const match = getQueryText(value).match(DATE_ONLY_REGEX)
+  return match ? match[1] : ''
+}
+
+function normalizeTimestampFilter(value) {
+  const text = getQueryText(value)
+  if (!text) {
+    return ''
+  }
+
+  const parsed = new Date(text)
+  return Number.isNaN(parsed.getTime()) ? '' : parsed.toISOString()
+}
+
+function normalizeIdList(value) {
+  if (!Array.isArray(value)) {
+    return []
+  }
+
+  return [...new Set(value.map((item) => normalizeText(String(item ?? ''))).filter(Boolean))]
+}
+
+// Con plazas en el catalogo, la plaza del impulsador debe coincidir con un nombre o alias y se
+// guarda con el nombre canonico. Con el catalogo vacio se acepta texto libre como antes.
+function resolveImpulsadorPlaza(catalogo, plaza) {
+  if (!plaza || !catalogo || catalogo.isEmpty) {
+    return { plaza, error: null }
+  }
 
+  const entry = catalogo.findPlaza(plaza)
+  return entry
+    ? { plaza: entry.nombre, error: null }
+    : { plaza, error: `La plaza "${plaza}" no esta en el catalogo.` }
+}
+
+// Reglas de alta de impulsadores; las usa el alta individual y la importacion masiva.
+// Sin password el alta es por invitacion: el impulsador define su contrasena con el enlace.
+// Solo la importacion masiva puede traer password; el alta individual lo rechaza antes.
+function validateNewImpulsador(input = {}, { catalogo = null } = {}) {
+  const email = normalizeEmail(input.email)
+  const password = typeof input.password === 'string' ? input.password : ''
+  const nombre = normalizeText(input.nombre)
+  const plaza = normalizeNullableText(input.plaza)
+  const invite = !password
+  const user = { email, password, nombre, plaza, invite }
+
+  if (!email || !nombre) {
+    return { user, error: 'email y nombre son obligatorios.' }
+  }
+
+  if (!isValidEmail(email)) {
+    return { user, error: 'email invalido.' }
+  }
+
+  if (!invite && password.length < IMPULSADOR_PASSWORD_MIN_LENGTH) {
     return {
-      username: decoded.slice(0, separatorIndex),
-      password: decoded.slice(separatorIndex + 1),
+      user,
+      error: `La contrasena debe tener al menos ${IMPULSADOR_PASSWORD_MIN_LENGTH} caracteres.`,
+    }
+  }
+
+  const resolved = resolveImpulsadorPlaza(catalogo, plaza)
+  user.plaza = resolved.plaza
+  return { user, error: resolved.error }
+}
+
+function chunkArray(items, size) {
+  const chunks = []
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size))
+  }
+  return chunks
+}
+
+// Revisa cada fila y agrupa por alerta y detalle las que cambian, para guardarlas con una
+// actualizacion por grupo. Devuelve la alerta de cada fila revisada.
+function agruparRevisionGeocercas(rows, revisar, grupos) {
+  return rows.map((row) => {
+    const { alerta, detalle } = revisar(row)
+    const sinCambios =
+      alerta === (row.geocerca_alerta ?? null) && detalle === (row.geocerca_detalle ?? null)
+    if (!sinCambios) {
+      const key = `${alerta}|${detalle}`
+      const grupo = grupos.get(key) ?? { alerta, detalle, ids: [] }
+      grupo.ids.push(row.id)
+      grupos.set(key, grupo)
+    }
+    return alerta
+  })
+}
+
+// Ids sin repetir de los cambios de un lote que tocan campos de la revision de geocercas.
+function getIdsConCamposGeocerca(cambios, getIds) {
+  const ids = cambios
+    .filter((cambio) => GEOCERCA_CAMPOS_ACTIVACION.includes(cambio.field))
+    .flatMap((cambio) => getIds(cambio) ?? [])
+  return [...new Set(ids)]
+}
+
+// La web solo necesita cuantas filas cambio cada mapeo; los ids quedan en la base para deshacer.
+function toNormalizacionBatchSummary(batch) {
+  const { cambios, ...rest } = batch
+  return {
+    ...rest,
+    cambios: (Array.isArray(cambios) ? cambios : []).map((cambio) => ({
+      field: cambio.field,
+      from: cambio.from,
+      to: cambio.to,
+      rows: Array.isArray(cambio.ids) ? cambio.ids.length : 0,
+    })),
+  }
+}
+
+// Eventos de `activaciones.bulk_*` vistos desde una activacion: solo cuenta si le fue bien a ella.
+// La reasignacion guarda en `before` el impulsador anterior de cada fila.
+function toHistorialMasivo(event, activacionId) {
+  const anterior = Array.isArray(event.before)
+    ? event.before.find((row) => String(row?.id) === activacionId)
+    : null
+  const changes =
+    event.action === 'activaciones.bulk_reassign' && anterior
+      ? ['usuario_id', 'impulsador']
+          .filter((field) => (anterior[field] ?? null) !== (event.after?.[field] ?? null))
+          .map((field) => ({
+            field,
+            from: anterior[field] ?? null,
+            to: event.after?.[field] ?? null,
+          }))
+      : []
+
+  return {
+    id: event.id,
+    created_at: event.created_at,
+    actor_username: event.actor_username,
+    actor_role: event.actor_role,
+    action: event.action,
+    changes,
+  }
+}
+
+// Un lote de normalizacion aporta su aplicacion y, si se deshizo, el deshacer con los valores
+// invertidos (el deshacer salta las filas editadas despues del lote).
+function toHistorialNormalizacion(batch, activacionId) {
+  const cambios = (Array.isArray(batch.cambios) ? batch.cambios : []).filter(
+    (cambio) => Array.isArray(cambio.ids) && cambio.ids.map(String).includes(activacionId)
+  )
+  const eventos = [
+    {
+      id: `${batch.id}:apply`,
+      created_at: batch.created_at,
+      actor_username: batch.username,
+      actor_role: null,
+      action: 'data_quality.apply',
+      changes: cambios.map(({ field, from, to }) => ({ field, from, to })),
+    },
+  ]
+
+  if (batch.undone_at) {
+    eventos.push({
+      id: `${batch.id}:undo`,
+      created_at: batch.undone_at,
+      actor_username: batch.undone_by,
+      actor_role: null,
+      action: 'data_quality.undo',
+      changes: cambios.map(({ field, from, to }) => ({ field, from: to, to: from })),
+    })
+  }
+
+  return eventos
+}
+
+// PostgREST responde PGRST205 (o 42P01 de Postgres) si la tabla todavia no se creo.
+function isMissingTableError(error) {
+  return error?.code === 'PGRST205' || error?.code === '42P01'
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[%_\\]/g, '\\$&')
+}
+
+function quotePostgrestValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+function parseActivacionesFilters(query = {}) {
+  const rawDesde = normalizeDateFilter(query.desde)
+  const rawHasta = normalizeDateFilter(query.hasta)
+  const isReversed = rawDesde && rawHasta && rawDesde > rawHasta
+  const desde = isReversed ? rawHasta : rawDesde
+  const hasta = isReversed ? rawDesde : rawHasta
+
+  const flags = {}
+  for (const flag of ACTIVACIONES_BOOLEAN_FLAGS) {
+    const parsed = parseBooleanFilter(query[flag])
+    if (parsed !== null) {
+      flags[flag] = parsed
+    }
+  }
+
+  return {
+    plaza: getQueryText(query.plaza),
+    distrito: getQueryText(query.distrito),
+    impulsador: getQueryText(query.impulsador),
+    tipo: getQueryText(query.tipo),
+    desde,
+    hasta,
+    flags,
+    // `fuera` = cualquier alerta de geocerca; `plaza` o `distrito` = solo esa.
+    geocerca: ['fuera', ...GEOCERCA_ALERTAS].includes(getQueryText(query.geocerca))
+      ? getQueryText(query.geocerca)
+      : '',
+    // Estado de la revision de la foto: `sin_foto`, `pendiente`, `aprobada` o `rechazada`.
+    foto: FOTO_REVISION_FILTROS.includes(getQueryText(query.foto)) ? getQueryText(query.foto) : '',
+    papelera: parseBooleanFilter(query.papelera) === true,
+  }
+}
+
+function applyOrGroups(query, orGroups) {
+  if (!orGroups.length) {
+    return query
+  }
+
+  if (orGroups.length === 1) {
+    return query.or(orGroups[0])
+  }
+
+  return query.or(`and(${orGroups.map((group) => `or(${group})`).join(',')})`)
+}
+
+function toLikePatterns(terms) {
+  return terms.map((term) => quotePostgrestValue(`%${escapeLikePattern(term)}%`))
+}
+
+// La columna Plaza usa ciudad_activacion y cae a plaza cuando no existe, igual que la tabla web.
+// `plazaTerms`/`distritoTerms` (nombre y alias del catalogo) reemplazan al texto buscado.
+function applyActivacionesFilters(query, filters, { orGroups = [] } = {}) {
+  // Las activaciones en papelera solo aparecen cuando se pide esa vista.
+  let nextQuery = filters.papelera
+    ? query.not('deleted_at', 'is', null)
+    : query.is('deleted_at', null)
+  const groups = [...orGroups]
+
+  if (filters.plaza) {
+    groups.push(
+      toLikePatterns(filters.plazaTerms ?? [filters.plaza])
+        .map(
+          (pattern) =>
+            `ciudad_activacion.ilike.${pattern},and(ciudad_activacion.is.null,plaza.ilike.${pattern})`
+        )
+        .join(',')
+    )
+  }
+
+  if (filters.distrito) {
+    groups.push(
+      toLikePatterns(filters.distritoTerms ?? [filters.distrito])
+        .map((pattern) => `zona_activacion.ilike.${pattern}`)
+        .join(',')
+    )
+  }
+
+  if (filters.impulsador) {
+    nextQuery = nextQuery.ilike('impulsador', `%${escapeLikePattern(filters.impulsador)}%`)
+  }
+
+  if (filters.tipo) {
+    nextQuery = nextQuery.ilike('tipo_activacion', `%${escapeLikePattern(filters.tipo)}%`)
+  }
+
+  if (filters.desde) {
+    nextQuery = nextQuery.gte('fecha_activacion', filters.desde)
+  }
+
+  if (filters.hasta) {
+    nextQuery = nextQuery.lte('fecha_activacion', filters.hasta)
+  }
+
+  if (filters.geocerca === 'fuera') {
+    nextQuery = nextQuery.not('geocerca_alerta', 'is', null)
+  } else if (filters.geocerca) {
+    nextQuery = nextQuery.eq('geocerca_alerta', filters.geocerca)
+  }
+
+  if (filters.foto === 'sin_foto') {
+    groups.push('foto_url.is.null,foto_url.eq.""')
+  } else if (filters.foto === 'pendiente') {
+    nextQuery = nextQuery.not('foto_url', 'is', null).neq('foto_url', '').is('foto_revision', null)
+  } else if (filters.foto) {
+    nextQuery = nextQuery.eq('foto_revision', filters.foto)
+  }
+
+  for (const [flag, expected] of Object.entries(filters.flags ?? {})) {
+    if (expected) {
+      nextQuery = nextQuery.eq(flag, true)
+    } else {
+      groups.push(`${flag}.is.null,${flag}.eq.false`)
+    }
+  }
+
+  return applyOrGroups(nextQuery, groups)
+}
+
+function parseActivacionesSort(query = {}) {
+  const requestedColumn = getQueryText(query.sort)
+  const column = ACTIVACIONES_SORTABLE_COLUMNS.includes(requestedColumn)
+    ? requestedColumn
+    : 'created_at'
+  const ascending = getQueryText(query.order).toLowerCase() === 'asc'
+
+  return { column, ascending }
+}
+
+function encodeActivacionesCursor(row, sort) {
+  const payload = {
+    column: sort.column,
+    ascending: sort.ascending,
+    value: row?.[sort.column] ?? null,
+    id: row?.id ?? null,
+  }
+
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url')
+}
+
+function decodeActivacionesCursor(rawCursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(rawCursor, 'base64url').toString('utf8'))
+
+    if (
+      !parsed ||
+      parsed.column !== sort.column ||
+      parsed.ascending !== sort.ascending ||
+      parsed.id == null
+    ) {
+      return null
     }
+
+    return { value: parsed.value ?? null, id: parsed.id }
   } catch {
     return null
   }
 }
 
-function parseLimit(value, { fallback = 50, min = 1, max = 200 } = {}) {
-  const parsed = Number.parseInt(String(value ?? ''), 10)
+// Paginacion por llave (columna de orden + id) con nulos siempre al final.
+function buildActivacionesCursorGroup(sort, cursor) {
+  const operator = sort.ascending ? 'gt' : 'lt'
+  const column = sort.column
+  const idCondition = `id.${operator}.${quotePostgrestValue(cursor.id)}`
 
-  if (!Number.isInteger(parsed)) {
-    return fallback
+  if (cursor.value == null) {
+    return `and(${column}.is.null,${idCondition})`
   }
 
-  return Math.min(max, Math.max(min, parsed))
+  const value = quotePostgrestValue(cursor.value)
+  return `${column}.${operator}.${value},${column}.is.null,and(${column}.eq.${value},${idCondition})`
 }
 
 function parseOptionalMegabytes(rawValue) {
@@ -200,6 +767,11 @@ function parseOptionalMegabytes(rawValue) {
   return Math.round(parsed * 1024 * 1024)
 }
 
+function parsePositiveInteger(rawValue, fallback) {
+  const parsed = Number.parseInt(String(rawValue ?? ''), 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
 function resolveActivacionesBucket(env) {
   const adminBucket = normalizeText(env.ADMIN_STORAGE_BUCKET_ACTIVACIONES)
   if (adminBucket) {
@@ -284,11 +856,11 @@ function resolveStorageObjectPathFromFotoUrl(fotoUrl, bucketName) {
   return decodeURIComponentSafe(path).replace(/^\/+/, '')
 }
 
-async function calculateBucketUsageBytes(adminSupabase, bucketName) {
+// Recorre todo el bucket (carpetas incluidas) y devuelve cada archivo con su ruta y tamano.
+async function listBucketObjects(adminSupabase, bucketName) {
   const directoriesQueue = ['']
   const visitedDirectories = new Set()
-  let totalBytes = 0
-  let totalObjects = 0
+  const objects = []
 
   while (directoriesQueue.length > 0) {
     const currentDirectory = directoriesQueue.shift() ?? ''
@@ -323,11 +895,11 @@ async function calculateBucketUsageBytes(adminSupabase, bucketName) {
           continue
         }
 
+        const path = currentDirectory ? `${currentDirectory}/${name}` : name
         const isDirectory = item?.id == null && !item?.metadata
         if (isDirectory) {
-          const nextDirectory = currentDirectory ? `${currentDirectory}/${name}` : name
-          if (!visitedDirectories.has(nextDirectory)) {
-            directoriesQueue.push(nextDirectory)
+          if (!visitedDirectories.has(path)) {
+            directoriesQueue.push(path)
           }
           continue
         }
@@ -336,17 +908,17 @@ async function calculateBucketUsageBytes(adminSupabase, bucketName) {
           continue
         }
 
-        totalObjects += 1
-
         const sizeCandidate =
           item?.metadata?.size ??
           item?.metadata?.contentLength ??
           item?.metadata?.content_length
         const size = Number(sizeCandidate)
 
-        if (Number.isFinite(size) && size > 0) {
-          totalBytes += size
-        }
+        objects.push({
+          path,
+          size: Number.isFinite(size) && size > 0 ? size : 0,
+          updated_at: item?.updated_at ?? item?.created_at ?? null,
+        })
       }
 
       if (data.length < limit) {
@@ -357,9 +929,15 @@ async function calculateBucketUsageBytes(adminSupabase, bucketName) {
     }
   }
 
+  return objects
+}
+
+async function calculateBucketUsageBytes(adminSupabase, bucketName) {
+  const objects = await listBucketObjects(adminSupabase, bucketName)
+
   return {
-    totalBytes,
-    totalObjects,
+    totalBytes: objects.reduce((total, object) => total + object.size, 0),
+    totalObjects: objects.length,
   }
 }
 
@@ -574,6 +1152,32 @@ export function createAdminApiApp({ env = process.env } = {}) {
     configuredStorageLimitBytes == null ? 'supabase_free_default' : 'env_admin_storage_limit_mb'
   const databaseLimitSource =
     configuredDatabaseLimitBytes == null ? 'supabase_free_default' : 'env_admin_database_limit_mb'
+  const accessTokenTtlSeconds = parseTtlSeconds(env.ADMIN_SESSION_TTL_MINUTES, {
+    fallback: DEFAULT_ACCESS_TOKEN_TTL_SECONDS,
+    unitSeconds: 60,
+  })
+  const refreshTokenTtlSeconds = parseTtlSeconds(env.ADMIN_REFRESH_TTL_HOURS, {
+    fallback: DEFAULT_REFRESH_TOKEN_TTL_SECONDS,
+    unitSeconds: 60 * 60,
+  })
+  const activacionesRetentionSeconds = parseTtlSeconds(env.ADMIN_ACTIVACIONES_RETENTION_DAYS, {
+    fallback: DEFAULT_ACTIVACIONES_RETENTION_DAYS * 24 * 60 * 60,
+    unitSeconds: 24 * 60 * 60,
+  })
+  const activacionesRetentionDays = Math.round(activacionesRetentionSeconds / (24 * 60 * 60))
+  const exportsBucket = normalizeText(env.ADMIN_EXPORTS_BUCKET) || DEFAULT_EXPORTS_BUCKET
+  // Pagina donde el impulsador define su contrasena; sin valor Supabase usa el Site URL.
+  const authRedirectUrl = normalizeText(env.ADMIN_AUTH_REDIRECT_URL)
+  const authRedirectOptions = authRedirectUrl ? { redirectTo: authRedirectUrl } : {}
+  const exportMaxRows = parsePositiveInteger(env.ADMIN_EXPORT_MAX_ROWS, DEFAULT_EXPORT_MAX_ROWS)
+  const exportMaxPhotoRows = parsePositiveInteger(
+    env.ADMIN_EXPORT_MAX_PHOTO_ROWS,
+    DEFAULT_EXPORT_MAX_PHOTO_ROWS
+  )
+  const exportTtlSeconds = parseTtlSeconds(env.ADMIN_EXPORT_TTL_HOURS, {
+    fallback: DEFAULT_EXPORT_TTL_SECONDS,
+    unitSeconds: 60 * 60,
+  })
   const adminSupabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
     auth: {
       autoRefreshToken: false,
@@ -595,7 +1199,7 @@ export function createAdminApiApp({ env = process.env } = {}) {
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin)
       res.setHeader('Vary', 'Origin')
-      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS')
+      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS')
       res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization')
     }
 
@@ -607,531 +1211,5297 @@ export function createAdminApiApp({ env = process.env } = {}) {
     next()
   })
 
-  app.use(express.json())
+  app.use(express.json({ limit: '1mb' }))
 
-  function requireAdminBasicAuth(req, res, next) {
-    const parsed = parseBasicAuth(req.headers.authorization)
-
-    if (!parsed) {
-      res.setHeader('WWW-Authenticate', 'Basic realm="admin-api"')
-      jsonError(res, 401, 'Credenciales requeridas.')
-      return
+  // Cuenta de arranque definida por entorno, para crear las primeras cuentas nominales.
+  function matchBootstrapAdmin(credentials) {
+    if (!env.ADMIN_BASIC_USER || !env.ADMIN_BASIC_PASS) {
+      return null
     }
 
-    const isValidUser = timingSafeEqualText(parsed.username, env.ADMIN_BASIC_USER)
-    const isValidPass = timingSafeEqualText(parsed.password, env.ADMIN_BASIC_PASS)
+    const isValidUser = timingSafeEqualText(credentials.username, env.ADMIN_BASIC_USER)
+    const isValidPass = timingSafeEqualText(credentials.password, env.ADMIN_BASIC_PASS)
 
     if (!isValidUser || !isValidPass) {
-      jsonError(res, 401, 'Credenciales invalidas.')
-      return
+      return null
     }
 
-    req.adminUser = parsed.username
-    next()
+    return buildBootstrapPrincipal()
   }
 
-  app.get('/healthz', (_req, res) => {
-    res.json({ ok: true })
-  })
+  function buildBootstrapPrincipal() {
+    return {
+      id: null,
+      username: env.ADMIN_BASIC_USER,
+      nombre: env.ADMIN_BASIC_USER,
+      role: 'superadmin',
+      source: 'env',
+    }
+  }
 
-  app.use('/admin', requireAdminBasicAuth)
+  function buildAccountPrincipal(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      nombre: account.nombre ?? account.username,
+      role: account.role,
+      source: 'account',
+    }
+  }
 
-  app.get('/admin/healthz', (_req, res) => {
-    res.json({ ok: true })
-  })
+  async function authenticateAdminCredentials(credentials) {
+    const bootstrapAdmin = matchBootstrapAdmin(credentials)
+    if (bootstrapAdmin) {
+      return bootstrapAdmin
+    }
 
-  app.get(
-    '/admin/users',
-    asyncRoute(async (_req, res) => {
-      const { data, error } = await adminSupabase
-        .from('activadores')
-        .select('usuario_id, email, nombre, plaza')
-        .order('nombre', { ascending: true })
+    const account = await findActiveAdminAccount(adminSupabase, credentials.username)
+    const isValidPass = await verifyAdminPassword(credentials.password, account?.password_hash)
 
-      if (error) {
-        jsonError(res, 500, error.message)
-        return
-      }
+    return account && isValidPass ? buildAccountPrincipal(account) : null
+  }
 
-      res.json({ users: data ?? [] })
-    })
-  )
+  async function issueAdminSession(principal, req) {
+    const refreshToken = generateRefreshToken()
+    const refreshExpiresAt = new Date(Date.now() + refreshTokenTtlSeconds * 1000).toISOString()
+
+    const { data: session, error: sessionErr } = await adminSupabase
+      .from('admin_sessions')
+      .insert({
+        account_id: principal.id,
+        username: principal.username,
+        refresh_token_hash: hashRefreshToken(refreshToken),
+        expires_at: refreshExpiresAt,
+        ip: req.ip ?? null,
+        user_agent: normalizeNullableText(req.headers['user-agent']),
+      })
+      .select('id')
+      .single()
 
-  app.post(
-    '/admin/users',
-    asyncRoute(async (req, res) => {
-      const rawEmail = req.body?.email
-      const rawPassword = req.body?.password
-      const rawNombre = req.body?.nombre
-      const rawPlaza = req.body?.plaza
+    if (sessionErr || !session?.id) {
+      throw new Error(sessionErr?.message ?? 'No se pudo registrar la sesion admin.')
+    }
 
-      const email = normalizeEmail(rawEmail)
-      const password = typeof rawPassword === 'string' ? rawPassword : ''
-      const nombre = normalizeText(rawNombre)
-      const plaza = normalizeNullableText(rawPlaza)
+    return {
+      sessionId: session.id,
+      payload: buildSessionPayload(principal, session.id, refreshToken, refreshExpiresAt),
+    }
+  }
 
-      if (!email || !password || !nombre) {
-        jsonError(res, 400, 'email, password y nombre son obligatorios.')
-        return
-      }
+  function buildSessionPayload(principal, sessionId, refreshToken, refreshExpiresAt) {
+    const accessToken = signAccessToken(
+      {
+        sub: principal.id,
+        usr: principal.username,
+        name: principal.nombre,
+        role: principal.role,
+        src: principal.source,
+        sid: sessionId,
+      },
+      env.ADMIN_SESSION_SECRET,
+      accessTokenTtlSeconds
+    )
 
-      if (!isValidEmail(email)) {
-        jsonError(res, 400, 'email invalido.')
+    return {
+      access_token: accessToken.token,
+      access_token_expires_at: accessToken.expiresAt,
+      refresh_token: refreshToken,
+      refresh_token_expires_at: refreshExpiresAt,
+      account: principal,
+    }
+  }
+
+  async function revokeAdminSessions(filterColumn, filterValue) {
+    const { error } = await adminSupabase
+      .from('admin_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq(filterColumn, filterValue)
+      .is('revoked_at', null)
+
+    if (error) {
+      throw new Error(error.message)
+    }
+  }
+
+  async function authenticateBearer(token) {
+    const claims = verifyAccessToken(token, env.ADMIN_SESSION_SECRET)
+    if (!claims?.sid) {
+      return null
+    }
+
+    const { data: session, error } = await adminSupabase
+      .from('admin_sessions')
+      .select('id, revoked_at, expires_at')
+      .eq('id', claims.sid)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(error.message)
+    }
+
+    if (!session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+      return null
+    }
+
+    return {
+      principal: {
+        id: claims.sub ?? null,
+        username: claims.usr,
+        nombre: claims.name ?? claims.usr,
+        role: claims.role,
+        source: claims.src,
+      },
+      sessionId: session.id,
+    }
+  }
+
+  async function requireAdminAuth(req, res, next) {
+    // Solo access tokens: el password se envia unicamente en `POST /admin/session`.
+    const bearerToken = parseBearerToken(req.headers.authorization)
+
+    if (!bearerToken) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="admin-api"')
+      jsonError(res, 401, 'Credenciales requeridas.')
+      return
+    }
+
+    try {
+      const authenticated = await authenticateBearer(bearerToken)
+      if (!authenticated) {
+        jsonError(res, 401, 'Sesion expirada o revocada.')
         return
       }
 
-      if (password.length < 6) {
-        jsonError(res, 400, 'La contrasena debe tener al menos 6 caracteres.')
+      req.adminUser = authenticated.principal
+      req.adminSessionId = authenticated.sessionId
+      next()
+    } catch (error) {
+      jsonError(
+        res,
+        500,
+        'No se pudo validar la cuenta admin.',
+        error instanceof Error ? error.message : undefined
+      )
+    }
+  }
+
+  function requireAdminRole(requiredRole) {
+    return (req, res, next) => {
+      if (!hasRequiredRole(req.adminUser?.role, requiredRole)) {
+        jsonError(res, 403, `Tu cuenta no tiene permisos para esta accion (requiere ${requiredRole}).`)
         return
       }
 
-      const { data: created, error: createErr } = await adminSupabase.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true,
-        user_metadata: { nombre, plaza },
+      next()
+    }
+  }
+
+  async function recordAuditEvent(req, event) {
+    try {
+      await insertAdminAuditEvent(adminSupabase, {
+        actor: event.actor ?? req.audit?.actor ?? req.adminUser ?? null,
+        sessionId: req.adminSessionId ?? null,
+        ip: req.ip ?? null,
+        userAgent: normalizeNullableText(req.headers['user-agent']),
+        ...event,
       })
+    } catch (error) {
+      console.error(
+        '[admin-api] No se pudo registrar evento de auditoria:',
+        event.action,
+        error instanceof Error ? error.message : error
+      )
+    }
+  }
 
-      if (createErr || !created?.user) {
-        jsonError(res, 400, createErr?.message ?? 'No se pudo crear el usuario en Auth.')
-        return
+  // Registra la accion al responder: los handlers completan req.audit con target y snapshots.
+  // La respuesta espera a la insercion para no perder el evento en entornos serverless.
+  function auditMutation(action, { targetType = null, targetParam = null } = {}) {
+    return (req, res, next) => {
+      req.audit = {
+        action,
+        targetType,
+        targetId: targetParam ? normalizeText(req.params?.[targetParam]) || null : null,
+        before: null,
+        after: null,
+        details: null,
+        outcome: null,
       }
 
-      const insertedUser = {
-        usuario_id: created.user.id,
-        email,
-        nombre,
-        plaza,
-      }
+      const sendJson = res.json.bind(res)
+      let recorded = false
 
-      const { error: insertErr } = await adminSupabase.from('activadores').insert(insertedUser)
+      res.json = (body) => {
+        if (recorded) {
+          return sendJson(body)
+        }
 
-      if (insertErr) {
-        await adminSupabase.auth.admin.deleteUser(created.user.id)
+        recorded = true
+        const statusCode = res.statusCode
+        const { outcome, ...auditContext } = req.audit
+
+        recordAuditEvent(req, {
+          ...auditContext,
+          outcome: outcome ?? resolveAuditOutcome(statusCode),
+          statusCode,
+          errorMessage: statusCode >= 400 ? normalizeNullableText(body?.error) : null,
+        }).finally(() => {
+          sendJson(body)
+        })
+
+        return res
+      }
+
+      next()
+    }
+  }
+
+  function getAdminActorName(req) {
+    return normalizeText(req.adminUser?.nombre) || normalizeText(req.adminUser?.username) || 'admin'
+  }
+
+  // Borra las fotos de varias activaciones con una sola llamada a Storage y devuelve un
+  // `photoDelete` por URL, en el mismo orden.
+  async function removeActivacionPhotos(fotoUrls) {
+    const storageObjectPaths = fotoUrls.map((fotoUrl) =>
+      resolveStorageObjectPathFromFotoUrl(fotoUrl, activacionesBucket)
+    )
+    const pathsToRemove = storageObjectPaths.filter(Boolean)
+
+    const { error: removePhotoErr } = pathsToRemove.length
+      ? await adminSupabase.storage.from(activacionesBucket).remove(pathsToRemove)
+      : { error: null }
+
+    return storageObjectPaths.map((storageObjectPath) => {
+      const failed = Boolean(storageObjectPath && removePhotoErr)
+      return {
+        attempted: Boolean(storageObjectPath),
+        ok: !failed,
+        bucket: activacionesBucket,
+        object_path: storageObjectPath ?? null,
+        message: failed
+          ? removePhotoErr.message
+          : storageObjectPath
+            ? 'Foto eliminada correctamente.'
+            : 'La activacion no tenia foto asociada.',
+      }
+    })
+  }
+
+  // Borrado definitivo de activaciones en papelera, un lote por llamada; la foto solo se borra si
+  // el registro se elimino.
+  async function purgeActivaciones(rows) {
+    const { data: deletedRows, error: deleteErr } = await adminSupabase
+      .from('activaciones')
+      .delete()
+      .in('id', rows.map((row) => row.id))
+      .not('deleted_at', 'is', null)
+      .select('id')
+
+    const deletedIds = new Set((deletedRows ?? []).map((row) => String(row.id)))
+    const purgedRows = deleteErr ? [] : rows.filter((row) => deletedIds.has(String(row.id)))
+    const photoDeletes = await removeActivacionPhotos(purgedRows.map((row) => row.foto_url))
+    const photoDeleteById = new Map(
+      purgedRows.map((row, index) => [String(row.id), photoDeletes[index]])
+    )
+
+    return rows.map((row) =>
+      photoDeleteById.has(String(row.id))
+        ? {
+            id: row.id,
+            deleted_activation: true,
+            photoDelete: photoDeleteById.get(String(row.id)),
+          }
+        : {
+            id: row.id,
+            deleted_activation: false,
+            error: deleteErr?.message ?? 'La activacion ya no estaba en la papelera.',
+            photoDelete: null,
+          }
+    )
+  }
+
+  async function purgeActivacion(row) {
+    const [result] = await purgeActivaciones([row])
+    return result
+  }
+
+  // Purga por lotes las activaciones cuya retencion en papelera vencio.
+  async function respondWithExpiredPurge(req, res) {
+    const cutoff = new Date(Date.now() - activacionesRetentionSeconds * 1000).toISOString()
+
+    const { data: expiredRows, count, error: expiredErr } = await adminSupabase
+      .from('activaciones')
+      .select('id, foto_url, deleted_at', { count: 'exact' })
+      .not('deleted_at', 'is', null)
+      .lte('deleted_at', cutoff)
+      .order('deleted_at', { ascending: true })
+      .limit(ACTIVACIONES_PURGE_BATCH_SIZE)
+
+    if (expiredErr) {
+      jsonError(res, 500, 'No se pudo obtener activaciones vencidas en papelera.', expiredErr.message)
+      return
+    }
+
+    const results = []
+    for (const rowsChunk of chunkArray(expiredRows ?? [], ACTIVACIONES_BULK_CHUNK_SIZE)) {
+      results.push(...(await purgeActivaciones(rowsChunk)))
+    }
+
+    const purged = results.filter((item) => item.deleted_activation)
+    const photoFailures = purged.filter((item) => item.photoDelete?.ok === false)
+    const summary = {
+      cutoff,
+      retention_days: activacionesRetentionDays,
+      purged: purged.length,
+      failed: results.length - purged.length,
+      photo_delete_failed: photoFailures.length,
+      remaining: Math.max(0, (count ?? 0) - purged.length),
+    }
+
+    req.audit.details = { ...summary, results }
+
+    const payload = { ok: summary.failed === 0, ...summary, results }
+    if (photoFailures.length) {
+      payload.warning =
+        'Algunas activaciones se eliminaron, pero no fue posible borrar sus fotos del almacenamiento.'
+    }
+
+    res.json(payload)
+  }
+
+  // Resuelve la seleccion masiva: ids explicitos o "todas las que coinciden con los filtros".
+  async function resolveBulkActivacionesSelection(body) {
+    const excludedIds = new Set(normalizeIdList(body.exclude_ids))
+
+    if (body.filters && typeof body.filters === 'object') {
+      const filters = await parseActivacionesFiltersWithCatalog(body.filters)
+      const ids = []
+      let from = 0
+
+      while (true) {
+        const { data, error } = await applyActivacionesFilters(
+          adminSupabase.from('activaciones').select('id'),
+          filters
+        )
+          .order('id', { ascending: true })
+          .range(from, from + ACTIVACIONES_BULK_PAGE_SIZE - 1)
+
+        if (error) {
+          return { status: 500, error: `No se pudo resolver la seleccion: ${error.message}` }
+        }
+
+        for (const row of data ?? []) {
+          const id = String(row.id)
+          if (!excludedIds.has(id)) {
+            ids.push(id)
+          }
+        }
+
+        if (ids.length > ACTIVACIONES_BULK_MAX_ITEMS) {
+          return {
+            status: 400,
+            error: `La seleccion supera el maximo de ${ACTIVACIONES_BULK_MAX_ITEMS} activaciones. Ajusta los filtros.`,
+          }
+        }
+
+        if (!data || data.length < ACTIVACIONES_BULK_PAGE_SIZE) {
+          break
+        }
+
+        from += ACTIVACIONES_BULK_PAGE_SIZE
+      }
+
+      if (!ids.length) {
+        return { status: 400, error: 'Ninguna activacion coincide con los filtros indicados.' }
+      }
+
+      return { mode: 'filters', ids }
+    }
+
+    const ids = normalizeIdList(body.ids).filter((id) => !excludedIds.has(id))
+    if (!ids.length) {
+      return { status: 400, error: 'Indica ids o filters para seleccionar activaciones.' }
+    }
+
+    if (ids.length > ACTIVACIONES_BULK_MAX_ITEMS) {
+      return {
+        status: 400,
+        error: `La seleccion supera el maximo de ${ACTIVACIONES_BULK_MAX_ITEMS} activaciones.`,
+      }
+    }
+
+    return { mode: 'ids', ids }
+  }
+
+  // Valores permitidos por campo de catalogo (`activaciones_opciones`). Sin la tabla no hay
+  // opciones y los campos aceptan texto libre.
+  async function loadActivacionOpciones(fields = ACTIVACIONES_CATALOG_FIELDS) {
+    const opciones = Object.fromEntries(fields.map((field) => [field, []]))
+    const { data, error } = await adminSupabase
+      .from('activaciones_opciones')
+      .select('campo, valor')
+      .in('campo', fields)
+      .order('valor', { ascending: true })
+
+    if (error) {
+      return { opciones, error: isMissingTableError(error) ? null : error }
+    }
+
+    for (const row of data ?? []) {
+      opciones[row.campo]?.push(row.valor)
+    }
+    return { opciones, error: null }
+  }
+
+  function getExportFotoUrl(fotoUrl) {
+    const storageObjectPath = resolveStorageObjectPathFromFotoUrl(fotoUrl, activacionesBucket)
+    if (!storageObjectPath) {
+      return /^https?:\/\//i.test(normalizeText(fotoUrl)) ? normalizeText(fotoUrl) : ''
+    }
+
+    return adminSupabase.storage.from(activacionesBucket).getPublicUrl(storageObjectPath).data
+      .publicUrl
+  }
+
+  async function loadExportPhoto(row) {
+    const storageObjectPath = resolveStorageObjectPathFromFotoUrl(row.foto_url, activacionesBucket)
+
+    if (storageObjectPath) {
+      const { data, error } = await adminSupabase.storage
+        .from(activacionesBucket)
+        .download(storageObjectPath)
+
+      if (error || !data) {
+        return null
+      }
+
+      return { buffer: Buffer.from(await data.arrayBuffer()), contentType: data.type }
+    }
+
+    const externalUrl = getExportFotoUrl(row.foto_url)
+    if (!externalUrl) {
+      return null
+    }
+
+    const response = await fetch(externalUrl)
+    if (!response.ok) {
+      return null
+    }
+
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type'),
+    }
+  }
+
+  // Lee todas las filas de la exportacion por paginas, en el mismo orden que la tabla.
+  async function fetchActivacionesForExport(filters, sort, onProgress) {
+    const rows = []
+
+    while (true) {
+      const { data, error } = await applyActivacionesFilters(
+        adminSupabase.from('activaciones').select('*'),
+        filters
+      )
+        .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+        .order('id', { ascending: sort.ascending })
+        .range(rows.length, rows.length + EXPORT_PAGE_SIZE - 1)
+
+      if (error) {
+        throw new Error(`No se pudo leer activaciones: ${error.message}`)
+      }
+
+      rows.push(...(data ?? []))
+      onProgress(rows.length)
+
+      if (!data || data.length < EXPORT_PAGE_SIZE) {
+        return rows
+      }
+    }
+  }
+
+  // Limpieza oportunista: cada nueva exportacion borra archivos y registros vencidos.
+  async function removeExpiredExportJobs() {
+    const { data: expiredJobs, error } = await adminSupabase
+      .from('admin_export_jobs')
+      .select('id, file_path')
+      .lte('expires_at', new Date().toISOString())
+      .limit(EXPORT_CLEANUP_BATCH_SIZE)
+
+    if (error || !expiredJobs?.length) {
+      return
+    }
+
+    const filePaths = expiredJobs.map((job) => job.file_path).filter(Boolean)
+    if (filePaths.length) {
+      const { error: removeErr } = await adminSupabase.storage.from(exportsBucket).remove(filePaths)
+      if (removeErr) {
+        console.error('[admin-api] No se pudieron borrar exportaciones vencidas:', removeErr.message)
+        return
+      }
+    }
+
+    await adminSupabase
+      .from('admin_export_jobs')
+      .delete()
+      .in('id', expiredJobs.map((job) => job.id))
+  }
+
+  // Crea el usuario en Auth y su fila en activadores. Si la fila falla se borra el usuario
+  // de Auth para no dejar cuentas huerfanas, y la compensacion queda en la auditoria.
+  async function createImpulsador(req, { email, password, nombre, plaza, invite = false }) {
+    let created
+    let createErr
+    let inviteLink = null
+
+    if (invite) {
+      const { data, error } = await adminSupabase.auth.admin.generateLink({
+        type: 'invite',
+        email,
+        options: { data: { nombre, plaza }, ...authRedirectOptions },
+      })
+      created = data
+      createErr = error
+      inviteLink = data?.properties?.action_link ?? null
+    } else {
+      const { data, error } = await adminSupabase.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+        user_metadata: { nombre, plaza },
+      })
+      created = data
+      createErr = error
+    }
+
+    if (createErr || !created?.user) {
+      return {
+        ok: false,
+        stage: 'auth',
+        error: createErr?.message ?? 'No se pudo crear el usuario en Auth.',
+      }
+    }
+
+    const insertedUser = {
+      usuario_id: created.user.id,
+      email,
+      nombre,
+      plaza,
+    }
+
+    const { error: insertErr } = await adminSupabase.from('activadores').insert(insertedUser)
+
+    if (insertErr) {
+      const { error: rollbackErr } = await adminSupabase.auth.admin.deleteUser(created.user.id)
+      await recordAuditEvent(req, {
+        action: 'users.create.rollback',
+        targetType: 'user',
+        targetId: created.user.id,
+        before: insertedUser,
+        after: null,
+        outcome: rollbackErr ? 'error' : 'success',
+        errorMessage: rollbackErr?.message ?? null,
+        details: { reason: insertErr.message, compensated: 'auth_user_deleted' },
+      })
+
+      return {
+        ok: false,
+        stage: 'activadores',
+        usuarioId: created.user.id,
+        rolledBack: !rollbackErr,
+        error:
+          'No se pudo guardar el usuario en activadores. Se revirtio la creacion en Auth automaticamente.',
+        details: insertErr.message,
+      }
+    }
+
+    return { ok: true, usuarioId: created.user.id, user: insertedUser, inviteLink }
+  }
+
+  async function findExistingActivadorEmails(emails) {
+    const existing = new Set()
+
+    for (const chunk of chunkArray(emails, IMPULSADORES_IMPORT_EMAIL_CHUNK_SIZE)) {
+      const { data, error } = await adminSupabase
+        .from('activadores')
+        .select('email')
+        .in('email', chunk)
+
+      if (error) {
+        throw new Error(`No se pudo validar emails existentes: ${error.message}`)
+      }
+
+      for (const row of data ?? []) {
+        existing.add(normalizeEmail(row.email))
+      }
+    }
+
+    return existing
+  }
+
+  // El catalogo de plazas es chico: se lee completo (con distritos) cada vez que se necesita.
+  async function loadPlazasCatalogo() {
+    const { data, error } = await adminSupabase
+      .from('plazas')
+      .select(PLAZAS_CATALOGO_COLUMNS)
+      .order('nombre', { ascending: true })
+
+    return { plazas: data ?? [], error }
+  }
+
+  // Metas de la semana y del mes que contienen `fecha` (o solo de `periodo`), con su avance a hoy.
+  async function loadAvanceMetas(fecha, { periodo = null } = {}) {
+    const inicios = iniciosPeriodo(fecha)
+    const periodos = periodo ? [periodo] : META_PERIODOS
+    const { data: metas, error } = await adminSupabase
+      .from('metas')
+      .select(META_COLUMNS)
+      .or(periodos.map((item) => `and(periodo.eq.${item},inicio.eq.${inicios[item]})`).join(','))
+
+    if (error || !metas?.length) {
+      return { metas: [], error }
+    }
+
+    const usuarioIds = [...new Set(metas.map((meta) => meta.usuario_id).filter(Boolean))]
+    const rangos = [
+      ...new Map(
+        metas.map((meta) => {
+          const rango = rangoMeta(meta)
+          return [`${rango.desde}|${rango.hasta}`, rango]
+        })
+      ).values(),
+    ]
+
+    const [
+      { plazas, error: catalogoErr },
+      { data: activadores, error: activadoresErr },
+      ...conteos
+    ] = await Promise.all([
+      loadPlazasCatalogo(),
+      usuarioIds.length
+        ? adminSupabase.from('activadores').select('usuario_id, nombre').in('usuario_id', usuarioIds)
+        : { data: [], error: null },
+      ...rangos.map((rango) =>
+        adminSupabase.rpc('get_activaciones_avance_metas', {
+          p_desde: rango.desde,
+          p_hasta: rango.hasta,
+        })
+      ),
+    ])
+
+    const loadErr = catalogoErr ?? activadoresErr ?? conteos.find((item) => item.error)?.error
+    if (loadErr) {
+      return { metas: [], error: loadErr }
+    }
+
+    return {
+      metas: buildAvanceMetas(metas, {
+        conteosPorRango: new Map(
+          rangos.map((rango, index) => [`${rango.desde}|${rango.hasta}`, conteos[index].data ?? []])
+        ),
+        catalogo: buildCatalogoIndex(plazas),
+        nombres: {
+          plazas: new Map(plazas.map((plaza) => [plaza.id, plaza.nombre])),
+          impulsadores: new Map(
+            (activadores ?? []).map((item) => [item.usuario_id, item.nombre])
+          ),
+        },
+        hoy: fechaHoyBolivia(),
+      }),
+      error: null,
+    }
+  }
+
+  // La plaza de una meta debe estar en el catalogo y el impulsador registrado en activadores.
+  async function findMetaReferenciaError(meta) {
+    const { data, error } =
+      meta.alcance === 'plaza'
+        ? await adminSupabase.from('plazas').select('id').eq('id', meta.plaza_id).maybeSingle()
+        : await adminSupabase
+            .from('activadores')
+            .select('usuario_id')
+            .eq('usuario_id', meta.usuario_id)
+            .maybeSingle()
+
+    if (error) {
+      return { status: 500, message: 'No se pudo validar la meta.', details: error.message }
+    }
+
+    if (!data) {
+      return {
+        status: 400,
+        message:
+          meta.alcance === 'plaza'
+            ? 'La plaza no esta en el catalogo.'
+            : 'El impulsador no esta registrado.',
+      }
+    }
+
+    return null
+  }
+
+  function sendMetaWriteError(res, error, fallbackMessage) {
+    const isDuplicate = error.code === '23505'
+    jsonError(
+      res,
+      isDuplicate ? 409 : 500,
+      isDuplicate ? 'Ya existe una meta para ese alcance y periodo.' : fallbackMessage,
+      isDuplicate ? undefined : error.message
+    )
+  }
+
+  // Si la plaza o el distrito filtrados estan en el catalogo, el filtro cubre tambien sus alias.
+  // Si el catalogo no se puede leer se filtra por el texto tal cual, como antes del catalogo.
+  async function parseActivacionesFiltersWithCatalog(query) {
+    const filters = parseActivacionesFilters(query)
+    if (!filters.plaza && !filters.distrito) {
+      return filters
+    }
+
+    const { plazas, error } = await loadPlazasCatalogo()
+    if (error) {
+      return filters
+    }
+
+    const catalogo = buildCatalogoIndex(plazas)
+    const plaza = filters.plaza ? catalogo.findPlaza(filters.plaza) : null
+    const distrito = filters.distrito
+      ? catalogo.findDistrito(filters.distrito, filters.plaza || null)
+      : null
+
+    if (plaza) {
+      filters.plazaTerms = [plaza.nombre, ...plaza.alias]
+    }
+    if (distrito) {
+      filters.distritoTerms = [distrito.nombre, ...distrito.alias]
+    }
+
+    return filters
+  }
+
+  async function loadGeocercas() {
+    const { data, error } = await adminSupabase.from('geocercas').select(GEOCERCA_COLUMNS)
+    return { geocercas: data ?? [], error }
+  }
+
+  // Recalcula la alerta de geocerca de las activaciones indicadas, por ejemplo tras cambiar su
+  // plaza o distrito en lote. Sin la tabla de geocercas no hay alertas que recalcular.
+  async function recalcularGeocercasActivaciones(ids) {
+    const resultado = { revisadas: 0, cambios: 0, error: null }
+    if (!ids.length) {
+      return resultado
+    }
+
+    const [{ plazas, error: catalogoErr }, { geocercas, error: geocercasErr }] =
+      await Promise.all([loadPlazasCatalogo(), loadGeocercas()])
+    if (isMissingTableError(geocercasErr)) {
+      return resultado
+    }
+
+    const readErr = catalogoErr ?? geocercasErr
+    if (readErr) {
+      return { ...resultado, error: readErr.message }
+    }
+
+    const { revisar } = buildGeocercaChecker(plazas, geocercas)
+    const grupos = new Map()
+    for (const idsChunk of chunkArray(ids, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+      const { data, error } = await adminSupabase
+        .from('activaciones')
+        .select(GEOCERCAS_SCAN_COLUMNS)
+        .in('id', idsChunk)
+
+      if (error) {
+        return { ...resultado, error: error.message }
+      }
+
+      resultado.revisadas += agruparRevisionGeocercas(data ?? [], revisar, grupos).length
+    }
+
+    const { cambios, error } = await guardarRevisionGeocercas(grupos)
+    return { ...resultado, cambios, error: error?.message ?? null }
+  }
+
+  // Guarda los grupos de `agruparRevisionGeocercas` por lotes de ids; `cambios` cuenta las filas
+  // actualizadas hasta un error.
+  async function guardarRevisionGeocercas(grupos) {
+    let cambios = 0
+    for (const grupo of grupos.values()) {
+      for (const idsChunk of chunkArray(grupo.ids, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { error } = await adminSupabase
+          .from('activaciones')
+          .update({ geocerca_alerta: grupo.alerta, geocerca_detalle: grupo.detalle })
+          .in('id', idsChunk)
+
+        if (error) {
+          return { cambios, error }
+        }
+
+        cambios += idsChunk.length
+      }
+    }
+
+    return { cambios, error: null }
+  }
+
+  // Ultima ejecucion exitosa de una revision completa (`geofences.check`, `anomalies.scan`),
+  // segun la auditoria.
+  async function loadUltimaRevision(action) {
+    const { data, error } = await adminSupabase
+      .from('admin_audit_log')
+      .select('created_at, actor_username, details')
+      .eq('action', action)
+      .eq('outcome', 'success')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    return { revision: data ?? null, error }
+  }
+
+  // La auditoria guarda el tamano de la geocerca, no el poligono completo.
+  function resumirGeocerca(row) {
+    if (!row) {
+      return null
+    }
+
+    const { geojson, ...rest } = row
+    return {
+      ...rest,
+      poligonos: geojson?.coordinates?.length ?? 0,
+      vertices: contarVerticesGeocerca(geojson),
+    }
+  }
+
+  function findGeocercaEntrada(plazas, tipo, entryId) {
+    if (tipo === 'plaza') {
+      return plazas.find((plaza) => plaza.id === entryId) ?? null
+    }
+
+    return (
+      plazas
+        .flatMap((plaza) => plaza.distritos ?? [])
+        .find((distrito) => distrito.id === entryId) ?? null
+    )
+  }
+
+  // PUT de la geocerca de una plaza o distrito: reemplaza la anterior si existia.
+  function saveGeocercaHandler(tipo) {
+    const param = tipo === 'plaza' ? 'plazaId' : 'distritoId'
+    const column = `${tipo}_id`
+
+    return asyncRoute(async (req, res) => {
+      const entryId = normalizeText(req.params?.[param])
+      const { geocerca, errors } = normalizeGeocercaInput(req.body?.geojson)
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const entrada = findGeocercaEntrada(plazas, tipo, entryId)
+      if (!entrada) {
+        jsonError(
+          res,
+          404,
+          tipo === 'plaza' ? 'No se encontro la plaza.' : 'No se encontro el distrito.'
+        )
+        return
+      }
+
+      const { data: previous, error: previousErr } = await adminSupabase
+        .from('geocercas')
+        .select(GEOCERCA_COLUMNS)
+        .eq(column, entryId)
+        .maybeSingle()
+
+      if (previousErr) {
+        jsonError(res, 500, 'No se pudo leer la geocerca.', previousErr.message)
+        return
+      }
+
+      req.audit.before = resumirGeocerca(previous)
+
+      const { data, error } = await adminSupabase
+        .from('geocercas')
+        .upsert(
+          {
+            [column]: entryId,
+            geojson: geocerca,
+            updated_at: new Date().toISOString(),
+            updated_by: getAdminActorName(req),
+          },
+          { onConflict: column }
+        )
+        .select(GEOCERCA_COLUMNS)
+        .single()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo guardar la geocerca.', error.message)
+        return
+      }
+
+      req.audit.after = resumirGeocerca(data)
+      req.audit.details = { nombre: entrada.nombre }
+      res.json({ geocerca: { ...data, tipo, nombre: entrada.nombre } })
+    })
+  }
+
+  function deleteGeocercaHandler(tipo) {
+    const param = tipo === 'plaza' ? 'plazaId' : 'distritoId'
+
+    return asyncRoute(async (req, res) => {
+      const entryId = normalizeText(req.params?.[param])
+
+      const { data, error } = await adminSupabase
+        .from('geocercas')
+        .delete()
+        .eq(`${tipo}_id`, entryId)
+        .select(GEOCERCA_COLUMNS)
+        .maybeSingle()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo eliminar la geocerca.', error.message)
+        return
+      }
+
+      if (!data) {
+        jsonError(res, 404, 'No hay geocerca para eliminar.')
+        return
+      }
+
+      req.audit.before = resumirGeocerca(data)
+      res.json({ ok: true })
+    })
+  }
+
+  // Lee una tabla completa por paginas de `ANOMALIAS_PAGE_SIZE`, ordenada por `orderColumn`.
+  async function loadAllRows(table, columns, orderColumn, configure = (query) => query) {
+    const rows = []
+
+    while (true) {
+      const { data, error } = await configure(adminSupabase.from(table).select(columns))
+        .order(orderColumn, { ascending: true })
+        .range(rows.length, rows.length + ANOMALIAS_PAGE_SIZE - 1)
+
+      if (error) {
+        return { rows, error }
+      }
+
+      rows.push(...(data ?? []))
+
+      if (!data || data.length < ANOMALIAS_PAGE_SIZE) {
+        return { rows, error: null }
+      }
+    }
+  }
+
+  // Compara el bucket de fotos con todas las activaciones (tambien las de papelera).
+  async function loadConciliacionFotos() {
+    let objetos = []
+    try {
+      objetos = await listBucketObjects(adminSupabase, activacionesBucket)
+    } catch (error) {
+      return {
+        error: {
+          message: 'No se pudo listar el bucket de fotos.',
+          details: error instanceof Error ? error.message : undefined,
+        },
+      }
+    }
+
+    const { rows, error } = await loadAllRows(
+      'activaciones',
+      CONCILIACION_ACTIVACION_COLUMNS,
+      'id',
+      (query) => query.not('foto_url', 'is', null).neq('foto_url', '')
+    )
+    if (error) {
+      return { error: { message: 'No se pudo leer las activaciones.', details: error.message } }
+    }
+
+    return {
+      conciliacion: buildConciliacionFotos(objetos, rows, {
+        resolverRuta: (fotoUrl) => resolveStorageObjectPathFromFotoUrl(fotoUrl, activacionesBucket),
+      }),
+    }
+  }
+
+  async function calcularHuellaFoto(row) {
+    try {
+      const photo = await loadExportPhoto(row)
+      return photo?.buffer ? crypto.createHash('sha256').update(photo.buffer).digest('hex') : null
+    } catch {
+      return null
+    }
+  }
+
+  function sendCatalogWriteError(res, error, fallbackMessage) {
+    const isDuplicate = error.code === '23505'
+    jsonError(
+      res,
+      isDuplicate ? 409 : 500,
+      isDuplicate ? 'Ya existe una entrada con ese nombre.' : fallbackMessage,
+      isDuplicate ? undefined : error.message
+    )
+  }
+
+  function canAccessExportJob(req, job) {
+    return req.adminUser?.role === 'superadmin' || job.username === req.adminUser?.username
+  }
+
+  // Las plantillas son personales: solo el admin que las creo puede usarlas o editarlas.
+  async function fetchOwnExportTemplate(req, templateId) {
+    return adminSupabase
+      .from('admin_export_templates')
+      .select(ADMIN_EXPORT_TEMPLATE_COLUMNS)
+      .eq('id', templateId)
+      .eq('username', req.adminUser?.username ?? '')
+      .maybeSingle()
+  }
+
+  function parseExportTemplateNombre(value) {
+    const nombre = normalizeText(value)
+    if (!nombre) {
+      return { error: 'nombre es obligatorio.' }
+    }
+    if (nombre.length > EXPORT_TEMPLATE_NAME_MAX_LENGTH) {
+      return { error: `nombre supera ${EXPORT_TEMPLATE_NAME_MAX_LENGTH} caracteres.` }
+    }
+    return { nombre }
+  }
+
+  function sendExportTemplateWriteError(res, error, fallbackMessage) {
+    const isDuplicate = error.code === '23505'
+    jsonError(
+      res,
+      isDuplicate ? 409 : 500,
+      isDuplicate ? 'Ya tienes una plantilla con ese nombre.' : fallbackMessage,
+      isDuplicate ? undefined : error.message
+    )
+  }
+
+  // Vercel Cron invoca la purga con `Authorization: Bearer <CRON_SECRET>`.
+  // Va antes de `auditMutation`: las llamadas sin el secreto no llegan a la auditoria.
+  function requireCronSecret(req, res, next) {
+    if (!env.CRON_SECRET) {
+      jsonError(res, 503, 'La purga programada no esta configurada (falta CRON_SECRET).')
+      return
+    }
+
+    const token = parseBearerToken(req.headers.authorization)
+    if (!token || !timingSafeEqualText(token, env.CRON_SECRET)) {
+      jsonError(res, 401, 'Credenciales de cron invalidas.')
+      return
+    }
+
+    next()
+  }
+
+  app.get('/healthz', (_req, res) => {
+    res.json({ ok: true })
+  })
+
+  app.get(
+    '/cron/purge-activaciones',
+    requireCronSecret,
+    auditMutation('activaciones.purge_expired', { targetType: 'activacion' }),
+    asyncRoute(async (req, res) => {
+      req.audit.actor = { id: null, username: 'cron', role: null }
+      await respondWithExpiredPurge(req, res)
+    })
+  )
+
+  app.post(
+    '/admin/session',
+    auditMutation('session.login', { targetType: 'admin_session' }),
+    asyncRoute(async (req, res) => {
+      const username = normalizeText(req.body?.username)
+      const password = typeof req.body?.password === 'string' ? req.body.password : ''
+      req.audit.actor = { id: null, username: username || null, role: null }
+
+      if (!username || !password) {
+        jsonError(res, 400, 'username y password son obligatorios.')
+        return
+      }
+
+      const principal = await authenticateAdminCredentials({ username, password })
+      if (!principal) {
+        jsonError(res, 401, 'Credenciales invalidas.')
+        return
+      }
+
+      const session = await issueAdminSession(principal, req)
+      req.audit.actor = principal
+      req.audit.targetId = session.sessionId
+
+      if (principal.id) {
+        await adminSupabase
+          .from('admin_accounts')
+          .update({ last_login_at: new Date().toISOString() })
+          .eq('id', principal.id)
+      }
+
+      res.status(201).json(session.payload)
+    })
+  )
+
+  app.post(
+    '/admin/session/refresh',
+    asyncRoute(async (req, res) => {
+      const refreshToken = normalizeText(req.body?.refresh_token)
+      if (!refreshToken) {
+        jsonError(res, 400, 'refresh_token es obligatorio.')
+        return
+      }
+
+      const { data: session, error: sessionErr } = await adminSupabase
+        .from('admin_sessions')
+        .select('id, account_id, username, expires_at, revoked_at')
+        .eq('refresh_token_hash', hashRefreshToken(refreshToken))
+        .maybeSingle()
+
+      if (sessionErr) {
+        jsonError(res, 500, 'No se pudo validar la sesion.', sessionErr.message)
+        return
+      }
+
+      if (!session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+        jsonError(res, 401, 'Sesion expirada o revocada. Inicia sesion nuevamente.')
+        return
+      }
+
+      // El rol y el estado se releen en cada refresh para aplicar cambios de cuenta.
+      let principal = null
+      if (session.account_id) {
+        const account = await findActiveAdminAccountById(adminSupabase, session.account_id)
+        principal = account ? buildAccountPrincipal(account) : null
+      } else if (env.ADMIN_BASIC_USER && session.username === env.ADMIN_BASIC_USER) {
+        principal = buildBootstrapPrincipal()
+      }
+
+      if (!principal) {
+        await revokeAdminSessions('id', session.id)
+        jsonError(res, 401, 'La cuenta ya no tiene acceso. Inicia sesion nuevamente.')
+        return
+      }
+
+      const nextRefreshToken = generateRefreshToken()
+      const { data: rotatedRows, error: rotateErr } = await adminSupabase
+        .from('admin_sessions')
+        .update({
+          refresh_token_hash: hashRefreshToken(nextRefreshToken),
+          last_refreshed_at: new Date().toISOString(),
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', hashRefreshToken(refreshToken))
+        .is('revoked_at', null)
+        .select('id')
+
+      if (rotateErr) {
+        jsonError(res, 500, 'No se pudo renovar la sesion.', rotateErr.message)
+        return
+      }
+
+      // Otro refresh ya roto este token: se trata como reuso (token copiado) y se cierra la sesion.
+      if (!rotatedRows?.length) {
+        await revokeAdminSessions('id', session.id)
+        jsonError(res, 401, 'Sesion revocada. Inicia sesion nuevamente.')
+        return
+      }
+
+      res.json(buildSessionPayload(principal, session.id, nextRefreshToken, session.expires_at))
+    })
+  )
+
+  app.use('/admin', asyncRoute(requireAdminAuth))
+
+  app.delete(
+    '/admin/session',
+    auditMutation('session.logout', { targetType: 'admin_session' }),
+    asyncRoute(async (req, res) => {
+      req.audit.targetId = req.adminSessionId ?? null
+
+      if (!req.adminSessionId) {
+        jsonError(res, 400, 'La autenticacion actual no corresponde a una sesion con token.')
+        return
+      }
+
+      await revokeAdminSessions('id', req.adminSessionId)
+      res.json({ ok: true })
+    })
+  )
+
+  app.get('/admin/healthz', requireAdminRole('viewer'), (_req, res) => {
+    res.json({ ok: true })
+  })
+
+  app.get('/admin/me', requireAdminRole('viewer'), (req, res) => {
+    res.json({ account: req.adminUser })
+  })
+
+  app.get(
+    '/admin/accounts',
+    requireAdminRole('superadmin'),
+    asyncRoute(async (_req, res) => {
+      const { data, error } = await adminSupabase
+        .from('admin_accounts')
+        .select(ADMIN_ACCOUNT_COLUMNS)
+        .order('username', { ascending: true })
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener cuentas admin.', error.message)
+        return
+      }
+
+      res.json({ accounts: (data ?? []).map(toPublicAdminAccount) })
+    })
+  )
+
+  app.post(
+    '/admin/accounts',
+    auditMutation('accounts.create', { targetType: 'admin_account' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const username = normalizeAdminUsername(req.body?.username)
+      const nombre = normalizeText(req.body?.nombre)
+      const role = normalizeAdminRole(req.body?.role)
+      const password = typeof req.body?.password === 'string' ? req.body.password : ''
+
+      if (!username || !nombre || !password || !role) {
+        jsonError(res, 400, 'username, nombre, password y role son obligatorios.')
+        return
+      }
+
+      if (!isValidAdminUsername(username)) {
+        jsonError(
+          res,
+          400,
+          'username invalido. Usa de 3 a 40 caracteres: letras minusculas, numeros, punto, guion o guion bajo.'
+        )
+        return
+      }
+
+      if (password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        jsonError(
+          res,
+          400,
+          `La contrasena debe tener al menos ${ADMIN_PASSWORD_MIN_LENGTH} caracteres.`
+        )
+        return
+      }
+
+      const { data: insertedAccount, error: insertErr } = await adminSupabase
+        .from('admin_accounts')
+        .insert({
+          username,
+          nombre,
+          role,
+          password_hash: await hashAdminPassword(password),
+        })
+        .select(ADMIN_ACCOUNT_COLUMNS)
+        .single()
+
+      if (insertErr) {
+        const isDuplicate = insertErr.code === '23505'
+        jsonError(
+          res,
+          isDuplicate ? 409 : 500,
+          isDuplicate ? 'Ya existe una cuenta admin con ese username.' : 'No se pudo crear la cuenta admin.',
+          isDuplicate ? undefined : insertErr.message
+        )
+        return
+      }
+
+      req.audit.targetId = insertedAccount.id
+      req.audit.after = toPublicAdminAccount(insertedAccount)
+      res.status(201).json({ account: toPublicAdminAccount(insertedAccount) })
+    })
+  )
+
+  app.patch(
+    '/admin/accounts/:accountId',
+    auditMutation('accounts.update', { targetType: 'admin_account', targetParam: 'accountId' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const accountId = normalizeText(req.params?.accountId)
+      const updatePayload = {}
+
+      if (req.body?.nombre !== undefined) {
+        const nombre = normalizeText(req.body.nombre)
+        if (!nombre) {
+          jsonError(res, 400, 'nombre no puede quedar vacio.')
+          return
+        }
+        updatePayload.nombre = nombre
+      }
+
+      if (req.body?.role !== undefined) {
+        const role = normalizeAdminRole(req.body.role)
+        if (!role) {
+          jsonError(res, 400, 'role invalido. Usa viewer, supervisor o superadmin.')
+          return
+        }
+        updatePayload.role = role
+      }
+
+      if (req.body?.activo !== undefined) {
+        updatePayload.activo = req.body.activo === true
+      }
+
+      if (req.body?.password !== undefined) {
+        const password = typeof req.body.password === 'string' ? req.body.password : ''
+        if (password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+          jsonError(
+            res,
+            400,
+            `La nueva contrasena debe tener al menos ${ADMIN_PASSWORD_MIN_LENGTH} caracteres.`
+          )
+          return
+        }
+        updatePayload.password_hash = await hashAdminPassword(password)
+      }
+
+      if (!Object.keys(updatePayload).length) {
+        jsonError(res, 400, 'No hay cambios para aplicar.')
+        return
+      }
+
+      const isOwnAccount = req.adminUser?.id && req.adminUser.id === accountId
+      if (isOwnAccount && (updatePayload.role || updatePayload.activo === false)) {
+        jsonError(res, 400, 'No puedes cambiar tu propio rol ni desactivar tu propia cuenta.')
+        return
+      }
+
+      updatePayload.updated_at = new Date().toISOString()
+
+      const { data: previousAccount } = await adminSupabase
+        .from('admin_accounts')
+        .select(ADMIN_ACCOUNT_COLUMNS)
+        .eq('id', accountId)
+        .maybeSingle()
+      req.audit.before = toPublicAdminAccount(previousAccount)
+
+      const { data: updatedAccount, error: updateErr } = await adminSupabase
+        .from('admin_accounts')
+        .update(updatePayload)
+        .eq('id', accountId)
+        .select(ADMIN_ACCOUNT_COLUMNS)
+        .maybeSingle()
+
+      if (updateErr) {
+        jsonError(res, 500, 'No se pudo actualizar la cuenta admin.', updateErr.message)
+        return
+      }
+
+      if (!updatedAccount) {
+        jsonError(res, 404, 'No se encontro la cuenta admin indicada.')
+        return
+      }
+
+      const sessionsRevoked = updatePayload.activo === false || Boolean(updatePayload.password_hash)
+      if (sessionsRevoked) {
+        await revokeAdminSessions('account_id', accountId)
+      }
+
+      req.audit.after = toPublicAdminAccount(updatedAccount)
+      req.audit.details = {
+        password_updated: Boolean(updatePayload.password_hash),
+        sessions_revoked: sessionsRevoked,
+      }
+
+      res.json({ account: toPublicAdminAccount(updatedAccount) })
+    })
+  )
+
+  app.get(
+    '/admin/audit',
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const limit = parseLimit(req.query?.limit, { fallback: 50, min: 1, max: 200 })
+      const offset = parseOffset(req.query?.offset)
+      const action = getQueryText(req.query?.action)
+      const actor = getQueryText(req.query?.actor)
+      const targetType = getQueryText(req.query?.target_type)
+      const targetId = getQueryText(req.query?.target_id)
+      const rawOutcome = getQueryText(req.query?.outcome)
+      const outcome = normalizeAuditOutcome(rawOutcome)
+      const desde = normalizeTimestampFilter(req.query?.desde)
+      const hasta = normalizeTimestampFilter(req.query?.hasta)
+
+      if (rawOutcome && !outcome) {
+        jsonError(res, 400, 'outcome invalido. Usa success, denied, rejected o error.')
+        return
+      }
+
+      let query = adminSupabase
+        .from('admin_audit_log')
+        .select(ADMIN_AUDIT_COLUMNS, { count: 'exact' })
+
+      // `action` filtra por prefijo: "users" incluye users.update y users.update.rollback.
+      if (action) {
+        query = query.ilike('action', `${escapeLikePattern(action)}%`)
+      }
+      if (actor) {
+        query = query.ilike('actor_username', `%${escapeLikePattern(actor)}%`)
+      }
+      if (targetType) {
+        query = query.eq('target_type', targetType)
+      }
+      if (targetId) {
+        query = query.eq('target_id', targetId)
+      }
+      if (outcome) {
+        query = query.eq('outcome', outcome)
+      }
+      if (desde) {
+        query = query.gte('created_at', desde)
+      }
+      if (hasta) {
+        query = query.lte('created_at', hasta)
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener la auditoria.', error.message)
+        return
+      }
+
+      const total = count ?? 0
+      res.json({
+        events: data ?? [],
+        total,
+        limit,
+        offset,
+        has_more: offset + limit < total,
+      })
+    })
+  )
+
+  app.get(
+    '/admin/users',
+    requireAdminRole('viewer'),
+    asyncRoute(async (_req, res) => {
+      const { data, error } = await adminSupabase
+        .from('activadores')
+        .select(IMPULSADOR_COLUMNS)
+        .order('nombre', { ascending: true })
+
+      if (error) {
+        jsonError(res, 500, error.message)
+        return
+      }
+
+      res.json({ users: data ?? [] })
+    })
+  )
+
+  app.post(
+    '/admin/users',
+    auditMutation('users.create', { targetType: 'user' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      // El alta individual es siempre por invitacion: el admin nunca define la contrasena.
+      if (req.body?.password !== undefined) {
+        jsonError(res, 400, IMPULSADOR_PASSWORD_BY_LINK_ERROR)
+        return
+      }
+
+      const { user, error: validationError } = validateNewImpulsador(req.body, {
+        catalogo: buildCatalogoIndex(plazas),
+      })
+      if (validationError) {
+        jsonError(res, 400, validationError)
+        return
+      }
+
+      const result = await createImpulsador(req, user)
+      req.audit.targetId = result.usuarioId ?? null
+
+      if (!result.ok) {
+        jsonError(res, result.stage === 'auth' ? 400 : 500, result.error, result.details)
+        return
+      }
+
+      // El enlace es una credencial de un solo uso: se entrega al admin pero no se audita.
+      req.audit.after = result.user
+      req.audit.details = { mode: 'invite' }
+      res.status(201).json({ user: result.user, invite_link: result.inviteLink })
+    })
+  )
+
+  // Importacion masiva: `dry_run` solo valida; sin el, crea las filas validas una por una con
+  // la misma compensacion que el alta individual. Las filas invalidas nunca se crean.
+  app.post(
+    '/admin/users/import',
+    auditMutation('users.import', { targetType: 'user' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const rows = req.body?.rows
+      const dryRun = req.body?.dry_run === true
+
+      if (!Array.isArray(rows) || !rows.length) {
+        jsonError(res, 400, 'rows debe ser una lista con al menos una fila.')
+        return
+      }
+
+      if (rows.length > IMPULSADORES_IMPORT_MAX_ROWS) {
+        jsonError(
+          res,
+          400,
+          `Se permiten hasta ${IMPULSADORES_IMPORT_MAX_ROWS} filas por importacion.`
+        )
+        return
+      }
+
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const catalogo = buildCatalogoIndex(plazas)
+      const filasPorEmail = new Map()
+      const results = rows.map((row, index) => {
+        const fila = Number.parseInt(row?.fila, 10) || index + 2
+        const { user, error } = validateNewImpulsador(row ?? {}, { catalogo })
+        let rowError = error
+
+        if (!rowError) {
+          const filaPrevia = filasPorEmail.get(user.email)
+          if (filaPrevia) {
+            rowError = `Email repetido en el archivo (fila ${filaPrevia}).`
+          } else {
+            filasPorEmail.set(user.email, fila)
+          }
+        }
+
+        return { fila, user, error: rowError }
+      })
+
+      let existingEmails
+      try {
+        existingEmails = await findExistingActivadorEmails([...filasPorEmail.keys()])
+      } catch (error) {
+        jsonError(res, 500, 'No se pudo validar la importacion.', error.message)
+        return
+      }
+
+      for (const result of results) {
+        if (!result.error && existingEmails.has(result.user.email)) {
+          result.error = 'Ya existe un impulsador con ese email.'
+        }
+      }
+
+      const summary = {
+        total: results.length,
+        valid: results.filter((result) => !result.error).length,
+        invalid: results.filter((result) => result.error).length,
+        created: 0,
+        failed: 0,
+      }
+      const createdIds = []
+
+      for (const result of results) {
+        if (result.error) {
+          result.status = 'invalid'
+          continue
+        }
+
+        if (dryRun) {
+          result.status = 'valid'
+          continue
+        }
+
+        const created = await createImpulsador(req, result.user)
+        if (created.ok) {
+          result.status = 'created'
+          result.usuario_id = created.usuarioId
+          result.invite_link = created.inviteLink
+          createdIds.push(created.usuarioId)
+          summary.created += 1
+        } else {
+          result.status = 'failed'
+          result.error = created.details ? `${created.error} (${created.details})` : created.error
+          summary.failed += 1
+        }
+      }
+
+      req.audit.details = { dry_run: dryRun, ...summary, created_ids: createdIds }
+
+      res.json({
+        dry_run: dryRun,
+        summary,
+        results: results.map((result) => ({
+          fila: result.fila,
+          email: result.user.email,
+          nombre: result.user.nombre,
+          plaza: result.user.plaza,
+          status: result.status,
+          error: result.error ?? null,
+          mode: result.user.invite ? 'invite' : 'password',
+          usuario_id: result.usuario_id ?? null,
+          invite_link: result.invite_link ?? null,
+        })),
+      })
+    })
+  )
+
+  // Genera un enlace de un solo uso para que el impulsador defina una nueva contrasena.
+  app.post(
+    '/admin/users/:userId/reset-link',
+    auditMutation('users.reset_link', { targetType: 'user', targetParam: 'userId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const userId = normalizeText(req.params?.userId)
+
+      const { data: authUser, error: authUserErr } =
+        await adminSupabase.auth.admin.getUserById(userId)
+
+      if (authUserErr || !authUser?.user?.email) {
+        jsonError(res, 404, 'No se encontro el usuario en Auth.', authUserErr?.message)
+        return
+      }
+
+      const { data: link, error: linkErr } = await adminSupabase.auth.admin.generateLink({
+        type: 'recovery',
+        email: authUser.user.email,
+        options: authRedirectOptions,
+      })
+
+      if (linkErr || !link?.properties?.action_link) {
+        jsonError(res, 500, 'No se pudo generar el enlace de restablecimiento.', linkErr?.message)
+        return
+      }
+
+      req.audit.details = { email: authUser.user.email }
+      res.json({ ok: true, email: authUser.user.email, reset_link: link.properties.action_link })
+    })
+  )
+
+  // Suspende o reactiva un impulsador: marca `activo` en activadores y banea/desbanea el
+  // usuario en Auth. Si Auth falla se restaura la fila, igual que en la edicion. Al suspender
+  // tambien se cierran sus sesiones abiertas; si eso falla la suspension queda con un aviso.
+  async function setImpulsadorActivo(req, res, { activo, motivo = null }) {
+    const userId = normalizeText(req.params?.userId)
+
+    const { data: previousRow, error: previousRowErr } = await adminSupabase
+      .from('activadores')
+      .select(IMPULSADOR_COLUMNS)
+      .eq('usuario_id', userId)
+      .maybeSingle()
+
+    if (previousRowErr) {
+      jsonError(res, 500, previousRowErr.message)
+      return
+    }
+
+    if (!previousRow) {
+      jsonError(res, 404, 'No se encontro el usuario en la tabla activadores.')
+      return
+    }
+
+    req.audit.before = previousRow
+
+    if ((previousRow.activo !== false) === activo) {
+      jsonError(
+        res,
+        409,
+        activo ? 'El usuario ya esta activo.' : 'El usuario ya esta suspendido.'
+      )
+      return
+    }
+
+    const statePayload = activo
+      ? { activo: true, suspendido_at: null, suspendido_por: null, motivo_suspension: null }
+      : {
+          activo: false,
+          suspendido_at: new Date().toISOString(),
+          suspendido_por: req.adminUser?.username ?? null,
+          motivo_suspension: motivo,
+        }
+
+    const { data: updatedRow, error: updateTableErr } = await adminSupabase
+      .from('activadores')
+      .update(statePayload)
+      .eq('usuario_id', userId)
+      .select(IMPULSADOR_COLUMNS)
+      .single()
+
+    if (updateTableErr) {
+      jsonError(res, 500, updateTableErr.message)
+      return
+    }
+
+    req.audit.after = updatedRow
+
+    const { error: updateAuthErr } = await adminSupabase.auth.admin.updateUserById(userId, {
+      ban_duration: activo ? 'none' : IMPULSADOR_SUSPENSION_BAN_DURATION,
+    })
+
+    if (updateAuthErr) {
+      const restoredRow = {
+        activo: previousRow.activo,
+        suspendido_at: previousRow.suspendido_at ?? null,
+        suspendido_por: previousRow.suspendido_por ?? null,
+        motivo_suspension: previousRow.motivo_suspension ?? null,
+      }
+      const { error: rollbackErr } = await adminSupabase
+        .from('activadores')
+        .update(restoredRow)
+        .eq('usuario_id', userId)
+
+      await recordAuditEvent(req, {
+        action: `${activo ? 'users.reactivate' : 'users.suspend'}.rollback`,
+        targetType: 'user',
+        targetId: userId,
+        before: updatedRow,
+        after: restoredRow,
+        outcome: rollbackErr ? 'error' : 'success',
+        errorMessage: rollbackErr?.message ?? null,
+        details: { reason: updateAuthErr.message, compensated: 'activadores_restored' },
+      })
+      req.audit.after = rollbackErr ? updatedRow : previousRow
+
+      jsonError(
+        res,
+        500,
+        'No se pudo actualizar Auth. Se intento revertir el cambio en tabla para mantener consistencia.',
+        updateAuthErr.message
+      )
+      return
+    }
+
+    if (activo) {
+      res.json({ ok: true, user: updatedRow })
+      return
+    }
+
+    const { data: sesionesCerradas, error: sesionesErr } = await adminSupabase.rpc(
+      'cerrar_sesiones_impulsador',
+      { p_usuario_id: userId }
+    )
+
+    req.audit.details = sesionesErr
+      ? { sesiones_cerradas: null, sesiones_error: sesionesErr.message }
+      : { sesiones_cerradas: sesionesCerradas ?? 0 }
+
+    res.json({
+      ok: true,
+      user: updatedRow,
+      ...(sesionesErr ? { warning: CERRAR_SESIONES_WARNING } : {}),
+    })
+  }
+
+  app.post(
+    '/admin/users/:userId/suspend',
+    auditMutation('users.suspend', { targetType: 'user', targetParam: 'userId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const motivo = normalizeNullableText(req.body?.motivo)
+
+      if (motivo && motivo.length > IMPULSADOR_SUSPENSION_MOTIVO_MAX_LENGTH) {
+        jsonError(
+          res,
+          400,
+          `El motivo no puede superar ${IMPULSADOR_SUSPENSION_MOTIVO_MAX_LENGTH} caracteres.`
+        )
+        return
+      }
+
+      await setImpulsadorActivo(req, res, { activo: false, motivo })
+    })
+  )
+
+  app.post(
+    '/admin/users/:userId/reactivate',
+    auditMutation('users.reactivate', { targetType: 'user', targetParam: 'userId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      await setImpulsadorActivo(req, res, { activo: true })
+    })
+  )
+
+  app.get(
+    '/admin/users/:userId/profile',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const { userId } = req.params
+      const filters = parseActivacionesFilters({ desde: req.query?.desde, hasta: req.query?.hasta })
+
+      const { data: impulsador, error: impulsadorErr } = await adminSupabase
+        .from('activadores')
+        .select(IMPULSADOR_COLUMNS)
+        .eq('usuario_id', userId)
+        .maybeSingle()
+
+      if (impulsadorErr) {
+        jsonError(res, 500, 'No se pudo leer el impulsador.', impulsadorErr.message)
+        return
+      }
+
+      if (!impulsador) {
+        jsonError(res, 404, 'No se encontro el impulsador.')
+        return
+      }
+
+      const rows = []
+      let from = 0
+
+      while (true) {
+        const { data, error } = await applyActivacionesFilters(
+          adminSupabase.from('activaciones').select(PERFIL_ACTIVACIONES_COLUMNS),
+          filters
+        )
+          .eq('usuario_id', userId)
+          .order('id', { ascending: true })
+          .range(from, from + PERFIL_PAGE_SIZE - 1)
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo leer las activaciones del impulsador.', error.message)
+          return
+        }
+
+        rows.push(...(data ?? []))
+
+        if (!data || data.length < PERFIL_PAGE_SIZE) {
+          break
+        }
+
+        from += PERFIL_PAGE_SIZE
+      }
+
+      const [
+        { plazas },
+        { count: notificacionesTotal, error: notificacionesTotalErr },
+        { count: notificacionesPendientes, error: notificacionesPendientesErr },
+        { data: notificacionesRecientes, error: notificacionesRecientesErr },
+        { data: authData },
+      ] = await Promise.all([
+        loadPlazasCatalogo(),
+        adminSupabase
+          .from('notificaciones_destinatarios')
+          .select('id', { count: 'exact', head: true })
+          .eq('usuario_id', userId),
+        adminSupabase
+          .from('notificaciones_destinatarios')
+          .select('id', { count: 'exact', head: true })
+          .eq('usuario_id', userId)
+          .is('leida_at', null),
+        adminSupabase
+          .from('notificaciones_destinatarios')
+          .select('notificacion_id, enviada_at, leida_at, notificaciones(titulo)')
+          .eq('usuario_id', userId)
+          .order('enviada_at', { ascending: false })
+          .limit(PERFIL_NOTIFICACIONES_RECIENTES),
+        adminSupabase.auth.admin.getUserById(userId),
+      ])
+
+      const notificacionesErr =
+        notificacionesTotalErr ?? notificacionesPendientesErr ?? notificacionesRecientesErr
+      if (notificacionesErr) {
+        jsonError(
+          res,
+          500,
+          'No se pudo obtener notificaciones del impulsador.',
+          notificacionesErr.message
+        )
+        return
+      }
+
+      // Sin catalogo los nombres se agrupan por su variante normalizada, igual que en Metricas.
+      const perfil = buildImpulsadorPerfil(rows, { catalogo: buildCatalogoIndex(plazas) })
+
+      res.json({
+        impulsador,
+        // Si Auth no responde el perfil se muestra igual, sin ultimo ingreso.
+        ultimo_ingreso_at: authData?.user?.last_sign_in_at ?? null,
+        filtros: { desde: filters.desde || null, hasta: filters.hasta || null },
+        ...perfil,
+        notificaciones: {
+          total: notificacionesTotal ?? 0,
+          pendientes: notificacionesPendientes ?? 0,
+          recientes: (notificacionesRecientes ?? []).map((item) => ({
+            notificacion_id: item.notificacion_id,
+            titulo: item.notificaciones?.titulo ?? null,
+            enviada_at: item.enviada_at,
+            leida_at: item.leida_at,
+          })),
+        },
+      })
+    })
+  )
+
+  app.patch(
+    '/admin/users/:userId',
+    auditMutation('users.update', { targetType: 'user', targetParam: 'userId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const { userId } = req.params
+
+      const rawNombre = req.body?.nombre
+      const rawPlaza = req.body?.plaza
+      const rawEmail = req.body?.email
+      const rawEmailConfirm = req.body?.emailConfirm
+
+      const nombre = normalizeText(rawNombre)
+      let plaza = normalizeNullableText(rawPlaza)
+      const shouldUpdateEmail = typeof rawEmail === 'string'
+      const email = shouldUpdateEmail ? normalizeEmail(rawEmail) : null
+      const emailConfirm = rawEmailConfirm === true
+
+      // La contrasena la cambia el impulsador con el enlace de POST /admin/users/:userId/reset-link.
+      if (req.body?.password !== undefined) {
+        jsonError(res, 400, IMPULSADOR_PASSWORD_BY_LINK_ERROR)
+        return
+      }
+
+      if (!nombre) {
+        jsonError(res, 400, 'nombre es obligatorio.')
+        return
+      }
+
+      if (shouldUpdateEmail && !email) {
+        jsonError(res, 400, 'email es obligatorio cuando se desea actualizar.')
+        return
+      }
+
+      if (shouldUpdateEmail && !isValidEmail(email)) {
+        jsonError(res, 400, 'email invalido.')
+        return
+      }
+
+      const { data: previousRow, error: previousRowErr } = await adminSupabase
+        .from('activadores')
+        .select('nombre, plaza, email')
+        .eq('usuario_id', userId)
+        .maybeSingle()
+
+      if (previousRowErr) {
+        jsonError(res, 500, previousRowErr.message)
+        return
+      }
+
+      if (!previousRow) {
+        jsonError(res, 404, 'No se encontro el usuario en la tabla activadores.')
+        return
+      }
+
+      req.audit.before = previousRow
+
+      // Una plaza que no cambia se conserva aunque aun no este en el catalogo.
+      if (plaza && plaza !== previousRow.plaza) {
+        const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+        if (catalogoErr) {
+          jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+          return
+        }
+
+        const resolved = resolveImpulsadorPlaza(buildCatalogoIndex(plazas), plaza)
+        if (resolved.error) {
+          jsonError(res, 400, resolved.error)
+          return
+        }
+        plaza = resolved.plaza
+      }
+
+      const previousEmail = normalizeEmail(previousRow.email) || null
+      const emailChanged = shouldUpdateEmail && email !== previousEmail
+
+      const tableUpdatePayload = { nombre, plaza }
+      if (shouldUpdateEmail) {
+        tableUpdatePayload.email = email
+      }
+
+      const { error: updateTableErr } = await adminSupabase
+        .from('activadores')
+        .update(tableUpdatePayload)
+        .eq('usuario_id', userId)
+
+      if (updateTableErr) {
+        jsonError(res, 500, updateTableErr.message)
+        return
+      }
+
+      req.audit.after = { ...previousRow, ...tableUpdatePayload }
+      req.audit.details = { email_updated: emailChanged }
+
+      const authUpdatePayload = {
+        user_metadata: { nombre, plaza },
+      }
+
+      if (emailConfirm) {
+        authUpdatePayload.email_confirm = true
+      }
+
+      if (emailChanged) {
+        authUpdatePayload.email = email
+        if (!emailConfirm) {
+          authUpdatePayload.email_confirm = true
+        }
+      }
+
+      const { error: updateAuthErr } = await adminSupabase.auth.admin.updateUserById(
+        userId,
+        authUpdatePayload
+      )
+
+      if (updateAuthErr) {
+        const restoredRow = {
+          nombre: previousRow.nombre,
+          plaza: previousRow.plaza,
+          email: previousRow.email ?? null,
+        }
+        const { error: rollbackErr } = await adminSupabase
+          .from('activadores')
+          .update(restoredRow)
+          .eq('usuario_id', userId)
+
+        await recordAuditEvent(req, {
+          action: 'users.update.rollback',
+          targetType: 'user',
+          targetId: userId,
+          before: req.audit.after,
+          after: restoredRow,
+          outcome: rollbackErr ? 'error' : 'success',
+          errorMessage: rollbackErr?.message ?? null,
+          details: { reason: updateAuthErr.message, compensated: 'activadores_restored' },
+        })
+        req.audit.after = rollbackErr ? req.audit.after : previousRow
+
+        jsonError(
+          res,
+          500,
+          'No se pudo actualizar Auth. Se intento revertir el cambio en tabla para mantener consistencia.',
+          updateAuthErr.message
+        )
+        return
+      }
+
+      res.json({
+        ok: true,
+        emailUpdated: emailChanged,
+      })
+    })
+  )
+
+  app.delete(
+    '/admin/users/:userId',
+    auditMutation('users.delete', { targetType: 'user', targetParam: 'userId' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const { userId } = req.params
+
+      const { data: existingRow, error: existingErr } = await adminSupabase
+        .from('activadores')
+        .select('usuario_id, email, nombre, plaza')
+        .eq('usuario_id', userId)
+        .maybeSingle()
+
+      if (existingErr) {
+        jsonError(res, 500, existingErr.message)
+        return
+      }
+
+      req.audit.before = existingRow ?? null
+
+      const { data: deletedRows, error: deleteTableErr } = await adminSupabase
+        .from('activadores')
+        .delete()
+        .eq('usuario_id', userId)
+        .select('usuario_id')
+
+      if (deleteTableErr) {
+        jsonError(res, 500, deleteTableErr.message)
+        return
+      }
+
+      const tableRecordDeleted = Array.isArray(deletedRows) && deletedRows.length > 0
+      const { error: deleteAuthErr } = await adminSupabase.auth.admin.deleteUser(userId)
+
+      if (deleteAuthErr) {
+        if (existingRow && tableRecordDeleted) {
+          const { error: rollbackErr } = await adminSupabase.from('activadores').upsert(existingRow)
+
+          await recordAuditEvent(req, {
+            action: 'users.delete.rollback',
+            targetType: 'user',
+            targetId: userId,
+            before: null,
+            after: existingRow,
+            outcome: rollbackErr ? 'error' : 'success',
+            errorMessage: rollbackErr?.message ?? null,
+            details: { reason: deleteAuthErr.message, compensated: 'activadores_restored' },
+          })
+          req.audit.after = rollbackErr ? null : existingRow
+        }
+
+        jsonError(
+          res,
+          500,
+          'No se pudo borrar en Auth. Se intento restaurar el registro de tabla para evitar inconsistencia.',
+          deleteAuthErr.message
+        )
+        return
+      }
+
+      req.audit.details = { table_record_deleted: tableRecordDeleted }
+      res.json({ ok: true, tableRecordDeleted })
+    })
+  )
+
+  // Catalogo de plazas y distritos. `sin_catalogo` lista las plazas de impulsadores que no
+  // coinciden con ninguna entrada, para agregarlas o registrarlas como alias.
+  app.get(
+    '/admin/plazas',
+    requireAdminRole('viewer'),
+    asyncRoute(async (_req, res) => {
+      const [{ plazas, error }, { data: activadores, error: activadoresErr }] = await Promise.all([
+        loadPlazasCatalogo(),
+        adminSupabase.from('activadores').select('plaza').not('plaza', 'is', null),
+      ])
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', error.message)
+        return
+      }
+
+      if (activadoresErr) {
+        jsonError(res, 500, activadoresErr.message)
+        return
+      }
+
+      const catalogo = buildCatalogoIndex(plazas)
+      const sinCatalogo = new Map()
+      for (const { plaza } of activadores ?? []) {
+        if (!plaza?.trim() || catalogo.findPlaza(plaza)) {
+          continue
+        }
+        const valor = catalogo.canonicalPlaza(plaza)
+        sinCatalogo.set(valor, (sinCatalogo.get(valor) ?? 0) + 1)
+      }
+
+      res.json({
+        plazas: plazas.map((plaza) => ({
+          ...plaza,
+          distritos: [...(plaza.distritos ?? [])].sort((a, b) =>
+            a.nombre.localeCompare(b.nombre, 'es', { sensitivity: 'base' })
+          ),
+        })),
+        sin_catalogo: [...sinCatalogo.entries()]
+          .map(([valor, impulsadores]) => ({ valor, impulsadores }))
+          .sort((a, b) => b.impulsadores - a.impulsadores),
+      })
+    })
+  )
+
+  app.post(
+    '/admin/plazas',
+    auditMutation('plazas.create', { targetType: 'plaza' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const { entry, errors } = normalizeCatalogEntryInput(req.body ?? {})
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const conflict = findCatalogConflict(plazas, entry)
+      if (conflict) {
+        jsonError(res, 409, `La plaza "${conflict}" ya usa ese nombre o alias.`)
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('plazas')
+        .insert(entry)
+        .select(PLAZA_COLUMNS)
+        .single()
+
+      if (error) {
+        sendCatalogWriteError(res, error, 'No se pudo crear la plaza.')
+        return
+      }
+
+      req.audit.targetId = data.id
+      req.audit.after = data
+      res.status(201).json({ plaza: { ...data, distritos: [] } })
+    })
+  )
+
+  // Al renombrar, los impulsadores con el nombre anterior pasan al nuevo.
+  app.patch(
+    '/admin/plazas/:plazaId',
+    auditMutation('plazas.update', { targetType: 'plaza', targetParam: 'plazaId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const plazaId = normalizeText(req.params?.plazaId)
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const previous = plazas.find((plaza) => plaza.id === plazaId)
+      if (!previous) {
+        jsonError(res, 404, 'No se encontro la plaza.')
+        return
+      }
+
+      const { distritos: _distritos, ...before } = previous
+      req.audit.before = before
+
+      const { entry, errors } = mergeCatalogEntryPatch(previous, req.body ?? {})
+
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const conflict = findCatalogConflict(plazas, entry, plazaId)
+      if (conflict) {
+        jsonError(res, 409, `La plaza "${conflict}" ya usa ese nombre o alias.`)
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('plazas')
+        .update({ ...entry, updated_at: new Date().toISOString() })
+        .eq('id', plazaId)
+        .select(PLAZA_COLUMNS)
+        .single()
+
+      if (error) {
+        sendCatalogWriteError(res, error, 'No se pudo actualizar la plaza.')
+        return
+      }
+
+      req.audit.after = data
+
+      let impulsadoresActualizados = 0
+      if (data.nombre !== previous.nombre) {
+        const { data: updatedRows, error: activadoresErr } = await adminSupabase
+          .from('activadores')
+          .update({ plaza: data.nombre })
+          .eq('plaza', previous.nombre)
+          .select('usuario_id')
+
+        if (activadoresErr) {
+          jsonError(
+            res,
+            500,
+            'La plaza se renombro, pero no se pudo actualizar la plaza de los impulsadores.',
+            activadoresErr.message
+          )
+          return
+        }
+        impulsadoresActualizados = updatedRows?.length ?? 0
+      }
+
+      req.audit.details = { impulsadores_actualizados: impulsadoresActualizados }
+      res.json({
+        plaza: { ...data, distritos: previous.distritos ?? [] },
+        impulsadores_actualizados: impulsadoresActualizados,
+      })
+    })
+  )
+
+  app.delete(
+    '/admin/plazas/:plazaId',
+    auditMutation('plazas.delete', { targetType: 'plaza', targetParam: 'plazaId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const plazaId = normalizeText(req.params?.plazaId)
+
+      const { data, error } = await adminSupabase
+        .from('plazas')
+        .delete()
+        .eq('id', plazaId)
+        .select(PLAZA_COLUMNS)
+        .maybeSingle()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo eliminar la plaza.', error.message)
+        return
+      }
+
+      if (!data) {
+        jsonError(res, 404, 'No se encontro la plaza.')
+        return
+      }
+
+      req.audit.before = data
+      res.json({ ok: true })
+    })
+  )
+
+  app.post(
+    '/admin/plazas/:plazaId/distritos',
+    auditMutation('distritos.create', { targetType: 'distrito' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const plazaId = normalizeText(req.params?.plazaId)
+      const { entry, errors } = normalizeCatalogEntryInput(req.body ?? {})
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const plaza = plazas.find((item) => item.id === plazaId)
+      if (!plaza) {
+        jsonError(res, 404, 'No se encontro la plaza.')
+        return
+      }
+
+      const conflict = findCatalogConflict(plaza.distritos, entry)
+      if (conflict) {
+        jsonError(
+          res,
+          409,
+          `El distrito "${conflict}" ya usa ese nombre o alias en ${plaza.nombre}.`
+        )
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('distritos')
+        .insert({ ...entry, plaza_id: plazaId })
+        .select(DISTRITO_COLUMNS)
+        .single()
+
+      if (error) {
+        sendCatalogWriteError(res, error, 'No se pudo crear el distrito.')
+        return
+      }
+
+      req.audit.targetId = data.id
+      req.audit.after = data
+      req.audit.details = { plaza: plaza.nombre }
+      res.status(201).json({ distrito: data })
+    })
+  )
+
+  app.patch(
+    '/admin/distritos/:distritoId',
+    auditMutation('distritos.update', { targetType: 'distrito', targetParam: 'distritoId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const distritoId = normalizeText(req.params?.distritoId)
+      const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      const plaza = plazas.find((item) =>
+        (item.distritos ?? []).some((distrito) => distrito.id === distritoId)
+      )
+      const previous = plaza?.distritos.find((distrito) => distrito.id === distritoId)
+      if (!previous) {
+        jsonError(res, 404, 'No se encontro el distrito.')
+        return
+      }
+
+      req.audit.before = previous
+
+      const { entry, errors } = mergeCatalogEntryPatch(previous, req.body ?? {})
+
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const conflict = findCatalogConflict(plaza.distritos, entry, distritoId)
+      if (conflict) {
+        jsonError(
+          res,
+          409,
+          `El distrito "${conflict}" ya usa ese nombre o alias en ${plaza.nombre}.`
+        )
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('distritos')
+        .update({ ...entry, updated_at: new Date().toISOString() })
+        .eq('id', distritoId)
+        .select(DISTRITO_COLUMNS)
+        .single()
+
+      if (error) {
+        sendCatalogWriteError(res, error, 'No se pudo actualizar el distrito.')
+        return
+      }
+
+      req.audit.after = data
+      res.json({ distrito: data })
+    })
+  )
+
+  app.delete(
+    '/admin/distritos/:distritoId',
+    auditMutation('distritos.delete', { targetType: 'distrito', targetParam: 'distritoId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const distritoId = normalizeText(req.params?.distritoId)
+
+      const { data, error } = await adminSupabase
+        .from('distritos')
+        .delete()
+        .eq('id', distritoId)
+        .select(DISTRITO_COLUMNS)
+        .maybeSingle()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo eliminar el distrito.', error.message)
+        return
+      }
+
+      if (!data) {
+        jsonError(res, 404, 'No se encontro el distrito.')
+        return
+      }
+
+      req.audit.before = data
+      res.json({ ok: true })
+    })
+  )
+
+  app.get(
+    '/admin/geofences',
+    requireAdminRole('viewer'),
+    asyncRoute(async (_req, res) => {
+      const [{ plazas, error: catalogoErr }, { geocercas, error }, { revision }] =
+        await Promise.all([
+          loadPlazasCatalogo(),
+          loadGeocercas(),
+          loadUltimaRevision('geofences.check'),
+        ])
+
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo leer las geocercas.', error.message)
+        return
+      }
+
+      res.json({
+        geocercas: geocercas.map((item) => {
+          const tipo = item.plaza_id ? 'plaza' : 'distrito'
+          const entrada = findGeocercaEntrada(plazas, tipo, item.plaza_id ?? item.distrito_id)
+          return {
+            ...item,
+            tipo,
+            nombre: entrada?.nombre ?? null,
+            vertices: contarVerticesGeocerca(item.geojson),
+          }
+        }),
+        ultima_revision: revision,
+      })
+    })
+  )
+
+  app.put(
+    '/admin/plazas/:plazaId/geofence',
+    auditMutation('geofences.update', { targetType: 'plaza', targetParam: 'plazaId' }),
+    requireAdminRole('supervisor'),
+    saveGeocercaHandler('plaza')
+  )
+
+  app.delete(
+    '/admin/plazas/:plazaId/geofence',
+    auditMutation('geofences.delete', { targetType: 'plaza', targetParam: 'plazaId' }),
+    requireAdminRole('supervisor'),
+    deleteGeocercaHandler('plaza')
+  )
+
+  app.put(
+    '/admin/distritos/:distritoId/geofence',
+    auditMutation('geofences.update', { targetType: 'distrito', targetParam: 'distritoId' }),
+    requireAdminRole('supervisor'),
+    saveGeocercaHandler('distrito')
+  )
+
+  app.delete(
+    '/admin/distritos/:distritoId/geofence',
+    auditMutation('geofences.delete', { targetType: 'distrito', targetParam: 'distritoId' }),
+    requireAdminRole('supervisor'),
+    deleteGeocercaHandler('distrito')
+  )
+
+  // Revisa todas las activaciones (tambien las de papelera) contra las geocercas actuales y
+  // guarda la alerta solo donde cambio.
+  app.post(
+    '/admin/geofences/check',
+    auditMutation('geofences.check', { targetType: 'geocerca' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const [{ plazas, error: catalogoErr }, { geocercas, error: geocercasErr }] =
+        await Promise.all([loadPlazasCatalogo(), loadGeocercas()])
+
+      if (catalogoErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', catalogoErr.message)
+        return
+      }
+
+      if (geocercasErr) {
+        jsonError(res, 500, 'No se pudo leer las geocercas.', geocercasErr.message)
+        return
+      }
+
+      const { revisar } = buildGeocercaChecker(plazas, geocercas)
+      const grupos = new Map()
+      const marcadas = { plaza: 0, distrito: 0 }
+      let revisadas = 0
+      let from = 0
+
+      while (true) {
+        const { data, error } = await adminSupabase
+          .from('activaciones')
+          .select(GEOCERCAS_SCAN_COLUMNS)
+          .order('id', { ascending: true })
+          .range(from, from + GEOCERCAS_PAGE_SIZE - 1)
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo leer activaciones.', error.message)
+          return
+        }
+
+        for (const alerta of agruparRevisionGeocercas(data ?? [], revisar, grupos)) {
+          revisadas += 1
+          if (alerta) {
+            marcadas[alerta] += 1
+          }
+        }
+
+        if (!data || data.length < GEOCERCAS_PAGE_SIZE) {
+          break
+        }
+
+        from += GEOCERCAS_PAGE_SIZE
+      }
+
+      const { cambios, error: saveErr } = await guardarRevisionGeocercas(grupos)
+      if (saveErr) {
+        req.audit.details = { geocercas: geocercas.length, revisadas, cambios }
+        jsonError(
+          res,
+          500,
+          `No se pudo guardar la revision; ${cambios} activaciones alcanzaron a actualizarse.`,
+          saveErr.message
+        )
+        return
+      }
+
+      req.audit.details = { geocercas: geocercas.length, revisadas, marcadas, cambios }
+      res.json({ ok: true, geocercas: geocercas.length, revisadas, marcadas, cambios })
+    })
+  )
+
+  // Activaciones con alerta de geocerca (de la ultima revision), con los filtros de la tabla.
+  app.get(
+    '/admin/geofences/report',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const alerta = getQueryText(req.query?.alerta)
+      if (alerta && !GEOCERCA_ALERTAS.includes(alerta)) {
+        jsonError(res, 400, 'alerta debe ser plaza o distrito.')
+        return
+      }
+
+      const filters = {
+        ...(await parseActivacionesFiltersWithCatalog(req.query ?? {})),
+        geocerca: alerta || 'fuera',
+        papelera: false,
+      }
+      const limit = parseLimit(req.query?.limit)
+      const offset = parseOffset(req.query?.offset)
+
+      const [{ revision, error: revisionErr }, { data, count, error }] = await Promise.all([
+        loadUltimaRevision('geofences.check'),
+        applyActivacionesFilters(
+          adminSupabase
+            .from('activaciones')
+            .select(GEOCERCAS_REPORTE_COLUMNS, { count: 'exact' }),
+          filters
+        )
+          .order('fecha_activacion', { ascending: false })
+          .order('id', { ascending: true })
+          .range(offset, offset + limit - 1),
+      ])
+
+      if (revisionErr) {
+        jsonError(res, 500, 'No se pudo leer la ultima revision.', revisionErr.message)
+        return
+      }
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener el reporte de geocercas.', error.message)
+        return
+      }
+
+      // Cruces declarado -> detectado sobre todas las alertas filtradas, no solo la pagina.
+      const cruces = new Map()
+      let from = 0
+      while (true) {
+        const { data: page, error: pageErr } = await applyActivacionesFilters(
+          adminSupabase
+            .from('activaciones')
+            .select('ciudad_activacion, plaza, zona_activacion, geocerca_alerta, geocerca_detalle'),
+          filters
+        )
+          .order('id', { ascending: true })
+          .range(from, from + GEOCERCAS_PAGE_SIZE - 1)
+
+        if (pageErr) {
+          jsonError(res, 500, 'No se pudo obtener el reporte de geocercas.', pageErr.message)
+          return
+        }
+
+        for (const row of page ?? []) {
+          const plaza = getCiudadActivacion(row) || 'Sin Plaza'
+          const declarada =
+            row.geocerca_alerta === 'plaza'
+              ? plaza
+              : `${plaza} / ${row.zona_activacion || 'Sin Distrito'}`
+          const key = `${row.geocerca_alerta}|${declarada}|${row.geocerca_detalle ?? ''}`
+          const item = cruces.get(key) ?? {
+            alerta: row.geocerca_alerta,
+            declarada,
+            detectada: row.geocerca_detalle ?? null,
+            conteo: 0,
+          }
+          item.conteo += 1
+          cruces.set(key, item)
+        }
+
+        if (!page || page.length < GEOCERCAS_PAGE_SIZE) {
+          break
+        }
+
+        from += GEOCERCAS_PAGE_SIZE
+      }
+
+      // Activaciones con GPS creadas despues de la ultima revision: aun no tienen alerta.
+      let pendientes = null
+      if (revision?.created_at) {
+        const { count: pendientesCount, error: pendientesErr } = await adminSupabase
+          .from('activaciones')
+          .select('id', { count: 'exact', head: true })
+          .is('deleted_at', null)
+          .not('latitud', 'is', null)
+          .gt('created_at', revision.created_at)
+
+        if (!pendientesErr) {
+          pendientes = pendientesCount ?? 0
+        }
+      }
+
+      const listaCruces = [...cruces.values()].sort((a, b) => b.conteo - a.conteo)
+      res.json({
+        ultima_revision: revision,
+        pendientes,
+        total: count ?? 0,
+        resumen: Object.fromEntries(
+          GEOCERCA_ALERTAS.map((tipo) => [
+            tipo,
+            listaCruces
+              .filter((item) => item.alerta === tipo)
+              .reduce((total, item) => total + item.conteo, 0),
+          ])
+        ),
+        cruces: listaCruces,
+        activaciones: (data ?? []).map((row) => ({
+          id: row.id,
+          created_at: row.created_at,
+          fecha_activacion: row.fecha_activacion,
+          impulsador: row.impulsador,
+          usuario_id: row.usuario_id,
+          plaza: getCiudadActivacion(row),
+          distrito: row.zona_activacion,
+          latitud: row.latitud,
+          longitud: row.longitud,
+          geocerca_alerta: row.geocerca_alerta,
+          geocerca_detalle: row.geocerca_detalle,
+        })),
+        limit,
+        offset,
+      })
+    })
+  )
+
+  // Busca duplicados y posibles fraudes en las activaciones (sin papelera) y sincroniza la cola
+  // de revision. Cada llamada calcula hasta `ANOMALIAS_FOTOS_POR_REVISION` huellas de fotos.
+  app.post(
+    '/admin/anomalies/scan',
+    auditMutation('anomalies.scan', { targetType: 'anomalia' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const [activaciones, huellasGuardadas, existentes] = await Promise.all([
+        loadAllRows('activaciones', ANOMALIAS_SCAN_COLUMNS, 'id', (query) =>
+          query.is('deleted_at', null)
+        ),
+        loadAllRows('activaciones_fotos_huella', 'activacion_id, foto_url, sha256', 'activacion_id'),
+        loadAllRows('activaciones_anomalias', ANOMALIA_COLUMNS, 'id'),
+      ])
+
+      if (activaciones.error) {
+        jsonError(res, 500, 'No se pudo leer activaciones.', activaciones.error.message)
+        return
+      }
+
+      if (huellasGuardadas.error) {
+        jsonError(res, 500, 'No se pudo leer las huellas de fotos.', huellasGuardadas.error.message)
+        return
+      }
+
+      if (existentes.error) {
+        jsonError(res, 500, 'No se pudo leer la cola de anomalias.', existentes.error.message)
+        return
+      }
+
+      const huellas = new Map(huellasGuardadas.rows.map((row) => [row.activacion_id, row]))
+      const conFoto = activaciones.rows.filter((row) => normalizeText(row.foto_url))
+      // Primero las fotos sin huella (o con otra URL); despues reintenta las que fallaron.
+      const sinHuella = conFoto.filter((row) => huellas.get(row.id)?.foto_url !== row.foto_url)
+      const fallidas = conFoto.filter(
+        (row) => huellas.get(row.id)?.foto_url === row.foto_url && !huellas.get(row.id).sha256
+      )
+      const porCalcular = [...sinHuella, ...fallidas].slice(0, ANOMALIAS_FOTOS_POR_REVISION)
+      const calculadas = []
+
+      await forEachWithConcurrency(porCalcular, EXPORT_PHOTO_CONCURRENCY, async (row) => {
+        const huella = {
+          activacion_id: row.id,
+          foto_url: row.foto_url,
+          sha256: await calcularHuellaFoto(row),
+          calculada_at: new Date().toISOString(),
+        }
+        calculadas.push(huella)
+        huellas.set(row.id, huella)
+      })
+
+      for (const chunk of chunkArray(calculadas, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { error } = await adminSupabase
+          .from('activaciones_fotos_huella')
+          .upsert(chunk, { onConflict: 'activacion_id' })
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo guardar las huellas de fotos.', error.message)
+          return
+        }
+      }
+
+      const huellasVigentes = new Map()
+      for (const row of conFoto) {
+        const huella = huellas.get(row.id)
+        if (huella?.sha256 && huella.foto_url === row.foto_url) {
+          huellasVigentes.set(row.id, huella.sha256)
+        }
+      }
+
+      const scan = createAnomaliasScan()
+      addRowsToAnomaliasScan(scan, activaciones.rows, { huellas: huellasVigentes })
+      const detectadas = buildAnomalias(scan)
+      const { guardar, eliminar, resumen } = planAnomaliasSync(detectadas, existentes.rows)
+      const fotos = {
+        calculadas: calculadas.filter((huella) => huella.sha256).length,
+        fallidas: calculadas.filter((huella) => !huella.sha256).length,
+        pendientes: Math.max(0, sinHuella.length - porCalcular.length),
+      }
+
+      for (const chunk of chunkArray(guardar, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { error } = await adminSupabase
+          .from('activaciones_anomalias')
+          .upsert(chunk, { onConflict: 'activacion_id' })
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo guardar la cola de anomalias.', error.message)
+          return
+        }
+      }
+
+      for (const chunk of chunkArray(eliminar, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { error } = await adminSupabase
+          .from('activaciones_anomalias')
+          .delete()
+          .in('id', chunk)
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo limpiar la cola de anomalias.', error.message)
+          return
+        }
+      }
+
+      const result = {
+        revisadas: scan.revisadas,
+        sospechosas: detectadas.length,
+        ...resumen,
+        fotos,
+      }
+      req.audit.details = result
+      res.json({ ok: true, ...result })
+    })
+  )
+
+  // Cola de revision con la activacion de cada anomalia (datos del cliente enmascarados) y un
+  // resumen de las activaciones relacionadas.
+  app.get(
+    '/admin/anomalies',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const estado = getQueryText(req.query?.estado) || 'pendiente'
+      if (estado !== 'todas' && !ANOMALIA_ESTADOS.includes(estado)) {
+        jsonError(res, 400, 'estado debe ser pendiente, confirmada, descartada o todas.')
+        return
+      }
+
+      const tipo = getQueryText(req.query?.tipo)
+      if (tipo && !Object.hasOwn(ANOMALIA_TIPOS, tipo)) {
+        jsonError(res, 400, `tipo debe ser ${Object.keys(ANOMALIA_TIPOS).join(', ')}.`)
+        return
+      }
+
+      const limit = parseLimit(req.query?.limit)
+      const offset = parseOffset(req.query?.offset)
+
+      let query = adminSupabase
+        .from('activaciones_anomalias')
+        .select(`${ANOMALIA_COLUMNS}, activacion:activaciones(${ANOMALIAS_ACTIVACION_COLUMNS})`, {
+          count: 'exact',
+        })
+      if (estado !== 'todas') {
+        query = query.eq('estado', estado)
+      }
+      if (tipo) {
+        // En jsonb el valor va como texto JSON; un arreglo se enviaria como arreglo de Postgres.
+        query = query.contains('motivos', JSON.stringify([{ tipo }]))
+      }
+
+      const [{ data, count, error }, { revision, error: revisionErr }, ...conteos] =
+        await Promise.all([
+          query
+            .order('puntaje', { ascending: false })
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1),
+          loadUltimaRevision('anomalies.scan'),
+          ...ANOMALIA_ESTADOS.map((item) =>
+            adminSupabase
+              .from('activaciones_anomalias')
+              .select('id', { count: 'exact', head: true })
+              .eq('estado', item)
+          ),
+        ])
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo leer la cola de anomalias.', error.message)
+        return
+      }
+
+      if (revisionErr) {
+        jsonError(res, 500, 'No se pudo leer la ultima revision.', revisionErr.message)
+        return
+      }
+
+      const conteoErr = conteos.find((item) => item.error)?.error
+      if (conteoErr) {
+        jsonError(res, 500, 'No se pudo leer la cola de anomalias.', conteoErr.message)
+        return
+      }
+
+      const relacionadasIds = [
+        ...new Set(
+          (data ?? []).flatMap((row) =>
+            (row.motivos ?? []).flatMap((motivo) => motivo.relacionadas ?? [])
+          )
+        ),
+      ]
+      const relacionadas = {}
+      for (const chunk of chunkArray(relacionadasIds, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { data: filas, error: relacionadasErr } = await adminSupabase
+          .from('activaciones')
+          .select(ANOMALIAS_RELACIONADA_COLUMNS)
+          .in('id', chunk)
+
+        if (relacionadasErr) {
+          jsonError(res, 500, 'No se pudo leer activaciones.', relacionadasErr.message)
+          return
+        }
+
+        for (const fila of filas ?? []) {
+          relacionadas[fila.id] = {
+            id: fila.id,
+            created_at: fila.created_at,
+            fecha_activacion: fila.fecha_activacion,
+            impulsador: fila.impulsador,
+            plaza: getCiudadActivacion(fila),
+            deleted_at: fila.deleted_at,
+          }
+        }
+      }
+
+      res.json({
+        ultima_revision: revision,
+        resumen: Object.fromEntries(
+          ANOMALIA_ESTADOS.map((item, index) => [item, conteos[index].count ?? 0])
+        ),
+        total: count ?? 0,
+        anomalias: (data ?? []).map((row) => ({
+          ...row,
+          activacion: row.activacion ? maskActivacionPii(row.activacion) : null,
+        })),
+        relacionadas,
+        limit,
+        offset,
+      })
+    })
+  )
+
+  app.patch(
+    '/admin/anomalies/:anomaliaId',
+    auditMutation('anomalies.review', { targetType: 'anomalia', targetParam: 'anomaliaId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const anomaliaId = normalizeText(req.params?.anomaliaId)
+      const { revision, errors } = normalizeAnomaliaRevision(req.body ?? {})
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const { data: previous, error: previousErr } = await adminSupabase
+        .from('activaciones_anomalias')
+        .select(ANOMALIA_COLUMNS)
+        .eq('id', anomaliaId)
+        .maybeSingle()
+
+      if (previousErr) {
+        jsonError(res, 500, 'No se pudo leer la anomalia.', previousErr.message)
+        return
+      }
+
+      if (!previous) {
+        jsonError(res, 404, 'No se encontro la anomalia.')
+        return
+      }
+
+      const revisada = revision.estado !== 'pendiente'
+      const { data, error } = await adminSupabase
+        .from('activaciones_anomalias')
+        .update({
+          ...revision,
+          revisada_at: revisada ? new Date().toISOString() : null,
+          revisada_por: revisada ? getAdminActorName(req) : null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', anomaliaId)
+        .select(ANOMALIA_COLUMNS)
+        .single()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo guardar la revision.', error.message)
+        return
+      }
+
+      req.audit.before = { estado: previous.estado, nota: previous.nota }
+      req.audit.after = { estado: data.estado, nota: data.nota }
+      req.audit.details = { activacion_id: data.activacion_id, puntaje: data.puntaje }
+      res.json({ anomalia: data })
+    })
+  )
+
+  // Conteos de la revision de fotos por impulsador; la cola es `GET /admin/activaciones?foto=`.
+  app.get(
+    '/admin/photo-reviews/metrics',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const filters = await parseActivacionesFiltersWithCatalog({
+        desde: req.query?.desde,
+        hasta: req.query?.hasta,
+        plaza: req.query?.plaza,
+      })
+
+      const { data, error } = await adminSupabase.rpc('get_activaciones_fotos_revision', {
+        p_desde: filters.desde || null,
+        p_hasta: filters.hasta || null,
+        p_plaza_terms: filters.plaza ? (filters.plazaTerms ?? [filters.plaza]) : null,
+      })
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo calcular las metricas de revision de fotos.', error.message)
+        return
+      }
+
+      const conTasa = (conteos) => ({
+        ...conteos,
+        tasa_aprobacion: calcularTasaAprobacion(conteos.aprobadas, conteos.rechazadas),
+      })
+
+      res.json({
+        filtros: {
+          desde: filters.desde || null,
+          hasta: filters.hasta || null,
+          plaza: filters.plaza || null,
+        },
+        resumen: conTasa(data?.resumen ?? {}),
+        impulsadores: (data?.impulsadores ?? []).map(conTasa),
+        motivos: data?.motivos ?? [],
+      })
+    })
+  )
+
+  app.get(
+    '/admin/data-quality/proposals',
+    requireAdminRole('supervisor'),
+    asyncRoute(async (_req, res) => {
+      const [{ plazas, error: plazasErr }, { data: activadores, error: activadoresErr }] =
+        await Promise.all([
+          loadPlazasCatalogo(),
+          adminSupabase.from('activadores').select('usuario_id, nombre'),
+        ])
+
+      if (plazasErr) {
+        jsonError(res, 500, 'No se pudo leer el catalogo de plazas.', plazasErr.message)
+        return
+      }
+
+      if (activadoresErr) {
+        jsonError(res, 500, 'No se pudo leer impulsadores.', activadoresErr.message)
+        return
+      }
+
+      const scan = createNormalizacionScan()
+      let from = 0
+
+      while (true) {
+        const { data, error } = await adminSupabase
+          .from('activaciones')
+          .select(NORMALIZACION_SCAN_COLUMNS)
+          .is('deleted_at', null)
+          .order('id', { ascending: true })
+          .range(from, from + NORMALIZACION_PAGE_SIZE - 1)
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo leer activaciones.', error.message)
+          return
+        }
+
+        addRowsToNormalizacionScan(scan, data)
+
+        if (!data || data.length < NORMALIZACION_PAGE_SIZE) {
+          break
+        }
+
+        from += NORMALIZACION_PAGE_SIZE
+      }
+
+      res.json({
+        scanned: scan.scanned,
+        mappings: proposeNormalizaciones(scan, { plazas, activadores: activadores ?? [] }),
+      })
+    })
+  )
+
+  // Un lote que sigue `running` despues del limite de la funcion se corto (timeout o caida): pasa
+  // a `error` con los cambios guardados hasta ese punto, que se pueden deshacer.
+  function expireStaleNormalizacionBatches() {
+    const cutoff = new Date(Date.now() - NORMALIZACION_RUNNING_STALE_SECONDS * 1000).toISOString()
+    return adminSupabase
+      .from('activaciones_normalizaciones')
+      .update({
+        status: 'error',
+        error_message: 'El lote se interrumpio antes de terminar de aplicarse.',
+      })
+      .eq('status', 'running')
+      .lt('created_at', cutoff)
+  }
+
+  app.get(
+    '/admin/data-quality/batches',
+    requireAdminRole('supervisor'),
+    asyncRoute(async (_req, res) => {
+      const { error: staleErr } = await expireStaleNormalizacionBatches()
+      if (staleErr) {
+        jsonError(res, 500, 'No se pudo actualizar los lotes interrumpidos.', staleErr.message)
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('activaciones_normalizaciones')
+        .select(NORMALIZACION_BATCH_COLUMNS)
+        .order('created_at', { ascending: false })
+        .limit(NORMALIZACION_BATCHES_LIMIT)
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener el historial de normalizaciones.', error.message)
+        return
+      }
+
+      res.json({ batches: (data ?? []).map(toNormalizacionBatchSummary) })
+    })
+  )
+
+  app.post(
+    '/admin/data-quality/apply',
+    auditMutation('data_quality.apply', { targetType: 'normalizacion' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const { mappings, error: mappingsError } = validateNormalizacionMappings(req.body?.mappings)
+      if (mappingsError) {
+        jsonError(res, 400, mappingsError)
+        return
+      }
+
+      const { data: batch, error: batchErr } = await adminSupabase
+        .from('activaciones_normalizaciones')
+        .insert({
+          account_id: req.adminUser?.id ?? null,
+          username: req.adminUser?.username ?? 'desconocido',
+          status: 'running',
+        })
+        .select('id')
+        .single()
+
+      if (batchErr) {
+        jsonError(res, 500, 'No se pudo registrar el lote de normalizacion.', batchErr.message)
+        return
+      }
+
+      req.audit.targetId = batch.id
+
+      // Cada mapeo guarda los ids que realmente cambio; es lo que permite deshacer el lote
+      // sin tocar filas que ya tenian el valor nuevo. El registro se guarda despues de cada
+      // mapeo: si la funcion se corta, lo aplicado hasta ahi se puede deshacer.
+      const cambios = []
+      let totalRows = 0
+      let failure = null
+      for (const mapping of mappings) {
+        const { data, error } = await adminSupabase
+          .from('activaciones')
+          .update({
+            [mapping.field]: mapping.to,
+            updated_at: new Date().toISOString(),
+            updated_by: getAdminActorName(req),
+          })
+          .eq(mapping.field, mapping.from)
+          .is('deleted_at', null)
+          .select('id')
+
+        if (error) {
+          failure = {
+            error: `No se pudo aplicar "${mapping.from}" en ${mapping.field}.`,
+            message: error.message,
+          }
+          break
+        }
+
+        cambios.push({ ...mapping, ids: (data ?? []).map((row) => row.id) })
+        totalRows += data?.length ?? 0
+
+        const { error: progressErr } = await adminSupabase
+          .from('activaciones_normalizaciones')
+          .update({ cambios, total_rows: totalRows })
+          .eq('id', batch.id)
+
+        if (progressErr) {
+          failure = {
+            error: `Se aplico "${mapping.from}" en ${mapping.field}, pero no se pudo guardar el avance del lote y se detuvo.`,
+            message: progressErr.message,
+          }
+          break
+        }
+      }
+
+      const { error: finishErr } = await adminSupabase
+        .from('activaciones_normalizaciones')
+        .update({
+          status: failure ? 'error' : 'applied',
+          cambios,
+          total_rows: totalRows,
+          error_message: failure?.message ?? null,
+        })
+        .eq('id', batch.id)
+
+      // Despues de cerrar el lote, para no alargar el tramo en que un corte pierde el registro.
+      const geocercas = await recalcularGeocercasActivaciones(
+        getIdsConCamposGeocerca(cambios, (cambio) => cambio.ids)
+      )
+
+      req.audit.details = {
+        mappings: mappings.length,
+        applied_mappings: cambios.length,
+        total_rows: totalRows,
+        geocercas_recalculadas: geocercas.cambios,
+      }
+
+      if (finishErr) {
+        jsonError(
+          res,
+          500,
+          'Los cambios se aplicaron, pero no se pudo cerrar el registro del lote. Cuando figure con error se podra deshacer lo guardado.',
+          finishErr.message
+        )
+        return
+      }
+
+      if (failure) {
+        jsonError(
+          res,
+          500,
+          `${failure.error} Los cambios anteriores quedaron registrados en el lote y se pueden deshacer.`,
+          failure.message
+        )
+        return
+      }
+
+      res.json({
+        ok: true,
+        batch_id: batch.id,
+        total_rows: totalRows,
+        geocercas_recalculadas: geocercas.cambios,
+        ...(geocercas.error ? { warning: GEOCERCAS_RECALCULO_WARNING } : {}),
+      })
+    })
+  )
+
+  app.post(
+    '/admin/data-quality/batches/:batchId/undo',
+    auditMutation('data_quality.undo', { targetType: 'normalizacion', targetParam: 'batchId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const batchId = normalizeText(req.params?.batchId)
+
+      const { error: staleErr } = await expireStaleNormalizacionBatches()
+      if (staleErr) {
+        jsonError(res, 500, 'No se pudo actualizar los lotes interrumpidos.', staleErr.message)
+        return
+      }
+
+      const { data: batch, error: batchErr } = await adminSupabase
+        .from('activaciones_normalizaciones')
+        .select(NORMALIZACION_BATCH_COLUMNS)
+        .eq('id', batchId)
+        .maybeSingle()
+
+      if (batchErr) {
+        jsonError(res, 500, 'No se pudo leer el lote de normalizacion.', batchErr.message)
+        return
+      }
+
+      if (!batch) {
+        jsonError(res, 404, 'No se encontro el lote de normalizacion.')
+        return
+      }
+
+      if (batch.status === 'undone') {
+        jsonError(res, 409, 'El lote ya fue deshecho.')
+        return
+      }
+
+      if (batch.status === 'running') {
+        jsonError(res, 409, 'El lote todavia se esta aplicando.')
+        return
+      }
+
+      req.audit.before = toNormalizacionBatchSummary(batch)
+
+      // Se revierte en orden inverso y solo donde el campo conserva el valor aplicado: si alguien
+      // corrigio la fila despues, se respeta su edicion.
+      const cambios = Array.isArray(batch.cambios) ? batch.cambios : []
+      const restoredIds = new Map(cambios.map((cambio) => [cambio, []]))
+      let restored = 0
+      let skipped = 0
+      let failure = null
+      for (const cambio of [...cambios].reverse()) {
+        for (const idsChunk of chunkArray(cambio.ids ?? [], NORMALIZACION_UNDO_CHUNK_SIZE)) {
+          const { data, error } = await adminSupabase
+            .from('activaciones')
+            .update({
+              [cambio.field]: cambio.from,
+              updated_at: new Date().toISOString(),
+              updated_by: getAdminActorName(req),
+            })
+            .in('id', idsChunk)
+            .eq(cambio.field, cambio.to)
+            .select('id')
+
+          if (error) {
+            failure = error.message
+            break
+          }
+
+          restoredIds.get(cambio).push(...(data ?? []).map((row) => row.id))
+          restored += data?.length ?? 0
+          skipped += idsChunk.length - (data?.length ?? 0)
+        }
+
+        if (failure) {
+          break
+        }
+      }
+
+      const geocercas = await recalcularGeocercasActivaciones(
+        getIdsConCamposGeocerca(cambios, (cambio) => restoredIds.get(cambio))
+      )
+
+      if (failure) {
+        req.audit.details = { restored, skipped, geocercas_recalculadas: geocercas.cambios }
+        jsonError(res, 500, 'No se pudo deshacer el lote completo.', failure)
+        return
+      }
+
+      const { data: updatedBatch, error: updateErr } = await adminSupabase
+        .from('activaciones_normalizaciones')
+        .update({
+          status: 'undone',
+          undone_at: new Date().toISOString(),
+          undone_by: getAdminActorName(req),
+          undone_rows: restored,
+        })
+        .eq('id', batch.id)
+        .select(NORMALIZACION_BATCH_COLUMNS)
+        .single()
+
+      req.audit.details = { restored, skipped, geocercas_recalculadas: geocercas.cambios }
+
+      if (updateErr) {
+        jsonError(
+          res,
+          500,
+          'Las activaciones se restauraron, pero no se pudo marcar el lote como deshecho.',
+          updateErr.message
+        )
+        return
+      }
+
+      req.audit.after = toNormalizacionBatchSummary(updatedBatch)
+      res.json({
+        ok: true,
+        restored,
+        skipped,
+        geocercas_recalculadas: geocercas.cambios,
+        ...(geocercas.error ? { warning: GEOCERCAS_RECALCULO_WARNING } : {}),
+      })
+    })
+  )
+
+  app.get(
+    '/admin/storage/summary',
+    requireAdminRole('supervisor'),
+    asyncRoute(async (_req, res) => {
+      const { count: activacionesCount, error: activacionesCountErr } = await adminSupabase
+        .from('activaciones')
+        .select('id', { count: 'exact', head: true })
+
+      if (activacionesCountErr) {
+        jsonError(res, 500, 'No se pudo obtener conteo de activaciones.', activacionesCountErr.message)
+        return
+      }
+
+      const { count: activacionesWithPhotoCount, error: activacionesWithPhotoCountErr } =
+        await adminSupabase
+          .from('activaciones')
+          .select('id', { count: 'exact', head: true })
+          .not('foto_url', 'is', null)
+          .neq('foto_url', '')
+
+      if (activacionesWithPhotoCountErr) {
+        jsonError(
+          res,
+          500,
+          'No se pudo obtener conteo de activaciones con foto.',
+          activacionesWithPhotoCountErr.message
+        )
+        return
+      }
+
+      let bucketUsage = null
+      try {
+        bucketUsage = await calculateBucketUsageBytes(adminSupabase, activacionesBucket)
+      } catch (error) {
+        jsonError(
+          res,
+          500,
+          'No se pudo calcular uso del bucket de fotos.',
+          error instanceof Error ? error.message : undefined
+        )
+        return
+      }
+
+      let databaseSizeBytes = null
+      let databaseSizeUnavailableReason = null
+
+      const { data: databaseSizeData, error: databaseSizeErr } = await adminSupabase.rpc(
+        'get_database_size_bytes'
+      )
+
+      if (databaseSizeErr) {
+        databaseSizeUnavailableReason = databaseSizeErr.message
+      } else if (typeof databaseSizeData === 'number') {
+        databaseSizeBytes = databaseSizeData
+      } else if (typeof databaseSizeData === 'string') {
+        const parsedSize = Number(databaseSizeData)
+        if (Number.isFinite(parsedSize) && parsedSize >= 0) {
+          databaseSizeBytes = parsedSize
+        }
+      } else if (databaseSizeData && typeof databaseSizeData === 'object') {
+        const candidate =
+          databaseSizeData.get_database_size_bytes ??
+          databaseSizeData.database_size_bytes ??
+          databaseSizeData.size_bytes ??
+          null
+        const parsedSize = Number(candidate)
+        if (Number.isFinite(parsedSize) && parsedSize >= 0) {
+          databaseSizeBytes = parsedSize
+        }
+      }
+
+      let estimatedDatabase = null
+      let estimationUnavailableReason = null
+      try {
+        estimatedDatabase = await estimateDatabaseUsageFromActivaciones(adminSupabase, {
+          activacionesCount: activacionesCount ?? 0,
+          databaseLimitBytes,
+        })
+      } catch (error) {
+        estimationUnavailableReason = error instanceof Error ? error.message : null
+      }
+
+      const storageRemainingBytes =
+        storageLimitBytes == null ? null : Math.max(0, storageLimitBytes - bucketUsage.totalBytes)
+      const storageUsagePercent =
+        storageLimitBytes == null || storageLimitBytes <= 0
+          ? null
+          : Number(((bucketUsage.totalBytes / storageLimitBytes) * 100).toFixed(2))
+
+      const effectiveDatabaseUsedBytes =
+        databaseSizeBytes ?? estimatedDatabase?.estimated_database_used_bytes ?? null
+      const databaseRemainingBytes =
+        databaseLimitBytes == null || effectiveDatabaseUsedBytes == null
+          ? null
+          : Math.max(0, databaseLimitBytes - effectiveDatabaseUsedBytes)
+      const databaseUsagePercent =
+        databaseLimitBytes == null || databaseLimitBytes <= 0 || effectiveDatabaseUsedBytes == null
+          ? null
+          : Number(((effectiveDatabaseUsedBytes / databaseLimitBytes) * 100).toFixed(2))
+
+      const perActivationDatabaseBytes =
+        estimatedDatabase?.per_activation_estimated_bytes > 0
+          ? estimatedDatabase.per_activation_estimated_bytes
+          : Number(activacionesCount ?? 0) > 0 && effectiveDatabaseUsedBytes != null
+            ? Math.max(1, Math.round(effectiveDatabaseUsedBytes / Number(activacionesCount ?? 0)))
+            : null
+
+      const combinedCapacityEstimation = estimateCombinedActivationCapacity({
+        activacionesCount: activacionesCount ?? 0,
+        activacionesWithPhotoCount: activacionesWithPhotoCount ?? 0,
+        storageObjectsCount: bucketUsage.totalObjects,
+        storageUsedBytes: bucketUsage.totalBytes,
+        storageRemainingBytes,
+        databaseRemainingBytes,
+        perActivationDatabaseBytes,
+      })
+
+      res.json({
+        summary: {
+          bucket: activacionesBucket,
+          activaciones_count: activacionesCount ?? 0,
+          activaciones_with_photo_count: activacionesWithPhotoCount ?? 0,
+          storage_objects_count: bucketUsage.totalObjects,
+          storage_used_bytes: bucketUsage.totalBytes,
+          storage_limit_bytes: storageLimitBytes,
+          storage_limit_source: storageLimitSource,
+          storage_remaining_bytes: storageRemainingBytes,
+          storage_usage_percent: storageUsagePercent,
+          database_size_bytes: databaseSizeBytes,
+          database_used_effective_bytes: effectiveDatabaseUsedBytes,
+          database_limit_bytes: databaseLimitBytes,
+          database_limit_source: databaseLimitSource,
+          database_remaining_bytes: databaseRemainingBytes,
+          database_usage_percent: databaseUsagePercent,
+          database_size_source:
+            databaseSizeBytes == null
+              ? estimatedDatabase
+                ? 'estimate:activaciones_avg_row'
+                : null
+              : 'rpc:get_database_size_bytes',
+          database_size_unavailable_reason:
+            databaseSizeBytes == null ? databaseSizeUnavailableReason : null,
+          database_estimation: estimatedDatabase,
+          database_estimation_unavailable_reason:
+            estimatedDatabase == null ? estimationUnavailableReason : null,
+          combined_capacity_estimation: combinedCapacityEstimation,
+          plan_reference: SUPABASE_FREE_PLAN_REFERENCE,
+        },
+      })
+    })
+  )
+
+  // Archivos del bucket sin activacion y activaciones cuya foto no esta en el bucket.
+  app.get(
+    '/admin/storage/reconciliation',
+    requireAdminRole('supervisor'),
+    asyncRoute(async (_req, res) => {
+      const { conciliacion, error } = await loadConciliacionFotos()
+      if (error) {
+        jsonError(res, 500, error.message, error.details)
+        return
+      }
+
+      res.json({
+        bucket: activacionesBucket,
+        resumen: conciliacion.resumen,
+        huerfanos: conciliacion.huerfanos.slice(0, CONCILIACION_MAX_ITEMS),
+        faltantes: conciliacion.faltantes.slice(0, CONCILIACION_MAX_ITEMS),
+      })
+    })
+  )
+
+  // Borra archivos huerfanos: `paths` elegidos o `all: true`. La conciliacion se recalcula antes
+  // de borrar, asi que solo se eliminan rutas que siguen sin activacion.
+  app.post(
+    '/admin/storage/orphans/purge',
+    auditMutation('storage.orphans_purge', { targetType: 'storage' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const all = req.body?.all === true
+      const requestedPaths = Array.isArray(req.body?.paths)
+        ? [...new Set(req.body.paths.map((path) => normalizeText(path)).filter(Boolean))]
+        : []
+
+      if (!all && !requestedPaths.length) {
+        jsonError(res, 400, 'Indica paths (lista de rutas) o all: true.')
+        return
+      }
+
+      const { conciliacion, error } = await loadConciliacionFotos()
+      if (error) {
+        jsonError(res, 500, error.message, error.details)
+        return
+      }
+
+      const huerfanosPorRuta = new Map(
+        conciliacion.huerfanos.map((objeto) => [objeto.path, objeto])
+      )
+      const paths = all ? [...huerfanosPorRuta.keys()] : requestedPaths
+      const results = []
+
+      for (const path of paths) {
+        if (!huerfanosPorRuta.has(path)) {
+          results.push({ path, ok: false, error: 'El archivo no es huerfano o ya no existe.' })
+        }
+      }
+
+      const pendingPaths = paths.filter((path) => huerfanosPorRuta.has(path))
+      for (const pathsChunk of chunkArray(pendingPaths, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { data: removed, error: removeErr } = await adminSupabase.storage
+          .from(activacionesBucket)
+          .remove(pathsChunk)
+        const removedNames = new Set((removed ?? []).map((item) => item?.name))
+
+        for (const path of pathsChunk) {
+          if (removeErr) {
+            results.push({ path, ok: false, error: removeErr.message })
+          } else if (!removedNames.has(path)) {
+            results.push({ path, ok: false, error: 'Storage no confirmo el borrado.' })
+          } else {
+            results.push({ path, ok: true, size: huerfanosPorRuta.get(path).size })
+          }
+        }
+      }
+
+      const removedResults = results.filter((item) => item.ok)
+      const summary = {
+        all,
+        requested: paths.length,
+        removed: removedResults.length,
+        failed: results.length - removedResults.length,
+        freed_bytes: removedResults.reduce((total, item) => total + item.size, 0),
+      }
+
+      req.audit.details = {
+        ...summary,
+        bucket: activacionesBucket,
+        paths: removedResults.slice(0, CONCILIACION_MAX_ITEMS).map((item) => item.path),
+      }
+
+      res.json({
+        ok: summary.failed === 0,
+        ...summary,
+        results: results.slice(0, CONCILIACION_MAX_ITEMS),
+      })
+    })
+  )
+
+  // Agrega en la base (get_activaciones_metricas) con los mismos filtros que el panel de
+  // Metricas, para no descargar las activaciones a la web.
+  app.get(
+    '/admin/metrics',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const filters = await parseActivacionesFiltersWithCatalog({
+        desde: req.query?.desde,
+        hasta: req.query?.hasta,
+        plaza: req.query?.plaza,
+        distrito: req.query?.distrito,
+        impulsador: req.query?.impulsador,
+        tipo: req.query?.tipo,
+      })
+
+      const [{ plazas }, avanceMetas, { data, error }] = await Promise.all([
+        loadPlazasCatalogo(),
+        loadAvanceMetas(filters.hasta || fechaHoyBolivia()),
+        adminSupabase.rpc('get_activaciones_metricas', {
+          p_desde: filters.desde || null,
+          p_hasta: filters.hasta || null,
+          p_plaza_terms: filters.plaza ? (filters.plazaTerms ?? [filters.plaza]) : null,
+          p_distrito_terms: filters.distrito
+            ? (filters.distritoTerms ?? [filters.distrito])
+            : null,
+          p_impulsador: filters.impulsador || null,
+          p_tipo: filters.tipo || null,
+        }),
+      ])
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo calcular las metricas de activaciones.', error.message)
+        return
+      }
+
+      res.json({
+        filtros: {
+          desde: filters.desde || null,
+          hasta: filters.hasta || null,
+          plaza: filters.plaza || null,
+          distrito: filters.distrito || null,
+          impulsador: filters.impulsador || null,
+          tipo: filters.tipo || null,
+        },
+        ...buildMetricasPanel(data, {
+          catalogo: buildCatalogoIndex(plazas),
+          metas: avanceMetas.metas,
+        }),
+        // Las metas son de la semana y el mes que contienen `hasta` (u hoy); sin la tabla de
+        // metas el panel se muestra igual.
+        metas: avanceMetas.metas,
+        metas_unavailable_reason: avanceMetas.error?.message ?? null,
+      })
+    })
+  )
+
+  app.get(
+    '/admin/map',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const { vista, errors } = parseMapaVista(req.query ?? {})
+      if (errors.length > 0) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const filters = await parseActivacionesFiltersWithCatalog({
+        desde: req.query?.desde,
+        hasta: req.query?.hasta,
+        plaza: req.query?.plaza,
+        distrito: req.query?.distrito,
+        impulsador: req.query?.impulsador,
+        tipo: req.query?.tipo,
+      })
+      const incluirOpciones = parseBooleanFilter(req.query?.opciones) === true
+
+      const [{ plazas }, { data, error }] = await Promise.all([
+        incluirOpciones ? loadPlazasCatalogo() : { plazas: [] },
+        adminSupabase.rpc('get_activaciones_mapa', {
+          p_celda: vista.celda,
+          p_norte: vista.norte,
+          p_sur: vista.sur,
+          p_este: vista.este,
+          p_oeste: vista.oeste,
+          p_desde: filters.desde || null,
+          p_hasta: filters.hasta || null,
+          p_plaza_terms: filters.plaza ? (filters.plazaTerms ?? [filters.plaza]) : null,
+          p_distrito_terms: filters.distrito
+            ? (filters.distritoTerms ?? [filters.distrito])
+            : null,
+          p_impulsador: filters.impulsador || null,
+          p_tipo: filters.tipo || null,
+          p_opciones: incluirOpciones,
+        }),
+      ])
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo calcular el mapa de activaciones.', error.message)
+        return
+      }
+
+      res.json(buildMapaActivaciones(data, { catalogo: buildCatalogoIndex(plazas), vista }))
+    })
+  )
+
+  app.get(
+    '/admin/goals',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const fecha = normalizeDateFilter(req.query?.fecha) || fechaHoyBolivia()
+      const periodo = getQueryText(req.query?.periodo)
+      if (periodo && !META_PERIODOS.includes(periodo)) {
+        jsonError(res, 400, 'periodo debe ser semana o mes.')
+        return
+      }
+
+      const { metas, error } = await loadAvanceMetas(fecha, { periodo: periodo || null })
+      if (error) {
+        jsonError(res, 500, 'No se pudo leer las metas.', error.message)
+        return
+      }
+
+      const inicios = iniciosPeriodo(fecha)
+      res.json({
+        fecha,
+        periodos: Object.fromEntries(
+          META_PERIODOS.map((item) => [item, rangoMeta({ periodo: item, inicio: inicios[item] })])
+        ),
+        metas,
+      })
+    })
+  )
+
+  app.post(
+    '/admin/goals',
+    auditMutation('goals.create', { targetType: 'meta' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const { meta, errors } = normalizeMetaInput(req.body ?? {})
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const referenciaErr = await findMetaReferenciaError(meta)
+      if (referenciaErr) {
+        jsonError(res, referenciaErr.status, referenciaErr.message, referenciaErr.details)
+        return
+      }
+
+      const { data, error } = await adminSupabase
+        .from('metas')
+        .insert({ ...meta, created_by: getAdminActorName(req) })
+        .select(META_COLUMNS)
+        .single()
+
+      if (error) {
+        sendMetaWriteError(res, error, 'No se pudo crear la meta.')
+        return
+      }
+
+      req.audit.targetId = data.id
+      req.audit.after = data
+      res.status(201).json({ meta: data })
+    })
+  )
+
+  app.patch(
+    '/admin/goals/:goalId',
+    auditMutation('goals.update', { targetType: 'meta', targetParam: 'goalId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const goalId = normalizeText(req.params?.goalId)
+      const { data: previous, error: previousErr } = await adminSupabase
+        .from('metas')
+        .select(META_COLUMNS)
+        .eq('id', goalId)
+        .maybeSingle()
+
+      if (previousErr) {
+        jsonError(res, 500, 'No se pudo leer la meta.', previousErr.message)
+        return
+      }
+
+      if (!previous) {
+        jsonError(res, 404, 'No se encontro la meta.')
+        return
+      }
+
+      req.audit.before = previous
+
+      const { meta, errors } = normalizeMetaInput(req.body ?? {}, previous)
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      if (meta.plaza_id !== previous.plaza_id || meta.usuario_id !== previous.usuario_id) {
+        const referenciaErr = await findMetaReferenciaError(meta)
+        if (referenciaErr) {
+          jsonError(res, referenciaErr.status, referenciaErr.message, referenciaErr.details)
+          return
+        }
+      }
+
+      const { data, error } = await adminSupabase
+        .from('metas')
+        .update({
+          ...meta,
+          updated_at: new Date().toISOString(),
+          updated_by: getAdminActorName(req),
+        })
+        .eq('id', goalId)
+        .select(META_COLUMNS)
+        .single()
+
+      if (error) {
+        sendMetaWriteError(res, error, 'No se pudo actualizar la meta.')
+        return
+      }
+
+      req.audit.after = data
+      res.json({ meta: data })
+    })
+  )
+
+  app.delete(
+    '/admin/goals/:goalId',
+    auditMutation('goals.delete', { targetType: 'meta', targetParam: 'goalId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const goalId = normalizeText(req.params?.goalId)
+
+      const { data, error } = await adminSupabase
+        .from('metas')
+        .delete()
+        .eq('id', goalId)
+        .select(META_COLUMNS)
+        .maybeSingle()
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo eliminar la meta.', error.message)
+        return
+      }
+
+      if (!data) {
+        jsonError(res, 404, 'No se encontro la meta.')
+        return
+      }
+
+      req.audit.before = data
+      res.json({ ok: true })
+    })
+  )
+
+  app.get(
+    '/admin/activaciones',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const filters = await parseActivacionesFiltersWithCatalog(req.query ?? {})
+      const sort = parseActivacionesSort(req.query ?? {})
+      const limit = parseLimit(req.query?.limit, { fallback: 50, min: 1, max: 500 })
+      const rawCursor = getQueryText(req.query?.cursor)
+      const cursor = rawCursor ? decodeActivacionesCursor(rawCursor, sort) : null
+
+      if (rawCursor && !cursor) {
+        jsonError(res, 400, 'cursor invalido para el orden solicitado.')
+        return
+      }
+
+      const offset = cursor ? 0 : parseOffset(req.query?.offset)
+      const orderedQuery = (query) =>
+        query
+          .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+          .order('id', { ascending: sort.ascending })
+
+      let rows = []
+      let total = 0
+      let hasMore = false
+
+      if (cursor) {
+        const [
+          { data: pageRows, error: pageErr },
+          { count, error: countErr },
+        ] = await Promise.all([
+          orderedQuery(
+            applyActivacionesFilters(adminSupabase.from('activaciones').select('*'), filters, {
+              orGroups: [buildActivacionesCursorGroup(sort, cursor)],
+            })
+          ).limit(limit + 1),
+          applyActivacionesFilters(
+            adminSupabase.from('activaciones').select('id', { count: 'exact', head: true }),
+            filters
+          ),
+        ])
+
+        if (pageErr) {
+          jsonError(res, 500, 'No se pudo obtener activaciones.', pageErr.message)
+          return
+        }
+
+        if (countErr) {
+          jsonError(res, 500, 'No se pudo obtener conteo de activaciones.', countErr.message)
+          return
+        }
+
+        hasMore = (pageRows ?? []).length > limit
+        rows = (pageRows ?? []).slice(0, limit)
+        total = count ?? 0
+      } else {
+        const { data: pageRows, count, error: pageErr } = await orderedQuery(
+          applyActivacionesFilters(
+            adminSupabase.from('activaciones').select('*', { count: 'exact' }),
+            filters
+          )
+        ).range(offset, offset + limit - 1)
+
+        if (pageErr) {
+          jsonError(res, 500, 'No se pudo obtener activaciones.', pageErr.message)
+          return
+        }
+
+        rows = pageRows ?? []
+        total = count ?? 0
+        hasMore = offset + rows.length < total
+      }
+
+      res.json({
+        activaciones: rows.map(maskActivacionPii),
+        total,
+        limit,
+        offset,
+        sort: sort.column,
+        order: sort.ascending ? 'asc' : 'desc',
+        has_more: hasMore,
+        next_cursor: hasMore && rows.length ? encodeActivacionesCursor(rows[rows.length - 1], sort) : null,
+        retention_days: activacionesRetentionDays,
+      })
+    })
+  )
+
+  app.get(
+    '/admin/activaciones/options',
+    requireAdminRole('viewer'),
+    asyncRoute(async (_req, res) => {
+      const { opciones, error } = await loadActivacionOpciones()
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener las opciones de activaciones.', error.message)
+        return
+      }
+
+      res.json({ opciones })
+    })
+  )
+
+  app.get(
+    '/admin/activaciones/:activacionId',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      const { data: activacion, error: activacionErr } = await adminSupabase
+        .from('activaciones')
+        .select('*')
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (activacionErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', activacionErr.message)
+        return
+      }
+
+      if (!activacion?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
+        return
+      }
+
+      // Otras visitas del mismo impulsador ese dia, para revisar la ruta sin exportar.
+      let mismoDia = []
+      if (activacion.usuario_id && activacion.fecha_activacion) {
+        const { data: sameDayRows, error: sameDayErr } = await adminSupabase
+          .from('activaciones')
+          .select(
+            'id, created_at, fecha_activacion, ciudad_activacion, zona_activacion, tipo_activacion, nombres_cliente, apellidos_cliente, latitud, longitud'
+          )
+          .eq('usuario_id', activacion.usuario_id)
+          .eq('fecha_activacion', activacion.fecha_activacion)
+          .neq('id', activacion.id)
+          .is('deleted_at', null)
+          .order('created_at', { ascending: true })
+          .limit(ACTIVACIONES_SAME_DAY_LIMIT)
+
+        if (sameDayErr) {
+          jsonError(res, 500, 'No se pudo obtener activaciones del mismo dia.', sameDayErr.message)
+          return
+        }
+
+        mismoDia = sameDayRows ?? []
+      }
+
+      res.json({
+        activacion: maskActivacionPii(activacion),
+        same_day: mismoDia,
+        retention_days: activacionesRetentionDays,
+      })
+    })
+  )
+
+  app.get(
+    '/admin/activaciones/:activacionId/history',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      // Las acciones masivas y las normalizaciones no tienen `target_id`: se buscan por los ids
+      // que guardan en `details.results` y en los lotes de `activaciones_normalizaciones`.
+      const limit = parseLimit(req.query?.limit)
+      const [directos, masivos, lotes] = await Promise.all([
+        adminSupabase
+          .from('admin_audit_log')
+          .select('id, created_at, actor_username, actor_role, action, outcome, details')
+          .eq('target_type', 'activacion')
+          .eq('target_id', activacionId)
+          .eq('outcome', 'success')
+          .order('created_at', { ascending: false })
+          .limit(limit),
+        adminSupabase
+          .from('admin_audit_log')
+          .select('id, created_at, actor_username, actor_role, action, before, after')
+          .eq('target_type', 'activacion')
+          .in('action', ACTIVACIONES_BULK_ACTIONS.map((action) => `activaciones.bulk_${action}`))
+          .eq('outcome', 'success')
+          .contains('details', { results: [{ id: activacionId, ok: true }] })
+          .order('created_at', { ascending: false })
+          .limit(limit),
+        adminSupabase
+          .from('activaciones_normalizaciones')
+          .select('id, created_at, username, cambios, undone_at, undone_by')
+          .contains('cambios', JSON.stringify([{ ids: [activacionId] }]))
+          .order('created_at', { ascending: false })
+          .limit(limit),
+      ])
+
+      // Sin la tabla de normalizaciones el historial sigue con la auditoria.
+      const lotesErr = isMissingTableError(lotes.error) ? null : lotes.error
+      const error = directos.error ?? masivos.error ?? lotesErr
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener el historial de la activacion.', error.message)
+        return
+      }
+
+      const history = [
+        ...(directos.data ?? []).map((event) => ({
+          id: event.id,
+          created_at: event.created_at,
+          actor_username: event.actor_username,
+          actor_role: event.actor_role,
+          action: event.action,
+          changes: event.details?.changes,
+        })),
+        ...(masivos.data ?? []).map((event) => toHistorialMasivo(event, activacionId)),
+        ...(lotes.data ?? []).flatMap((batch) =>
+          toHistorialNormalizacion(batch, activacionId)
+        ),
+      ]
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+        .slice(0, limit)
+        .map((event) => ({ ...event, changes: maskActivacionChanges(event.changes) }))
+
+      res.json({ history })
+    })
+  )
+
+  // Devuelve un dato del cliente sin enmascarar; cada llamada queda en la auditoria (sin el valor).
+  app.post(
+    '/admin/activaciones/:activacionId/reveal',
+    auditMutation('activaciones.pii_reveal', {
+      targetType: 'activacion',
+      targetParam: 'activacionId',
+    }),
+    requireAdminRole(ACTIVACIONES_PII_REVEAL_ROLE),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      const field = normalizeText(req.body?.field)
+      req.audit.details = { field: field || null }
+
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      if (!isActivacionPiiField(field)) {
+        jsonError(res, 400, 'Campo invalido. Usa ci_cliente, telefono_cliente o email_cliente.')
+        return
+      }
+
+      const { data: activacion, error: readErr } = await adminSupabase
+        .from('activaciones')
+        .select(`id, ${field}`)
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (readErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', readErr.message)
+        return
+      }
+
+      if (!activacion?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
+        return
+      }
+
+      res.json({ id: activacion.id, field, value: activacion[field] ?? null })
+    })
+  )
+
+  // Aprueba o rechaza (con motivo) la foto de una activacion; `pendiente` deshace la revision.
+  // No cuenta como edicion: `updated_at`/`updated_by` no cambian.
+  app.patch(
+    '/admin/activaciones/:activacionId/photo-review',
+    auditMutation('activaciones.photo_review', {
+      targetType: 'activacion',
+      targetParam: 'activacionId',
+    }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      const { revision, errors } = normalizeFotoRevisionInput(req.body ?? {})
+      if (errors.length) {
+        jsonError(res, 400, errors[0], errors)
+        return
+      }
+
+      const { data: existingRow, error: existingRowErr } = await adminSupabase
+        .from('activaciones')
+        .select('id, foto_url, foto_revision, foto_revision_motivo, deleted_at')
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (existingRowErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', existingRowErr.message)
+        return
+      }
+
+      if (!existingRow?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
+        return
+      }
+
+      if (existingRow.deleted_at) {
+        jsonError(res, 409, 'La activacion esta en la papelera. Restaurala antes de revisarla.')
+        return
+      }
+
+      if (!normalizeText(existingRow.foto_url)) {
+        jsonError(res, 409, 'La activacion no tiene foto para revisar.')
+        return
+      }
+
+      const revisada = revision.foto_revision !== null
+      const { data: updatedRows, error: updateErr } = await adminSupabase
+        .from('activaciones')
+        .update({
+          ...revision,
+          foto_revisada_at: revisada ? new Date().toISOString() : null,
+          foto_revisada_por: revisada ? getAdminActorName(req) : null,
+        })
+        .eq('id', activacionId)
+        .eq('foto_url', existingRow.foto_url)
+        .is('deleted_at', null)
+        .select('*')
+
+      if (updateErr) {
+        jsonError(res, 500, 'No se pudo guardar la revision de la foto.', updateErr.message)
+        return
+      }
+
+      if (!Array.isArray(updatedRows) || !updatedRows.length) {
+        jsonError(res, 409, 'La activacion cambio mientras se revisaba. Recarga e intenta de nuevo.')
+        return
+      }
+
+      const changes = ['foto_revision', 'foto_revision_motivo']
+        .filter((field) => (existingRow[field] ?? null) !== (updatedRows[0][field] ?? null))
+        .map((field) => ({
+          field,
+          from: existingRow[field] ?? null,
+          to: updatedRows[0][field] ?? null,
+        }))
+      req.audit.details = { changes }
+
+      res.json({ ok: true, activacion: maskActivacionPii(updatedRows[0]), changes })
+    })
+  )
+
+  app.patch(
+    '/admin/activaciones/:activacionId',
+    auditMutation('activaciones.update', { targetType: 'activacion', targetParam: 'activacionId' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      const { values, errors } = validateActivacionPatch(req.body)
+      if (Object.keys(errors).length) {
+        req.audit.details = { field_errors: errors }
+        jsonError(res, 400, 'Campos invalidos.', formatFieldErrors(errors))
+        return
+      }
+
+      if (!Object.keys(values).length) {
+        jsonError(res, 400, 'No hay cambios para aplicar.')
+        return
+      }
+
+      const { data: existingRow, error: existingRowErr } = await adminSupabase
+        .from('activaciones')
+        .select('*')
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (existingRowErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', existingRowErr.message)
+        return
+      }
+
+      if (!existingRow?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
+        return
+      }
+
+      if (existingRow.deleted_at) {
+        jsonError(res, 409, 'La activacion esta en la papelera. Restaurala antes de editarla.')
+        return
+      }
+
+      const catalogFields = ACTIVACIONES_CATALOG_FIELDS.filter((field) => values[field])
+      if (catalogFields.length) {
+        const { opciones, error: opcionesErr } = await loadActivacionOpciones(catalogFields)
+        if (opcionesErr) {
+          jsonError(
+            res,
+            500,
+            'No se pudo validar el catalogo de la activacion.',
+            opcionesErr.message
+          )
+          return
+        }
+
+        // Se guarda la escritura de la opcion; un campo sin opciones acepta texto libre.
+        for (const field of catalogFields) {
+          if (!opciones[field].length) {
+            continue
+          }
+
+          const opcion = opciones[field].find(
+            (valor) => valor.toLowerCase() === values[field].toLowerCase()
+          )
+          if (opcion) {
+            values[field] = opcion
+          } else {
+            errors[field] = `Valor "${values[field]}" no esta entre las opciones permitidas.`
+          }
+        }
+      }
+
+      // Plaza y distrito siguen siendo texto libre, pero si coinciden con el catalogo se
+      // guardan con el nombre canonico.
+      if (values.ciudad_activacion || values.zona_activacion) {
+        const { plazas, error: catalogoErr } = await loadPlazasCatalogo()
+        if (!catalogoErr) {
+          const catalogo = buildCatalogoIndex(plazas)
+          if (values.ciudad_activacion) {
+            values.ciudad_activacion =
+              catalogo.findPlaza(values.ciudad_activacion)?.nombre ?? values.ciudad_activacion
+          }
+          if (values.zona_activacion) {
+            const plaza =
+              values.ciudad_activacion ?? existingRow.ciudad_activacion ?? existingRow.plaza
+            values.zona_activacion =
+              catalogo.findDistrito(values.zona_activacion, plaza)?.nombre ?? values.zona_activacion
+          }
+        }
+      }
+
+      Object.assign(
+        errors,
+        validateActivacionConsistency({ ...existingRow, ...values }, Object.keys(values))
+      )
+      if (Object.keys(errors).length) {
+        req.audit.details = { field_errors: errors }
+        jsonError(res, 400, 'Campos invalidos.', formatFieldErrors(errors))
+        return
+      }
+
+      const changes = diffActivacionFields(existingRow, values)
+      if (!changes.length) {
+        jsonError(res, 400, 'No hay cambios para aplicar.')
+        return
+      }
+
+      req.audit.before = maskActivacionPii(existingRow)
+
+      const updatePayload = Object.fromEntries(changes.map((change) => [change.field, change.to]))
+
+      // Si cambia lo declarado o el GPS, la alerta de geocerca se recalcula sin esperar a la
+      // proxima revision. Sin la tabla de geocercas la edicion sigue igual.
+      if (changes.some((change) => GEOCERCA_CAMPOS_ACTIVACION.includes(change.field))) {
+        const [{ plazas, error: catalogoErr }, { geocercas, error: geocercasErr }] =
+          await Promise.all([loadPlazasCatalogo(), loadGeocercas()])
+        if (!catalogoErr && !geocercasErr) {
+          const { alerta, detalle } = buildGeocercaChecker(plazas, geocercas).revisar({
+            ...existingRow,
+            ...updatePayload,
+          })
+          updatePayload.geocerca_alerta = alerta
+          updatePayload.geocerca_detalle = detalle
+        }
+      }
+      const { data: updatedRows, error: updateErr } = await adminSupabase
+        .from('activaciones')
+        .update({
+          ...updatePayload,
+          updated_at: new Date().toISOString(),
+          updated_by: getAdminActorName(req),
+        })
+        .eq('id', activacionId)
+        .is('deleted_at', null)
+        .select('*')
+
+      if (updateErr) {
+        jsonError(res, 500, 'No se pudo actualizar la activacion.', updateErr.message)
+        return
+      }
+
+      if (!Array.isArray(updatedRows) || !updatedRows.length) {
+        jsonError(res, 409, 'La activacion cambio mientras se editaba. Recarga e intenta de nuevo.')
+        return
+      }
+
+      const maskedChanges = maskActivacionChanges(changes)
+      req.audit.after = maskActivacionPii(updatedRows[0])
+      req.audit.details = { changes: maskedChanges }
+
+      res.json({
+        ok: true,
+        activacion: maskActivacionPii(updatedRows[0]),
+        changes: maskedChanges,
+      })
+    })
+  )
+
+  app.delete(
+    '/admin/activaciones/:activacionId',
+    auditMutation('activaciones.delete', { targetType: 'activacion', targetParam: 'activacionId' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
+
+      const { data: existingRow, error: existingRowErr } = await adminSupabase
+        .from('activaciones')
+        .select('*')
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (existingRowErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', existingRowErr.message)
+        return
+      }
+
+      if (!existingRow?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
+        return
+      }
+
+      if (existingRow.deleted_at) {
+        jsonError(res, 409, 'La activacion ya esta en la papelera.')
+        return
+      }
+
+      req.audit.before = maskActivacionPii(existingRow)
+
+      const deletedAt = new Date().toISOString()
+      const { data: deletedRows, error: deleteActivationErr } = await adminSupabase
+        .from('activaciones')
+        .update({ deleted_at: deletedAt, deleted_by: getAdminActorName(req) })
+        .eq('id', activacionId)
+        .is('deleted_at', null)
+        .select('*')
+
+      if (deleteActivationErr) {
         jsonError(
           res,
           500,
-          'No se pudo guardar el usuario en activadores. Se revirtio la creacion en Auth automaticamente.',
-          insertErr.message
+          'No se pudo mover la activacion a la papelera.',
+          deleteActivationErr.message
         )
         return
       }
 
-      res.status(201).json({ user: insertedUser })
+      if (!Array.isArray(deletedRows) || !deletedRows.length) {
+        jsonError(res, 404, 'No se encontro la activacion indicada para eliminar.')
+        return
+      }
+
+      const purgeAfter = new Date(
+        Date.parse(deletedAt) + activacionesRetentionSeconds * 1000
+      ).toISOString()
+      req.audit.after = maskActivacionPii(deletedRows[0])
+      req.audit.details = { purge_after: purgeAfter }
+
+      res.json({
+        ok: true,
+        deleted_activation: true,
+        soft_deleted: true,
+        deleted_at: deletedAt,
+        purge_after: purgeAfter,
+      })
     })
   )
 
-  app.patch(
-    '/admin/users/:userId',
+  app.post(
+    '/admin/activaciones/:activacionId/restore',
+    auditMutation('activaciones.restore', { targetType: 'activacion', targetParam: 'activacionId' }),
+    requireAdminRole('superadmin'),
     asyncRoute(async (req, res) => {
-      const { userId } = req.params
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
+        return
+      }
 
-      const rawNombre = req.body?.nombre
-      const rawPlaza = req.body?.plaza
-      const rawEmail = req.body?.email
-      const rawEmailConfirm = req.body?.emailConfirm
-      const rawPassword = req.body?.password
+      const { data: restoredRows, error: restoreErr } = await adminSupabase
+        .from('activaciones')
+        .update({ deleted_at: null, deleted_by: null })
+        .eq('id', activacionId)
+        .not('deleted_at', 'is', null)
+        .select('*')
 
-      const nombre = normalizeText(rawNombre)
-      const plaza = normalizeNullableText(rawPlaza)
-      const shouldUpdateEmail = typeof rawEmail === 'string'
-      const email = shouldUpdateEmail ? normalizeEmail(rawEmail) : null
-      const emailConfirm = rawEmailConfirm === true
-      const password = typeof rawPassword === 'string' ? rawPassword : ''
+      if (restoreErr) {
+        jsonError(res, 500, 'No se pudo restaurar la activacion.', restoreErr.message)
+        return
+      }
 
-      if (!nombre) {
-        jsonError(res, 400, 'nombre es obligatorio.')
+      if (!Array.isArray(restoredRows) || !restoredRows.length) {
+        jsonError(res, 404, 'No se encontro la activacion indicada en la papelera.')
         return
       }
 
-      if (shouldUpdateEmail && !email) {
-        jsonError(res, 400, 'email es obligatorio cuando se desea actualizar.')
+      req.audit.after = maskActivacionPii(restoredRows[0])
+      res.json({ ok: true, activacion: maskActivacionPii(restoredRows[0]) })
+    })
+  )
+
+  app.delete(
+    '/admin/activaciones/:activacionId/purge',
+    auditMutation('activaciones.purge', { targetType: 'activacion', targetParam: 'activacionId' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      const activacionId = normalizeText(req.params?.activacionId)
+      if (!activacionId) {
+        jsonError(res, 400, 'Parametro activacionId requerido.')
         return
       }
 
-      if (shouldUpdateEmail && !isValidEmail(email)) {
-        jsonError(res, 400, 'email invalido.')
+      const { data: existingRow, error: existingRowErr } = await adminSupabase
+        .from('activaciones')
+        .select('*')
+        .eq('id', activacionId)
+        .maybeSingle()
+
+      if (existingRowErr) {
+        jsonError(res, 500, 'No se pudo leer la activacion.', existingRowErr.message)
         return
       }
 
-      if (password && password.length < 6) {
-        jsonError(res, 400, 'La nueva contrasena debe tener al menos 6 caracteres.')
+      if (!existingRow?.id) {
+        jsonError(res, 404, 'No se encontro la activacion indicada.')
         return
       }
 
-      const { data: previousRow, error: previousRowErr } = await adminSupabase
-        .from('activadores')
-        .select('nombre, plaza, email')
-        .eq('usuario_id', userId)
-        .maybeSingle()
+      if (!existingRow.deleted_at) {
+        jsonError(res, 409, 'Solo se pueden purgar activaciones que esten en la papelera.')
+        return
+      }
 
-      if (previousRowErr) {
-        jsonError(res, 500, previousRowErr.message)
+      req.audit.before = maskActivacionPii(existingRow)
+
+      const result = await purgeActivacion(existingRow)
+      req.audit.details = { photoDelete: result.photoDelete }
+
+      if (!result.deleted_activation) {
+        jsonError(res, 500, 'No se pudo eliminar la activacion.', result.error)
         return
       }
 
-      if (!previousRow) {
-        jsonError(res, 404, 'No se encontro el usuario en la tabla activadores.')
+      if (!result.photoDelete.ok) {
+        res.json({
+          ok: true,
+          warning:
+            'La activacion se elimino, pero no fue posible borrar la foto del almacenamiento.',
+          deleted_activation: true,
+          photoDelete: result.photoDelete,
+        })
         return
       }
 
-      const previousEmail = normalizeEmail(previousRow.email) || null
-      const emailChanged = shouldUpdateEmail && email !== previousEmail
+      res.json({
+        ok: true,
+        deleted_activation: true,
+        photoDelete: result.photoDelete,
+      })
+    })
+  )
 
-      const tableUpdatePayload = { nombre, plaza }
-      if (shouldUpdateEmail) {
-        tableUpdatePayload.email = email
+  app.post(
+    '/admin/activaciones/purge-expired',
+    auditMutation('activaciones.purge_expired', { targetType: 'activacion' }),
+    requireAdminRole('superadmin'),
+    asyncRoute(async (req, res) => {
+      await respondWithExpiredPurge(req, res)
+    })
+  )
+
+  app.post(
+    '/admin/activaciones/bulk',
+    auditMutation('activaciones.bulk', { targetType: 'activacion' }),
+    requireAdminRole('supervisor'),
+    asyncRoute(async (req, res) => {
+      const action = normalizeText(req.body?.action).toLowerCase()
+
+      if (!ACTIVACIONES_BULK_ACTIONS.includes(action)) {
+        jsonError(res, 400, 'action invalida. Usa delete, restore, purge o reassign.')
+        return
       }
 
-      const { error: updateTableErr } = await adminSupabase
-        .from('activadores')
-        .update(tableUpdatePayload)
-        .eq('usuario_id', userId)
+      req.audit.action = `activaciones.bulk_${action}`
 
-      if (updateTableErr) {
-        jsonError(res, 500, updateTableErr.message)
+      // Reasignar es una edicion; borrar, restaurar y purgar siguen reservados a superadmin.
+      if (action !== 'reassign' && !hasRequiredRole(req.adminUser?.role, 'superadmin')) {
+        jsonError(res, 403, 'Tu cuenta no tiene permisos para esta accion (requiere superadmin).')
         return
       }
 
-      const authUpdatePayload = {
-        user_metadata: { nombre, plaza },
+      let reassignTarget = null
+      if (action === 'reassign') {
+        const usuarioId = normalizeText(req.body?.usuario_id)
+        if (!usuarioId) {
+          jsonError(res, 400, 'usuario_id es obligatorio para reasignar.')
+          return
+        }
+
+        const { data: activador, error: activadorErr } = await adminSupabase
+          .from('activadores')
+          .select('usuario_id, nombre')
+          .eq('usuario_id', usuarioId)
+          .maybeSingle()
+
+        if (activadorErr) {
+          jsonError(res, 500, 'No se pudo validar el impulsador destino.', activadorErr.message)
+          return
+        }
+
+        if (!activador?.usuario_id) {
+          jsonError(res, 404, 'No se encontro el impulsador destino.')
+          return
+        }
+
+        reassignTarget = { usuario_id: activador.usuario_id, impulsador: activador.nombre }
       }
 
-      if (emailConfirm) {
-        authUpdatePayload.email_confirm = true
+      const selection = await resolveBulkActivacionesSelection(req.body ?? {})
+      if (selection.error) {
+        jsonError(res, selection.status, selection.error)
+        return
+      }
+
+      const rowsById = new Map()
+      for (const idsChunk of chunkArray(selection.ids, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+        const { data, error } = await adminSupabase
+          .from('activaciones')
+          .select('id, usuario_id, impulsador, foto_url, deleted_at')
+          .in('id', idsChunk)
+
+        if (error) {
+          jsonError(res, 500, 'No se pudo leer las activaciones seleccionadas.', error.message)
+          return
+        }
+
+        for (const row of data ?? []) {
+          rowsById.set(String(row.id), row)
+        }
       }
 
-      if (password) {
-        authUpdatePayload.password = password
+      const results = []
+      const pendingIds = []
+      for (const id of selection.ids) {
+        const row = rowsById.get(id)
+        const inTrash = Boolean(row?.deleted_at)
+        const expectsTrash = action === 'restore' || action === 'purge'
+
+        if (!row) {
+          results.push({ id, ok: false, error: 'No se encontro la activacion.' })
+        } else if (inTrash !== expectsTrash) {
+          results.push({
+            id,
+            ok: false,
+            error: expectsTrash
+              ? 'La activacion no esta en la papelera.'
+              : 'La activacion esta en la papelera.',
+          })
+        } else {
+          pendingIds.push(id)
+        }
       }
 
-      if (emailChanged) {
-        authUpdatePayload.email = email
-        if (!emailConfirm) {
-          authUpdatePayload.email_confirm = true
+      if (action === 'purge') {
+        for (const idsChunk of chunkArray(pendingIds, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+          const chunkResults = await purgeActivaciones(idsChunk.map((id) => rowsById.get(id)))
+          chunkResults.forEach((result, index) => {
+            results.push({
+              id: idsChunk[index],
+              ok: result.deleted_activation,
+              error: result.deleted_activation ? undefined : result.error,
+              photoDelete: result.photoDelete,
+            })
+          })
+        }
+      } else {
+        const updatePayload =
+          action === 'delete'
+            ? { deleted_at: new Date().toISOString(), deleted_by: getAdminActorName(req) }
+            : action === 'restore'
+              ? { deleted_at: null, deleted_by: null }
+              : reassignTarget
+
+        for (const idsChunk of chunkArray(pendingIds, ACTIVACIONES_BULK_CHUNK_SIZE)) {
+          let query = adminSupabase.from('activaciones').update(updatePayload).in('id', idsChunk)
+          query =
+            action === 'restore'
+              ? query.not('deleted_at', 'is', null)
+              : query.is('deleted_at', null)
+
+          const { data: updatedRows, error: updateErr } = await query.select('id')
+          const updatedIds = new Set((updatedRows ?? []).map((row) => String(row.id)))
+
+          for (const id of idsChunk) {
+            if (updateErr) {
+              results.push({ id, ok: false, error: updateErr.message })
+            } else if (!updatedIds.has(id)) {
+              results.push({
+                id,
+                ok: false,
+                error: 'La activacion cambio de estado durante la operacion.',
+              })
+            } else {
+              results.push({ id, ok: true })
+            }
+          }
         }
       }
 
-      const { error: updateAuthErr } = await adminSupabase.auth.admin.updateUserById(
-        userId,
-        authUpdatePayload
+      const succeeded = results.filter((item) => item.ok).length
+      const summary = {
+        action,
+        requested: selection.ids.length,
+        succeeded,
+        failed: results.length - succeeded,
+        photo_delete_failed: results.filter((item) => item.photoDelete?.ok === false).length,
+      }
+
+      if (action === 'reassign') {
+        summary.target = reassignTarget
+        req.audit.before = pendingIds.map((id) => {
+          const row = rowsById.get(id)
+          return { id, usuario_id: row.usuario_id ?? null, impulsador: row.impulsador ?? null }
+        })
+        req.audit.after = reassignTarget
+      }
+
+      req.audit.details = { ...summary, selection: selection.mode, results }
+
+      res.json({ ok: summary.failed === 0, ...summary, results })
+    })
+  )
+
+  app.get(
+    '/admin/export-templates',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const { data, error } = await adminSupabase
+        .from('admin_export_templates')
+        .select(ADMIN_EXPORT_TEMPLATE_COLUMNS)
+        .eq('username', req.adminUser?.username ?? '')
+        .order('nombre', { ascending: true })
+        .limit(EXPORT_TEMPLATES_LIMIT)
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener plantillas de exportacion.', error.message)
+        return
+      }
+
+      res.json({ templates: data ?? [] })
+    })
+  )
+
+  app.post(
+    '/admin/export-templates',
+    auditMutation('export_templates.create', { targetType: 'export_template' }),
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const { nombre, error: nombreError } = parseExportTemplateNombre(req.body?.nombre)
+      if (nombreError) {
+        jsonError(res, 400, nombreError)
+        return
+      }
+
+      const { config, errors } = normalizeExportTemplateConfig(req.body?.config)
+      if (errors.length) {
+        jsonError(res, 400, 'Plantilla invalida.', errors.join(' '))
+        return
+      }
+
+      const { count, error: countErr } = await adminSupabase
+        .from('admin_export_templates')
+        .select('id', { count: 'exact', head: true })
+        .eq('username', req.adminUser?.username ?? '')
+
+      if (countErr) {
+        jsonError(res, 500, 'No se pudo validar plantillas existentes.', countErr.message)
+        return
+      }
+
+      if ((count ?? 0) >= EXPORT_TEMPLATES_LIMIT) {
+        jsonError(res, 400, `Se permiten hasta ${EXPORT_TEMPLATES_LIMIT} plantillas por admin.`)
+        return
+      }
+
+      const { data: template, error: insertErr } = await adminSupabase
+        .from('admin_export_templates')
+        .insert({
+          account_id: req.adminUser?.id ?? null,
+          username: req.adminUser?.username ?? 'admin',
+          nombre,
+          config,
+        })
+        .select(ADMIN_EXPORT_TEMPLATE_COLUMNS)
+        .single()
+
+      if (insertErr) {
+        sendExportTemplateWriteError(res, insertErr, 'No se pudo guardar la plantilla.')
+        return
+      }
+
+      req.audit.targetId = template.id
+      req.audit.after = template
+      res.status(201).json({ template })
+    })
+  )
+
+  app.patch(
+    '/admin/export-templates/:templateId',
+    auditMutation('export_templates.update', {
+      targetType: 'export_template',
+      targetParam: 'templateId',
+    }),
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const templateId = normalizeText(req.params?.templateId)
+      const updatePayload = {}
+
+      if (req.body?.nombre !== undefined) {
+        const { nombre, error: nombreError } = parseExportTemplateNombre(req.body.nombre)
+        if (nombreError) {
+          jsonError(res, 400, nombreError)
+          return
+        }
+        updatePayload.nombre = nombre
+      }
+
+      if (req.body?.config !== undefined) {
+        const { config, errors } = normalizeExportTemplateConfig(req.body.config)
+        if (errors.length) {
+          jsonError(res, 400, 'Plantilla invalida.', errors.join(' '))
+          return
+        }
+        updatePayload.config = config
+      }
+
+      if (!Object.keys(updatePayload).length) {
+        jsonError(res, 400, 'No hay cambios para aplicar.')
+        return
+      }
+
+      const { data: previousTemplate, error: readErr } = await fetchOwnExportTemplate(
+        req,
+        templateId
       )
 
-      if (updateAuthErr) {
-        await adminSupabase
-          .from('activadores')
-          .update({
-            nombre: previousRow.nombre,
-            plaza: previousRow.plaza,
-            email: previousRow.email ?? null,
-          })
-          .eq('usuario_id', userId)
+      if (readErr) {
+        jsonError(res, 500, 'No se pudo leer la plantilla.', readErr.message)
+        return
+      }
 
-        jsonError(
-          res,
-          500,
-          'No se pudo actualizar Auth. Se intento revertir el cambio en tabla para mantener consistencia.',
-          updateAuthErr.message
-        )
+      if (!previousTemplate) {
+        jsonError(res, 404, 'No se encontro la plantilla indicada.')
         return
       }
 
-      res.json({
-        ok: true,
-        emailUpdated: emailChanged,
-        passwordUpdated: Boolean(password),
-      })
+      const { data: template, error: updateErr } = await adminSupabase
+        .from('admin_export_templates')
+        .update({ ...updatePayload, updated_at: new Date().toISOString() })
+        .eq('id', templateId)
+        .select(ADMIN_EXPORT_TEMPLATE_COLUMNS)
+        .single()
+
+      if (updateErr) {
+        sendExportTemplateWriteError(res, updateErr, 'No se pudo actualizar la plantilla.')
+        return
+      }
+
+      req.audit.before = previousTemplate
+      req.audit.after = template
+      res.json({ template })
     })
   )
 
   app.delete(
-    '/admin/users/:userId',
+    '/admin/export-templates/:templateId',
+    auditMutation('export_templates.delete', {
+      targetType: 'export_template',
+      targetParam: 'templateId',
+    }),
+    requireAdminRole('viewer'),
     asyncRoute(async (req, res) => {
-      const { userId } = req.params
+      const templateId = normalizeText(req.params?.templateId)
+      const { data: template, error: readErr } = await fetchOwnExportTemplate(req, templateId)
 
-      const { data: existingRow, error: existingErr } = await adminSupabase
-        .from('activadores')
-        .select('usuario_id, email, nombre, plaza')
-        .eq('usuario_id', userId)
-        .maybeSingle()
+      if (readErr) {
+        jsonError(res, 500, 'No se pudo leer la plantilla.', readErr.message)
+        return
+      }
 
-      if (existingErr) {
-        jsonError(res, 500, existingErr.message)
+      if (!template) {
+        jsonError(res, 404, 'No se encontro la plantilla indicada.')
         return
       }
 
-      const { data: deletedRows, error: deleteTableErr } = await adminSupabase
-        .from('activadores')
+      const { error: deleteErr } = await adminSupabase
+        .from('admin_export_templates')
         .delete()
-        .eq('usuario_id', userId)
-        .select('usuario_id')
+        .eq('id', templateId)
+
+      if (deleteErr) {
+        jsonError(res, 500, 'No se pudo eliminar la plantilla.', deleteErr.message)
+        return
+      }
+
+      req.audit.before = template
+      res.json({ ok: true, id: templateId })
+    })
+  )
+
+  // La exportacion se marca en `error` dentro de la misma invocacion; si la funcion se corta
+  // (timeout o caida) queda `running` y la web la seguiria esperando.
+  function expireStaleExportJobs() {
+    const cutoff = new Date(Date.now() - EXPORT_RUNNING_STALE_SECONDS * 1000).toISOString()
+    return adminSupabase
+      .from('admin_export_jobs')
+      .update({
+        status: 'error',
+        error_message: 'La exportacion se interrumpio antes de terminar. Genera una nueva.',
+        finished_at: new Date().toISOString(),
+      })
+      .eq('status', 'running')
+      .lt('created_at', cutoff)
+  }
 
-      if (deleteTableErr) {
-        jsonError(res, 500, deleteTableErr.message)
+  app.get(
+    '/admin/exports',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const { error: staleErr } = await expireStaleExportJobs()
+      if (staleErr) {
+        jsonError(res, 500, 'No se pudo actualizar las exportaciones interrumpidas.', staleErr.message)
         return
       }
 
-      const tableRecordDeleted = Array.isArray(deletedRows) && deletedRows.length > 0
-      const { error: deleteAuthErr } = await adminSupabase.auth.admin.deleteUser(userId)
+      let query = adminSupabase
+        .from('admin_export_jobs')
+        .select(ADMIN_EXPORT_JOB_COLUMNS)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(EXPORT_LIST_LIMIT)
 
-      if (deleteAuthErr) {
-        if (existingRow && tableRecordDeleted) {
-          await adminSupabase.from('activadores').upsert(existingRow)
-        }
+      if (req.adminUser?.role !== 'superadmin') {
+        query = query.eq('username', req.adminUser?.username ?? '')
+      }
 
-        jsonError(
-          res,
-          500,
-          'No se pudo borrar en Auth. Se intento restaurar el registro de tabla para evitar inconsistencia.',
-          deleteAuthErr.message
-        )
+      const { data, error } = await query
+
+      if (error) {
+        jsonError(res, 500, 'No se pudo obtener exportaciones.', error.message)
         return
       }
 
-      res.json({ ok: true, tableRecordDeleted })
+      res.json({ exports: data ?? [] })
     })
   )
 
   app.get(
-    '/admin/storage/summary',
-    asyncRoute(async (_req, res) => {
-      const { count: activacionesCount, error: activacionesCountErr } = await adminSupabase
-        .from('activaciones')
-        .select('id', { count: 'exact', head: true })
+    '/admin/exports/:jobId/download',
+    requireAdminRole('viewer'),
+    asyncRoute(async (req, res) => {
+      const jobId = normalizeText(req.params?.jobId)
+      if (!jobId) {
+        jsonError(res, 400, 'Parametro jobId requerido.')
+        return
+      }
 
-      if (activacionesCountErr) {
-        jsonError(res, 500, 'No se pudo obtener conteo de activaciones.', activacionesCountErr.message)
+      const { error: staleErr } = await expireStaleExportJobs()
+      if (staleErr) {
+        jsonError(res, 500, 'No se pudo actualizar las exportaciones interrumpidas.', staleErr.message)
         return
       }
 
-      const { count: activacionesWithPhotoCount, error: activacionesWithPhotoCountErr } =
-        await adminSupabase
-          .from('activaciones')
-          .select('id', { count: 'exact', head: true })
-          .not('foto_url', 'is', null)
-          .neq('foto_url', '')
+      const { data: job, error: jobErr } = await adminSupabase
+        .from('admin_export_jobs')
+        .select(ADMIN_EXPORT_JOB_COLUMNS)
+        .eq('id', jobId)
+        .maybeSingle()
 
-      if (activacionesWithPhotoCountErr) {
-        jsonError(
-          res,
-          500,
-          'No se pudo obtener conteo de activaciones con foto.',
-          activacionesWithPhotoCountErr.message
-        )
+      if (jobErr) {
+        jsonError(res, 500, 'No se pudo leer la exportacion.', jobErr.message)
         return
       }
 
-      let bucketUsage = null
-      try {
-        bucketUsage = await calculateBucketUsageBytes(adminSupabase, activacionesBucket)
-      } catch (error) {
-        jsonError(
-          res,
-          500,
-          'No se pudo calcular uso del bucket de fotos.',
-          error instanceof Error ? error.message : undefined
-        )
+      if (!job?.id || !canAccessExportJob(req, job)) {
+        jsonError(res, 404, 'No se encontro la exportacion indicada.')
         return
       }
 
-      let databaseSizeBytes = null
-      let databaseSizeUnavailableReason = null
-
-      const { data: databaseSizeData, error: databaseSizeErr } = await adminSupabase.rpc(
-        'get_database_size_bytes'
-      )
-
-      if (databaseSizeErr) {
-        databaseSizeUnavailableReason = databaseSizeErr.message
-      } else if (typeof databaseSizeData === 'number') {
-        databaseSizeBytes = databaseSizeData
-      } else if (typeof databaseSizeData === 'string') {
-        const parsedSize = Number(databaseSizeData)
-        if (Number.isFinite(parsedSize) && parsedSize >= 0) {
-          databaseSizeBytes = parsedSize
-        }
-      } else if (databaseSizeData && typeof databaseSizeData === 'object') {
-        const candidate =
-          databaseSizeData.get_database_size_bytes ??
-          databaseSizeData.database_size_bytes ??
-          databaseSizeData.size_bytes ??
-          null
-        const parsedSize = Number(candidate)
-        if (Number.isFinite(parsedSize) && parsedSize >= 0) {
-          databaseSizeBytes = parsedSize
-        }
+      if (job.status !== 'done' || !job.file_path) {
+        jsonError(res, 409, 'La exportacion aun no tiene archivo disponible.')
+        return
       }
 
-      let estimatedDatabase = null
-      let estimationUnavailableReason = null
-      try {
-        estimatedDatabase = await estimateDatabaseUsageFromActivaciones(adminSupabase, {
-          activacionesCount: activacionesCount ?? 0,
-          databaseLimitBytes,
-        })
-      } catch (error) {
-        estimationUnavailableReason = error instanceof Error ? error.message : null
+      if (Date.parse(job.expires_at) <= Date.now()) {
+        jsonError(res, 410, 'La exportacion vencio. Genera una nueva.')
+        return
       }
 
-      const storageRemainingBytes =
-        storageLimitBytes == null ? null : Math.max(0, storageLimitBytes - bucketUsage.totalBytes)
-      const storageUsagePercent =
-        storageLimitBytes == null || storageLimitBytes <= 0
-          ? null
-          : Number(((bucketUsage.totalBytes / storageLimitBytes) * 100).toFixed(2))
-
-      const effectiveDatabaseUsedBytes =
-        databaseSizeBytes ?? estimatedDatabase?.estimated_database_used_bytes ?? null
-      const databaseRemainingBytes =
-        databaseLimitBytes == null || effectiveDatabaseUsedBytes == null
-          ? null
-          : Math.max(0, databaseLimitBytes - effectiveDatabaseUsedBytes)
-      const databaseUsagePercent =
-        databaseLimitBytes == null || databaseLimitBytes <= 0 || effectiveDatabaseUsedBytes == null
-          ? null
-          : Number(((effectiveDatabaseUsedBytes / databaseLimitBytes) * 100).toFixed(2))
-
-      const perActivationDatabaseBytes =
-        estimatedDatabase?.per_activation_estimated_bytes > 0
-          ? estimatedDatabase.per_activation_estimated_bytes
-          : Number(activacionesCount ?? 0) > 0 && effectiveDatabaseUsedBytes != null
-            ? Math.max(1, Math.round(effectiveDatabaseUsedBytes / Number(activacionesCount ?? 0)))
-            : null
+      const { data: signed, error: signErr } = await adminSupabase.storage
+        .from(exportsBucket)
+        .createSignedUrl(job.file_path, EXPORT_SIGNED_URL_TTL_SECONDS, {
+          download: job.file_path.split('/').pop(),
+        })
 
-      const combinedCapacityEstimation = estimateCombinedActivationCapacity({
-        activacionesCount: activacionesCount ?? 0,
-        activacionesWithPhotoCount: activacionesWithPhotoCount ?? 0,
-        storageObjectsCount: bucketUsage.totalObjects,
-        storageUsedBytes: bucketUsage.totalBytes,
-        storageRemainingBytes,
-        databaseRemainingBytes,
-        perActivationDatabaseBytes,
-      })
+      if (signErr || !signed?.signedUrl) {
+        jsonError(res, 500, 'No se pudo firmar la descarga.', signErr?.message)
+        return
+      }
 
-      res.json({
-        summary: {
-          bucket: activacionesBucket,
-          activaciones_count: activacionesCount ?? 0,
-          activaciones_with_photo_count: activacionesWithPhotoCount ?? 0,
-          storage_objects_count: bucketUsage.totalObjects,
-          storage_used_bytes: bucketUsage.totalBytes,
-          storage_limit_bytes: storageLimitBytes,
-          storage_limit_source: storageLimitSource,
-          storage_remaining_bytes: storageRemainingBytes,
-          storage_usage_percent: storageUsagePercent,
-          database_size_bytes: databaseSizeBytes,
-          database_used_effective_bytes: effectiveDatabaseUsedBytes,
-          database_limit_bytes: databaseLimitBytes,
-          database_limit_source: databaseLimitSource,
-          database_remaining_bytes: databaseRemainingBytes,
-          database_usage_percent: databaseUsagePercent,
-          database_size_source:
-            databaseSizeBytes == null
-              ? estimatedDatabase
-                ? 'estimate:activaciones_avg_row'
-                : null
-              : 'rpc:get_database_size_bytes',
-          database_size_unavailable_reason:
-            databaseSizeBytes == null ? databaseSizeUnavailableReason : null,
-          database_estimation: estimatedDatabase,
-          database_estimation_unavailable_reason:
-            estimatedDatabase == null ? estimationUnavailableReason : null,
-          combined_capacity_estimation: combinedCapacityEstimation,
-          plan_reference: SUPABASE_FREE_PLAN_REFERENCE,
-        },
-      })
+      res.json({ job, download_url: signed.signedUrl })
     })
   )
 
-  app.delete(
-    '/admin/activaciones/:activacionId',
+  // Genera la exportacion y reporta el avance como NDJSON (un evento JSON por linea).
+  // El archivo queda en Storage: si el navegador se desconecta se descarga luego desde la lista.
+  app.post(
+    '/admin/exports',
+    requireAdminRole('viewer'),
     asyncRoute(async (req, res) => {
-      const activacionId = normalizeText(req.params?.activacionId)
-      if (!activacionId) {
-        jsonError(res, 400, 'Parametro activacionId requerido.')
+      const format = normalizeText(req.body?.format).toLowerCase()
+      if (!ACTIVACIONES_EXPORT_FORMATS.includes(format)) {
+        jsonError(res, 400, 'Formato invalido. Usa csv o xlsx.')
         return
       }
 
-      const { data: existingRow, error: existingRowErr } = await adminSupabase
-        .from('activaciones')
-        .select('id, foto_url')
-        .eq('id', activacionId)
-        .maybeSingle()
+      const rawFilters =
+        req.body?.filters && typeof req.body.filters === 'object' && !Array.isArray(req.body.filters)
+          ? req.body.filters
+          : {}
+      const filters = await parseActivacionesFiltersWithCatalog(rawFilters)
+      const sort = parseActivacionesSort(rawFilters)
+      const includePhotos = format === 'xlsx' && req.body?.include_photos !== false
+      const revealPii = req.body?.reveal_pii === true
 
-      if (existingRowErr) {
-        jsonError(res, 500, 'No se pudo leer la activacion.', existingRowErr.message)
+      if (revealPii && !hasRequiredRole(req.adminUser?.role, ACTIVACIONES_PII_REVEAL_ROLE)) {
+        jsonError(
+          res,
+          403,
+          `Exportar datos del cliente sin enmascarar requiere ${ACTIVACIONES_PII_REVEAL_ROLE}.`
+        )
         return
       }
+      const templateId = normalizeText(req.body?.template_id)
+      let template = null
 
-      if (!existingRow?.id) {
-        jsonError(res, 404, 'No se encontro la activacion indicada.')
-        return
+      if (templateId) {
+        const { data: templateRow, error: templateErr } = await fetchOwnExportTemplate(
+          req,
+          templateId
+        )
+
+        if (templateErr) {
+          jsonError(res, 500, 'No se pudo leer la plantilla.', templateErr.message)
+          return
+        }
+
+        if (!templateRow) {
+          jsonError(res, 404, 'No se encontro la plantilla indicada.')
+          return
+        }
+
+        // Se vuelve a normalizar por si el catalogo de columnas cambio desde que se guardo.
+        const { config, errors } = normalizeExportTemplateConfig(templateRow.config)
+        if (errors.length) {
+          jsonError(
+            res,
+            400,
+            'La plantilla ya no es valida. Editala antes de exportar.',
+            errors.join(' ')
+          )
+          return
+        }
+
+        template = { nombre: templateRow.nombre, config }
       }
 
-      const storageObjectPath = resolveStorageObjectPathFromFotoUrl(
-        existingRow.foto_url,
-        activacionesBucket
+      const { count, error: countErr } = await applyActivacionesFilters(
+        adminSupabase.from('activaciones').select('id', { count: 'exact', head: true }),
+        filters
       )
 
-      const { data: deletedRows, error: deleteActivationErr } = await adminSupabase
-        .from('activaciones')
-        .delete()
-        .eq('id', activacionId)
-        .select('id')
+      if (countErr) {
+        jsonError(res, 500, 'No se pudo contar activaciones a exportar.', countErr.message)
+        return
+      }
 
-      if (deleteActivationErr) {
-        jsonError(res, 500, 'No se pudo eliminar la activacion.', deleteActivationErr.message)
+      const total = count ?? 0
+      if (!total) {
+        jsonError(res, 400, 'No hay datos para exportar con los filtros actuales.')
         return
       }
 
-      const deletedActivation = Array.isArray(deletedRows) && deletedRows.length > 0
-      if (!deletedActivation) {
-        jsonError(res, 404, 'No se encontro la activacion indicada para eliminar.')
+      if (total > exportMaxRows) {
+        jsonError(
+          res,
+          400,
+          `La exportacion supera el maximo de ${exportMaxRows} activaciones. Ajusta los filtros.`
+        )
         return
       }
 
-      const photoDelete = {
-        attempted: Boolean(storageObjectPath),
-        ok: true,
-        bucket: activacionesBucket,
-        object_path: storageObjectPath ?? null,
-        message: storageObjectPath
-          ? 'Foto eliminada correctamente.'
-          : 'La activacion no tenia foto asociada.',
+      await removeExpiredExportJobs()
+
+      const { data: job, error: jobErr } = await adminSupabase
+        .from('admin_export_jobs')
+        .insert({
+          account_id: req.adminUser?.id ?? null,
+          username: req.adminUser?.username ?? 'admin',
+          format,
+          include_photos: includePhotos,
+          filters: rawFilters,
+          status: 'running',
+          total_rows: total,
+          template_nombre: template?.nombre ?? null,
+          pii_revealed: revealPii,
+          expires_at: new Date(Date.now() + exportTtlSeconds * 1000).toISOString(),
+        })
+        .select(ADMIN_EXPORT_JOB_COLUMNS)
+        .single()
+
+      if (jobErr) {
+        jsonError(res, 500, 'No se pudo registrar la exportacion.', jobErr.message)
+        return
       }
 
-      if (storageObjectPath) {
-        const { error: removePhotoErr } = await adminSupabase.storage
-          .from(activacionesBucket)
-          .remove([storageObjectPath])
+      res.status(200)
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8')
+      res.setHeader('Cache-Control', 'no-store')
+      res.setHeader('X-Accel-Buffering', 'no')
+      res.flushHeaders?.()
 
-        if (removePhotoErr) {
-          photoDelete.ok = false
-          photoDelete.message = removePhotoErr.message
+      const sendEvent = (event) => {
+        if (!res.writableEnded && !res.destroyed) {
+          res.write(`${JSON.stringify(event)}\n`)
         }
       }
 
-      if (!photoDelete.ok) {
-        res.json({
-          ok: true,
-          warning:
-            'La activacion se elimino, pero no fue posible borrar la foto del almacenamiento.',
-          deleted_activation: true,
-          photoDelete,
+      sendEvent({ type: 'started', job })
+
+      try {
+        const fetchedRows = await fetchActivacionesForExport(filters, sort, (processed) => {
+          sendEvent({ type: 'progress', stage: 'rows', processed, total })
         })
-        return
+        const rows = revealPii ? fetchedRows : fetchedRows.map(maskActivacionPii)
+        const columnas = buildColumnasExportacion({
+          getFotoUrl: getExportFotoUrl,
+          ...(template ? { template: template.config } : {}),
+        })
+        const embedPhotos = includePhotos && rows.length <= exportMaxPhotoRows
+        const { extension, contentType } = getExportFileInfo(format)
+        let buffer
+        let photoSummary = { photos_embedded: 0, photos_failed: 0 }
+        let warning = null
+
+        if (includePhotos && !embedPhotos) {
+          warning = `Mas de ${exportMaxPhotoRows} filas: las fotos se incluyen como URL.`
+        }
+
+        if (format === 'xlsx') {
+          let lastReported = 0
+          const result = await buildActivacionesXlsx(rows, columnas, {
+            loadPhoto: embedPhotos ? loadExportPhoto : null,
+            onPhotoProgress: ({ processed, total: totalPhotos }) => {
+              const isLast = processed === totalPhotos
+              if (isLast || processed - lastReported >= EXPORT_PHOTO_PROGRESS_STEP) {
+                lastReported = processed
+                sendEvent({ type: 'progress', stage: 'photos', processed, total: totalPhotos })
+              }
+            },
+          })
+          buffer = result.buffer
+          photoSummary = {
+            photos_embedded: result.photos_embedded,
+            photos_failed: result.photos_failed,
+          }
+        } else {
+          buffer = buildActivacionesCsv(rows, columnas)
+        }
+
+        sendEvent({ type: 'progress', stage: 'upload' })
+
+        const fileName = `activaciones_${job.created_at.slice(0, 10)}_${job.id.slice(0, 8)}.${extension}`
+        const filePath = `${job.username}/${fileName}`
+        const { error: uploadErr } = await adminSupabase.storage
+          .from(exportsBucket)
+          .upload(filePath, buffer, { contentType, upsert: true })
+
+        if (uploadErr) {
+          throw new Error(`No se pudo guardar el archivo: ${uploadErr.message}`)
+        }
+
+        const { data: finishedJob, error: finishErr } = await adminSupabase
+          .from('admin_export_jobs')
+          .update({
+            status: 'done',
+            finished_at: new Date().toISOString(),
+            total_rows: rows.length,
+            file_path: filePath,
+            file_size_bytes: buffer.length,
+            ...photoSummary,
+          })
+          .eq('id', job.id)
+          .select(ADMIN_EXPORT_JOB_COLUMNS)
+          .single()
+
+        if (finishErr) {
+          throw new Error(`No se pudo cerrar la exportacion: ${finishErr.message}`)
+        }
+
+        const { data: signed } = await adminSupabase.storage
+          .from(exportsBucket)
+          .createSignedUrl(filePath, EXPORT_SIGNED_URL_TTL_SECONDS, { download: fileName })
+
+        await recordAuditEvent(req, {
+          action: 'activaciones.export',
+          targetType: 'export_job',
+          targetId: job.id,
+          outcome: 'success',
+          statusCode: 200,
+          details: {
+            format,
+            filters: rawFilters,
+            template: template?.nombre ?? null,
+            pii_revealed: revealPii,
+            rows: rows.length,
+            ...photoSummary,
+          },
+        })
+
+        sendEvent({
+          type: 'done',
+          job: finishedJob,
+          download_url: signed?.signedUrl ?? null,
+          warning,
+        })
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Error inesperado.'
+
+        await adminSupabase
+          .from('admin_export_jobs')
+          .update({ status: 'error', finished_at: new Date().toISOString(), error_message: message })
+          .eq('id', job.id)
+
+        await recordAuditEvent(req, {
+          action: 'activaciones.export',
+          targetType: 'export_job',
+          targetId: job.id,
+          outcome: 'error',
+          statusCode: 500,
+          errorMessage: message,
+          details: { format, filters: rawFilters },
+        })
+
+        sendEvent({ type: 'error', error: 'No se pudo generar la exportacion.', details: message })
       }
 
-      res.json({
-        ok: true,
-        deleted_activation: true,
-        photoDelete,
-      })
+      res.end()
     })
   )
 
   app.get(
     '/admin/notifications',
+    requireAdminRole('viewer'),
     asyncRoute(async (req, res) => {
       const limit = parseLimit(req.query?.limit, { fallback: 60, min: 1, max: 300 })
 
@@ -1245,6 +6615,8 @@ export function createAdminApiApp({ env = process.env } = {}) {
 
   app.post(
     '/admin/notifications',
+    auditMutation('notifications.create', { targetType: 'notificacion' }),
+    requireAdminRole('supervisor'),
     asyncRoute(async (req, res) => {
       const rawTitle = req.body?.titulo
       const rawMessage = req.body?.mensaje
@@ -1255,7 +6627,8 @@ export function createAdminApiApp({ env = process.env } = {}) {
       const message = normalizeText(rawMessage)
       const scope = rawScope === 'user' ? 'user' : rawScope === 'all' ? 'all' : ''
       const targetUserId = normalizeText(rawTargetUserId)
-      const createdBy = normalizeText(req.adminUser) || 'admin'
+      const createdBy =
+        normalizeText(req.adminUser?.nombre) || normalizeText(req.adminUser?.username) || 'admin'
 
       if (title.length < 3 || title.length > 120) {
         jsonError(res, 400, 'El titulo debe tener entre 3 y 120 caracteres.')
@@ -1275,10 +6648,12 @@ export function createAdminApiApp({ env = process.env } = {}) {
       let recipients = []
 
       if (scope === 'all') {
+        // Los impulsadores suspendidos no reciben comunicados generales.
         const { data, error } = await adminSupabase
           .from('activadores')
           .select('usuario_id, nombre, email')
           .not('usuario_id', 'is', null)
+          .eq('activo', true)
 
         if (error) {
           jsonError(res, 500, 'No se pudo obtener lista de destinatarios.', error.message)
@@ -1301,7 +6676,7 @@ export function createAdminApiApp({ env = process.env } = {}) {
 
         const { data, error } = await adminSupabase
           .from('activadores')
-          .select('usuario_id, nombre, email')
+          .select('usuario_id, nombre, email, activo')
           .eq('usuario_id', targetUserId)
           .maybeSingle()
 
@@ -1315,6 +6690,11 @@ export function createAdminApiApp({ env = process.env } = {}) {
           return
         }
 
+        if (data.activo === false) {
+          jsonError(res, 409, 'El usuario objetivo esta suspendido.')
+          return
+        }
+
         recipients = [data]
       }
 
@@ -1347,6 +6727,9 @@ export function createAdminApiApp({ env = process.env } = {}) {
         return
       }
 
+      req.audit.targetId = insertedNotification.id
+      req.audit.after = insertedNotification
+
       const recipientsPayload = recipients.map((item) => ({
         notificacion_id: insertedNotification.id,
         usuario_id: item.usuario_id,
@@ -1357,11 +6740,23 @@ export function createAdminApiApp({ env = process.env } = {}) {
         .insert(recipientsPayload)
 
       if (insertRecipientsErr) {
-        await adminSupabase
+        const { error: rollbackErr } = await adminSupabase
           .from('notificaciones')
           .delete()
           .eq('id', insertedNotification.id)
 
+        await recordAuditEvent(req, {
+          action: 'notifications.create.rollback',
+          targetType: 'notificacion',
+          targetId: insertedNotification.id,
+          before: insertedNotification,
+          after: null,
+          outcome: rollbackErr ? 'error' : 'success',
+          errorMessage: rollbackErr?.message ?? null,
+          details: { reason: insertRecipientsErr.message, compensated: 'notificacion_deleted' },
+        })
+        req.audit.after = rollbackErr ? insertedNotification : null
+
         jsonError(
           res,
           500,
@@ -1371,6 +6766,8 @@ export function createAdminApiApp({ env = process.env } = {}) {
         return
       }
 
+      req.audit.details = { destinatarios_total: recipientsPayload.length }
+
       res.status(201).json({
         notification: {
           id: insertedNotification.id,
@@ -0,0 +1,91 @@
+// Conciliacion entre el bucket de fotos y `activaciones.foto_url`: archivos que ninguna
+// activacion usa (huerfanos, por ejemplo de borrados donde fallo `photoDelete`) y activaciones
+// cuya foto ya no esta en el bucket (faltantes).
+
+export const CONCILIACION_ACTIVACION_COLUMNS =
+  'id, created_at, fecha_activacion, impulsador, foto_url, deleted_at'
+// Filas de cada lista que devuelve la API; los totales y bytes cuentan todas.
+export const CONCILIACION_MAX_ITEMS = 500
+// La app sube la foto antes de guardar la activacion: los archivos mas nuevos que esto no se
+// consideran huerfanos todavia.
+export const HUERFANOS_MARGEN_HORAS = 24
+
+// URL fuera de Supabase Storage: la foto no vive en el bucket y no se concilia.
+function esFotoExterna(fotoUrl) {
+  return /^https?:\/\//i.test(fotoUrl) && !fotoUrl.includes('/storage/v1/object/')
+}
+
+// `objetos`: `[{ path, size, updated_at }]` del bucket. `resolverRuta(foto_url)` devuelve la ruta
+// del archivo dentro del bucket o null. Las activaciones en papelera siguen siendo duenas de su
+// foto hasta la purga.
+export function buildConciliacionFotos(objetos, activaciones, { resolverRuta, ahora = Date.now() }) {
+  const objetosPorRuta = new Map(objetos.map((objeto) => [objeto.path, objeto]))
+  const rutasUsadas = new Set()
+  const faltantes = []
+  let externas = 0
+
+  for (const activacion of activaciones) {
+    const fotoUrl = typeof activacion.foto_url === 'string' ? activacion.foto_url.trim() : ''
+    if (!fotoUrl) {
+      continue
+    }
+
+    if (esFotoExterna(fotoUrl)) {
+      externas += 1
+      continue
+    }
+
+    const ruta = resolverRuta(fotoUrl)
+    if (ruta) {
+      rutasUsadas.add(ruta)
+    }
+
+    if (!ruta || !objetosPorRuta.has(ruta)) {
+      faltantes.push({
+        id: activacion.id,
+        created_at: activacion.created_at ?? null,
+        fecha_activacion: activacion.fecha_activacion ?? null,
+        impulsador: activacion.impulsador ?? null,
+        foto_url: fotoUrl,
+        path: ruta,
+        deleted_at: activacion.deleted_at ?? null,
+      })
+    }
+  }
+
+  const limiteRecientes = ahora - HUERFANOS_MARGEN_HORAS * 60 * 60 * 1000
+  const huerfanos = []
+  let recientes = 0
+
+  for (const objeto of objetos) {
+    if (rutasUsadas.has(objeto.path)) {
+      continue
+    }
+
+    const subido = Date.parse(objeto.updated_at)
+    if (Number.isFinite(subido) && subido > limiteRecientes) {
+      recientes += 1
+      continue
+    }
+
+    huerfanos.push(objeto)
+  }
+
+  huerfanos.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path))
+  faltantes.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+
+  return {
+    resumen: {
+      objetos: objetos.length,
+      objetos_bytes: objetos.reduce((total, objeto) => total + objeto.size, 0),
+      activaciones_con_foto: activaciones.filter((row) => String(row.foto_url ?? '').trim()).length,
+      externas,
+      recientes,
+      huerfanos: huerfanos.length,
+      huerfanos_bytes: huerfanos.reduce((total, objeto) => total + objeto.size, 0),
+      faltantes: faltantes.length,
+    },
+    huerfanos,
+    faltantes,
+  }
+}
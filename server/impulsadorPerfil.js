@@ -0,0 +1,78 @@
+import {
+  buildSerieTemporal,
+  calcularEmbudo,
+  calcularPorcentaje,
+  contarIndicadores,
+  parseFechaActivacion,
+  resumirPorDia,
+} from '../shared/activacionesMetricas.js'
+import { getCiudadActivacion } from '../shared/activacionesExport.js'
+
+export const PERFIL_ACTIVACIONES_COLUMNS =
+  'id, created_at, fecha_activacion, ciudad_activacion, plaza, zona_activacion, tipo_activacion, descargo_app, registro, cash_in, cash_out, p2p, qr_fisico, respaldo, hubo_error'
+
+// Hasta este rango la serie va por dia; con mas historia se agrupa por semana (lunes).
+const PERFIL_SERIE_MAX_DIAS = 62
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function buildSerie(rows, primera, ultima) {
+  const dias = primera && ultima ? (ultima.getTime() - primera.getTime()) / DAY_MS + 1 : 0
+  const agrupacion = dias > PERFIL_SERIE_MAX_DIAS ? 'semana' : 'dia'
+
+  return { agrupacion, puntos: buildSerieTemporal(resumirPorDia(rows), { agrupacion }) }
+}
+
+function buildDistritos(rows, catalogo) {
+  const distritos = new Map()
+
+  for (const row of rows) {
+    const plazaValue = getCiudadActivacion(row)
+    const plaza = catalogo.canonicalPlaza(plazaValue) || 'Sin Plaza'
+    const distrito = catalogo.canonicalDistrito(row.zona_activacion, plazaValue) || 'Sin Distrito'
+    const key = `${plaza}|${distrito}`
+    const item = distritos.get(key) ?? { plaza, distrito, conteo: 0, ultima_fecha: null }
+
+    item.conteo += 1
+    if (row.fecha_activacion && (!item.ultima_fecha || row.fecha_activacion > item.ultima_fecha)) {
+      item.ultima_fecha = row.fecha_activacion
+    }
+    distritos.set(key, item)
+  }
+
+  return [...distritos.values()].sort((a, b) => b.conteo - a.conteo)
+}
+
+// Resume las activaciones (fuera de papelera) de un impulsador: totales, serie en el tiempo,
+// embudo, indicadores y distritos cubiertos con nombres canonicos del catalogo.
+export function buildImpulsadorPerfil(rows, { catalogo }) {
+  const fechas = rows
+    .map((row) => row.fecha_activacion)
+    .filter((value) => parseFechaActivacion(value))
+    .sort()
+  const diasActivos = new Set(fechas).size
+  const errores = rows.filter((row) => row.hubo_error === true).length
+  const ultimaActivacionAt = rows.reduce((latest, row) => {
+    return row.created_at && (!latest || row.created_at > latest) ? row.created_at : latest
+  }, null)
+
+  return {
+    resumen: {
+      total: rows.length,
+      errores,
+      tasa_error: calcularPorcentaje(errores, rows.length),
+      dias_activos: diasActivos,
+      promedio_por_dia: diasActivos ? rows.length / diasActivos : 0,
+      primera_fecha: fechas[0] ?? null,
+      ultima_fecha: fechas[fechas.length - 1] ?? null,
+      ultima_activacion_at: ultimaActivacionAt,
+    },
+    serie: buildSerie(
+      rows,
+      parseFechaActivacion(fechas[0]),
+      parseFechaActivacion(fechas[fechas.length - 1])
+    ),
+    indicadores: contarIndicadores(rows),
+    embudo: calcularEmbudo(rows),
+    distritos: buildDistritos(rows, catalogo),
+  }
+}
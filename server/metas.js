@@ -0,0 +1,226 @@
+import {
+  calcularPorcentaje,
+  finPeriodo,
+  inicioPeriodo,
+  isMetaAtrasada,
+  parseFechaActivacion,
+  toFechaActivacion,
+} from '../shared/activacionesMetricas.js'
+
+export const META_COLUMNS =
+  'id, created_at, created_by, updated_at, updated_by, alcance, plaza_id, usuario_id, periodo, inicio, meta_activaciones, meta_tasa_registro'
+export const META_ALCANCES = Object.freeze(['plaza', 'impulsador'])
+export const META_PERIODOS = Object.freeze(['semana', 'mes'])
+
+const META_ACTIVACIONES_MAX = 100000
+const DAY_MS = 24 * 60 * 60 * 1000
+// De peor a mejor: el estado general de una meta es el peor de sus dos objetivos.
+const META_ESTADOS = ['no_cumplida', 'atrasada', 'pendiente', 'en_ritmo', 'cumplida']
+
+function cleanId(value) {
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === ''
+}
+
+// Valida una meta completa. En un PATCH se pasa la meta guardada como `previous` y solo se
+// reemplazan los campos enviados. `inicio` acepta cualquier dia del periodo y se guarda el
+// primero.
+export function normalizeMetaInput(raw = {}, previous = null) {
+  const source = { ...(previous ?? {}), ...raw }
+  const errors = []
+
+  const alcance = typeof source.alcance === 'string' ? source.alcance.trim() : ''
+  if (!META_ALCANCES.includes(alcance)) {
+    errors.push('alcance debe ser plaza o impulsador.')
+  }
+
+  const plazaId = alcance === 'plaza' ? cleanId(source.plaza_id) : ''
+  const usuarioId = alcance === 'impulsador' ? cleanId(source.usuario_id) : ''
+  if (alcance === 'plaza' && !plazaId) {
+    errors.push('plaza_id es obligatorio para una meta de plaza.')
+  }
+  if (alcance === 'impulsador' && !usuarioId) {
+    errors.push('usuario_id es obligatorio para una meta de impulsador.')
+  }
+
+  const periodo = typeof source.periodo === 'string' ? source.periodo.trim() : ''
+  if (!META_PERIODOS.includes(periodo)) {
+    errors.push('periodo debe ser semana o mes.')
+  }
+
+  const fecha = parseFechaActivacion(source.inicio)
+  if (!fecha) {
+    errors.push('inicio debe ser una fecha YYYY-MM-DD.')
+  }
+
+  let metaActivaciones = null
+  if (!isEmptyValue(source.meta_activaciones)) {
+    metaActivaciones = Number(source.meta_activaciones)
+    if (
+      !Number.isInteger(metaActivaciones) ||
+      metaActivaciones < 1 ||
+      metaActivaciones > META_ACTIVACIONES_MAX
+    ) {
+      errors.push(`meta_activaciones debe ser un entero entre 1 y ${META_ACTIVACIONES_MAX}.`)
+    }
+  }
+
+  let metaTasaRegistro = null
+  if (!isEmptyValue(source.meta_tasa_registro)) {
+    metaTasaRegistro = Math.round(Number(source.meta_tasa_registro) * 100) / 100
+    if (!Number.isFinite(metaTasaRegistro) || metaTasaRegistro <= 0 || metaTasaRegistro > 100) {
+      errors.push('meta_tasa_registro debe ser un porcentaje mayor a 0 y hasta 100.')
+    }
+  }
+
+  if (metaActivaciones === null && metaTasaRegistro === null) {
+    errors.push('Define al menos una meta: activaciones o tasa de registro.')
+  }
+
+  return {
+    meta: {
+      alcance,
+      plaza_id: plazaId || null,
+      usuario_id: usuarioId || null,
+      periodo,
+      inicio: fecha && periodo ? toFechaActivacion(inicioPeriodo(fecha, periodo)) : null,
+      meta_activaciones: metaActivaciones,
+      meta_tasa_registro: metaTasaRegistro,
+    },
+    errors,
+  }
+}
+
+// Primer dia de la semana y del mes que contienen `fecha`.
+export function iniciosPeriodo(fecha) {
+  const date = parseFechaActivacion(fecha)
+  return Object.fromEntries(
+    META_PERIODOS.map((periodo) => [periodo, toFechaActivacion(inicioPeriodo(date, periodo))])
+  )
+}
+
+export function rangoMeta(meta) {
+  return {
+    desde: meta.inicio,
+    hasta: toFechaActivacion(finPeriodo(parseFechaActivacion(meta.inicio), meta.periodo)),
+  }
+}
+
+function diasEntre(desde, hasta) {
+  return Math.round((parseFechaActivacion(hasta) - parseFechaActivacion(desde)) / DAY_MS) + 1
+}
+
+function estadoActivaciones(meta, total, { cerrado, diasTranscurridos, proyeccion }) {
+  if (meta === null) {
+    return null
+  }
+  if (total >= meta) {
+    return 'cumplida'
+  }
+  if (cerrado) {
+    return 'no_cumplida'
+  }
+  if (!diasTranscurridos) {
+    return 'pendiente'
+  }
+  return proyeccion >= meta ? 'en_ritmo' : 'atrasada'
+}
+
+function estadoConversion(meta, { total, tasaRegistro }, { cerrado, diasTranscurridos }) {
+  if (meta === null) {
+    return null
+  }
+  if (!diasTranscurridos || (!total && !cerrado)) {
+    return 'pendiente'
+  }
+  if (tasaRegistro >= meta) {
+    return cerrado ? 'cumplida' : 'en_ritmo'
+  }
+  return cerrado ? 'no_cumplida' : 'atrasada'
+}
+
+// Avance de cada meta con los conteos de `get_activaciones_avance_metas` de su rango.
+// - `conteosPorRango`: Map(`desde|hasta` -> [{ plaza, usuario_id, total, registro }]).
+// - `catalogo`: indice de `buildCatalogoIndex`; una plaza cuenta sus alias.
+// - `nombres`: `{ plazas, impulsadores }`, Map(plaza_id o usuario_id -> nombre).
+// - `hoy`: fecha de Bolivia; la proyeccion extiende el ritmo diario al periodo completo.
+export function buildAvanceMetas(metas, { conteosPorRango, catalogo, nombres, hoy }) {
+  return (metas ?? [])
+    .map((meta) => {
+      const { desde, hasta } = rangoMeta(meta)
+      const conteos = conteosPorRango.get(`${desde}|${hasta}`) ?? []
+      let total = 0
+      let registro = 0
+
+      for (const item of conteos) {
+        const coincide =
+          meta.alcance === 'plaza'
+            ? catalogo.findPlaza(item.plaza)?.id === meta.plaza_id
+            : item.usuario_id === meta.usuario_id
+        if (coincide) {
+          total += Number(item.total) || 0
+          registro += Number(item.registro) || 0
+        }
+      }
+
+      const diasTotales = diasEntre(desde, hasta)
+      const cerrado = hoy > hasta
+      const diasTranscurridos = hoy < desde ? 0 : Math.min(diasTotales, diasEntre(desde, hoy))
+      const proyeccion =
+        cerrado || !diasTranscurridos
+          ? total
+          : Math.round((total / diasTranscurridos) * diasTotales)
+      const metaActivaciones = meta.meta_activaciones ?? null
+      const metaTasaRegistro = isEmptyValue(meta.meta_tasa_registro)
+        ? null
+        : Number(meta.meta_tasa_registro)
+      const tasaRegistro = calcularPorcentaje(registro, total)
+      const ritmo = { cerrado, diasTranscurridos, proyeccion }
+      const estados = [
+        estadoActivaciones(metaActivaciones, total, ritmo),
+        estadoConversion(metaTasaRegistro, { total, tasaRegistro }, ritmo),
+      ]
+      const estado = META_ESTADOS.find((item) => estados.includes(item))
+
+      return {
+        id: meta.id,
+        alcance: meta.alcance,
+        plaza_id: meta.plaza_id,
+        usuario_id: meta.usuario_id,
+        nombre:
+          meta.alcance === 'plaza'
+            ? (nombres.plazas.get(meta.plaza_id) ?? 'Plaza sin catalogo')
+            : (nombres.impulsadores.get(meta.usuario_id) ?? 'Impulsador sin registro'),
+        periodo: meta.periodo,
+        desde,
+        hasta,
+        meta_activaciones: metaActivaciones,
+        meta_tasa_registro: metaTasaRegistro,
+        actual: { total, registro, tasa_registro: tasaRegistro },
+        dias_totales: diasTotales,
+        dias_transcurridos: diasTranscurridos,
+        proyeccion,
+        esperado_a_la_fecha:
+          metaActivaciones === null
+            ? null
+            : Math.round((metaActivaciones * diasTranscurridos) / diasTotales),
+        porcentaje_meta:
+          metaActivaciones === null ? null : calcularPorcentaje(total, metaActivaciones),
+        estado_activaciones: estados[0],
+        estado_conversion: estados[1],
+        estado,
+        created_by: meta.created_by,
+        updated_at: meta.updated_at,
+        updated_by: meta.updated_by,
+      }
+    })
+    .sort(
+      (a, b) =>
+        Number(isMetaAtrasada(b)) - Number(isMetaAtrasada(a)) ||
+        a.alcance.localeCompare(b.alcance) ||
+        a.nombre.localeCompare(b.nombre, 'es', { sensitivity: 'base' })
+    )
+}
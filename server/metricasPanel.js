@@ -0,0 +1,111 @@
+import {
+  buildHallazgos,
+  calcularPorcentaje,
+  embudoDesdeConteos,
+  indicadoresDesdeConteos,
+} from '../shared/activacionesMetricas.js'
+
+function ordenarTexto(a, b) {
+  return a.localeCompare(b, 'es', { sensitivity: 'base' })
+}
+
+function toRanking(items, total) {
+  return (items ?? []).map((item) => {
+    const conteo = Number(item.conteo) || 0
+    return { label: item.valor, conteo, porcentaje: calcularPorcentaje(conteo, total) }
+  })
+}
+
+// Plaza -> distritos con nombres canonicos del catalogo; las variantes de un mismo nombre se
+// suman en un solo grupo.
+function buildPlazaDistritoRanking(grupos, catalogo) {
+  const plazas = new Map()
+
+  for (const grupo of grupos ?? []) {
+    const plaza = catalogo.canonicalPlaza(grupo.plaza) || 'Sin Plaza'
+    const distrito = catalogo.canonicalDistrito(grupo.distrito, grupo.plaza) || 'Sin Distrito'
+    const conteo = Number(grupo.conteo) || 0
+    const item = plazas.get(plaza) ?? { plaza, total: 0, distritos: new Map() }
+
+    item.total += conteo
+    item.distritos.set(distrito, (item.distritos.get(distrito) ?? 0) + conteo)
+    plazas.set(plaza, item)
+  }
+
+  return [...plazas.values()]
+    .map((item) => ({
+      plaza: item.plaza,
+      total: item.total,
+      distritos: [...item.distritos]
+        .map(([distrito, conteo]) => ({ distrito, conteo }))
+        .sort((a, b) => b.conteo - a.conteo),
+    }))
+    .sort((a, b) => b.total - a.total)
+}
+
+// Opciones de plaza, distrito y tipo para los filtros, con nombres canonicos del catalogo.
+// `opciones` = `{ plazas_distritos, tipos }` como lo devuelven las funciones SQL.
+export function buildOpcionesFiltros(opciones, catalogo) {
+  const plazas = new Set()
+  const distritos = new Set()
+
+  for (const item of opciones?.plazas_distritos ?? []) {
+    const plaza = catalogo.canonicalPlaza(item.plaza)
+    const distrito = catalogo.canonicalDistrito(item.distrito, item.plaza)
+    if (plaza) {
+      plazas.add(plaza)
+    }
+    if (distrito) {
+      distritos.add(distrito)
+    }
+  }
+
+  return {
+    plazas: [...plazas].sort(ordenarTexto),
+    distritos: [...distritos].sort(ordenarTexto),
+    tipos: [...(opciones?.tipos ?? [])].sort(ordenarTexto),
+  }
+}
+
+// Arma las estructuras del panel de Metricas a partir de `get_activaciones_metricas`.
+// `serie_diaria` ignora el rango de fechas para que la web pueda comparar contra periodos
+// anteriores; el resto respeta todos los filtros. `metas` (avance de `buildAvanceMetas`) solo
+// alimenta los hallazgos.
+export function buildMetricasPanel(agregados, { catalogo, metas = [] }) {
+  const resumen = agregados?.resumen ?? {}
+  const total = Number(resumen.total) || 0
+  const metricasEstado = indicadoresDesdeConteos(resumen.indicadores, total)
+  const plazaDistritoRanking = buildPlazaDistritoRanking(agregados?.plazas_distritos, catalogo)
+  const topActivadores = toRanking(agregados?.impulsadores, total)
+  const distritos = new Set(
+    plazaDistritoRanking.flatMap((plaza) =>
+      plaza.distritos.map((item) => item.distrito).filter((nombre) => nombre !== 'Sin Distrito')
+    )
+  )
+
+  return {
+    total_general: Number(agregados?.total_general) || 0,
+    resumen: {
+      total,
+      impulsadores_activos: Number(resumen.impulsadores) || 0,
+      plazas_activas: plazaDistritoRanking.filter((item) => item.plaza !== 'Sin Plaza').length,
+      distritos_activos: distritos.size,
+      fecha_min: resumen.fecha_min ?? null,
+      fecha_max: resumen.fecha_max ?? null,
+    },
+    metricasEstado,
+    embudoOperacional: embudoDesdeConteos(resumen.embudo, total),
+    plazaDistritoRanking,
+    topActivadores,
+    topTipos: toRanking(agregados?.tipos, total),
+    hallazgos: buildHallazgos({
+      total,
+      metricasEstado,
+      plazaDistritoRanking,
+      topActivadores,
+      metas,
+    }),
+    serie_diaria: agregados?.por_dia ?? [],
+    opciones: buildOpcionesFiltros(agregados?.opciones, catalogo),
+  }
+}
@@ -0,0 +1,257 @@
+// Definicion de columnas de exportacion compartida entre la web y la API admin,
+// para que CSV y Excel salgan iguales sin importar donde se generen.
+
+export const ACTIVACIONES_EXPORT_FORMATS = ['csv', 'xlsx']
+
+const boliviaDateTimeFormatter = new Intl.DateTimeFormat('es-BO', {
+  dateStyle: 'short',
+  timeStyle: 'medium',
+  timeZone: 'America/La_Paz',
+})
+
+export function formatCreatedAtBolivia(value, { emptyValue = '-' } = {}) {
+  if (!value) {
+    return emptyValue
+  }
+
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return String(value)
+  }
+
+  return boliviaDateTimeFormatter.format(date)
+}
+
+export function getCiudadActivacion(activacion) {
+  return activacion?.ciudad_activacion ?? activacion?.plaza ?? ''
+}
+
+export const ACTIVACIONES_EXPORT_BOOLEAN_FORMATS = ['si_no', 'uno_cero']
+export const EXPORT_TEMPLATE_NAME_MAX_LENGTH = 60
+export const EXPORT_TEMPLATE_HEADER_MAX_LENGTH = 60
+
+const BOOLEAN_FORMATTERS = {
+  si_no: (value) => (value ? 'Si' : 'No'),
+  uno_cero: (value) => (value ? 1 : 0),
+}
+
+// Catalogo unico de columnas. `boolean` usa el formato de la plantilla, `pii` marca datos
+// personales del cliente que una plantilla puede excluir y `photo` es la columna de imagen.
+const COLUMNAS_EXPORTACION = [
+  { key: 'numero', header: '#', width: 7, value: (_row, index) => index + 1 },
+  {
+    key: 'creado',
+    header: 'Creado',
+    width: 26,
+    value: (row) => formatCreatedAtBolivia(row.created_at, { emptyValue: '' }),
+  },
+  { key: 'fecha', header: 'Fecha', width: 14, value: (row) => row.fecha_activacion },
+  { key: 'impulsador', header: 'Impulsador', width: 24, value: (row) => row.impulsador },
+  { key: 'plaza', header: 'Plaza', width: 18, value: (row) => getCiudadActivacion(row) },
+  { key: 'distrito', header: 'Distrito', width: 20, value: (row) => row.zona_activacion },
+  {
+    key: 'nombres',
+    header: 'Nombres Cliente',
+    width: 24,
+    pii: true,
+    value: (row) => row.nombres_cliente,
+  },
+  {
+    key: 'apellidos',
+    header: 'Apellidos Cliente',
+    width: 24,
+    pii: true,
+    value: (row) => row.apellidos_cliente,
+  },
+  { key: 'ci', header: 'CI Cliente', width: 14, pii: true, value: (row) => row.ci_cliente },
+  {
+    key: 'telefono',
+    header: 'Telefono Cliente',
+    width: 16,
+    pii: true,
+    value: (row) => row.telefono_cliente,
+  },
+  {
+    key: 'email',
+    header: 'Email Cliente',
+    width: 28,
+    pii: true,
+    value: (row) => row.email_cliente,
+  },
+  {
+    key: 'descargo',
+    header: 'Descargo App',
+    width: 14,
+    boolean: true,
+    value: (row) => row.descargo_app,
+  },
+  { key: 'registro', header: 'Registro', width: 12, boolean: true, value: (row) => row.registro },
+  { key: 'cashIn', header: 'Cash In', width: 10, boolean: true, value: (row) => row.cash_in },
+  { key: 'cashOut', header: 'Cash Out', width: 10, boolean: true, value: (row) => row.cash_out },
+  { key: 'p2p', header: 'P2P', width: 10, boolean: true, value: (row) => row.p2p },
+  { key: 'qrFisico', header: 'QR Fisico', width: 12, boolean: true, value: (row) => row.qr_fisico },
+  { key: 'respaldo', header: 'Respaldo', width: 11, boolean: true, value: (row) => row.respaldo },
+  {
+    key: 'huboError',
+    header: 'Hubo Error',
+    width: 12,
+    boolean: true,
+    value: (row) => row.hubo_error,
+  },
+  {
+    key: 'descripcionError',
+    header: 'Descripcion Error',
+    width: 30,
+    value: (row) => row.descripcion_error,
+  },
+  {
+    key: 'tipoActivacion',
+    header: 'Tipo Activacion',
+    width: 20,
+    value: (row) => row.tipo_activacion,
+  },
+  { key: 'tipoComercio', header: 'Tipo Comercio', width: 20, value: (row) => row.tipo_comercio },
+  { key: 'tamanoTienda', header: 'Tamano Tienda', width: 18, value: (row) => row.tamano_tienda },
+  { key: 'foto', header: 'Foto URL', width: 16, photo: true, value: (row) => row.foto_url },
+  { key: 'latitud', header: 'Latitud', width: 14, value: (row) => row.latitud },
+  { key: 'longitud', header: 'Longitud', width: 14, value: (row) => row.longitud },
+  { key: 'usuarioId', header: 'Usuario ID', width: 38, value: (row) => row.usuario_id },
+]
+
+const COLUMNAS_POR_KEY = new Map(COLUMNAS_EXPORTACION.map((columna) => [columna.key, columna]))
+
+export const DEFAULT_EXPORT_TEMPLATE_CONFIG = Object.freeze({
+  columns: COLUMNAS_EXPORTACION.map((columna) => ({ key: columna.key, header: columna.header })),
+  boolean_format: 'si_no',
+  include_pii: true,
+})
+
+// Columnas disponibles para el editor de plantillas.
+export function listColumnasExportacion() {
+  return COLUMNAS_EXPORTACION.map(
+    ({ key, header, pii = false, boolean = false, photo = false }) => ({
+      key,
+      header,
+      pii,
+      boolean,
+      photo,
+    })
+  )
+}
+
+// Valida la configuracion de una plantilla y devuelve `{ config, errors }`.
+// Se usa en la API al guardar y en la web antes de enviar.
+export function normalizeExportTemplateConfig(rawConfig) {
+  const errors = []
+  const source = rawConfig && typeof rawConfig === 'object' ? rawConfig : {}
+
+  const booleanFormat = source.boolean_format ?? DEFAULT_EXPORT_TEMPLATE_CONFIG.boolean_format
+  if (!ACTIVACIONES_EXPORT_BOOLEAN_FORMATS.includes(booleanFormat)) {
+    errors.push('boolean_format invalido. Usa si_no o uno_cero.')
+  }
+
+  const includePii =
+    source.include_pii === undefined
+      ? DEFAULT_EXPORT_TEMPLATE_CONFIG.include_pii
+      : source.include_pii
+  if (typeof includePii !== 'boolean') {
+    errors.push('include_pii debe ser true o false.')
+  }
+
+  const rawColumns = source.columns ?? DEFAULT_EXPORT_TEMPLATE_CONFIG.columns
+  const columns = []
+  const seen = new Set()
+
+  if (!Array.isArray(rawColumns)) {
+    errors.push('columns debe ser una lista.')
+  } else {
+    for (const item of rawColumns) {
+      const key = typeof item === 'string' ? item : item?.key
+      const columna = COLUMNAS_POR_KEY.get(key)
+
+      if (!columna) {
+        errors.push(`Columna desconocida: ${String(key)}.`)
+        continue
+      }
+
+      if (seen.has(key)) {
+        errors.push(`Columna repetida: ${key}.`)
+        continue
+      }
+      seen.add(key)
+
+      const header = String(item?.header ?? '').trim() || columna.header
+      if (header.length > EXPORT_TEMPLATE_HEADER_MAX_LENGTH) {
+        errors.push(
+          `El encabezado de ${key} supera ${EXPORT_TEMPLATE_HEADER_MAX_LENGTH} caracteres.`
+        )
+        continue
+      }
+
+      columns.push({ key, header })
+    }
+
+    const visibles = columns.filter(
+      (columna) => includePii !== false || !COLUMNAS_POR_KEY.get(columna.key).pii
+    )
+    if (!visibles.length && !errors.length) {
+      errors.push('La plantilla debe incluir al menos una columna sin datos personales excluidos.')
+    }
+  }
+
+  return {
+    config: { columns, boolean_format: booleanFormat, include_pii: includePii },
+    errors,
+  }
+}
+
+// `getFotoUrl` resuelve la URL publica de la foto; cambia entre navegador y servidor.
+// `template` es una configuracion ya normalizada; sin ella salen todas las columnas.
+export function buildColumnasExportacion({
+  getFotoUrl = (fotoUrl) => fotoUrl ?? '',
+  template = DEFAULT_EXPORT_TEMPLATE_CONFIG,
+} = {}) {
+  const formatBoolean = BOOLEAN_FORMATTERS[template.boolean_format] ?? BOOLEAN_FORMATTERS.si_no
+
+  return template.columns
+    .map(({ key, header }) => ({ columna: COLUMNAS_POR_KEY.get(key), header }))
+    .filter(({ columna }) => columna && (template.include_pii || !columna.pii))
+    .map(({ columna, header }) => {
+      let value = columna.value
+      if (columna.boolean) {
+        value = (row, index) => formatBoolean(columna.value(row, index))
+      } else if (columna.photo) {
+        value = (row) => getFotoUrl(row.foto_url)
+      }
+
+      return {
+        key: columna.key,
+        header: header || columna.header,
+        width: columna.width,
+        photo: Boolean(columna.photo),
+        value,
+      }
+    })
+}
+
+export function csvEscape(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const normalized = String(value).replace(/"/g, '""')
+
+  if (/[",\n]/.test(normalized)) {
+    return `"${normalized}"`
+  }
+
+  return normalized
+}
+
+export function buildCsvHeaderLine(columnas) {
+  return columnas.map((columna) => csvEscape(columna.header)).join(',')
+}
+
+export function buildCsvLine(columnas, row, index) {
+  return columnas.map((columna) => csvEscape(columna.value(row, index))).join(',')
+}
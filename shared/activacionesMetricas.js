@@ -0,0 +1,417 @@
+// Indicadores de una activacion y embudo operacional. Metricas y el perfil de impulsador los
+// calculan igual, ya sea en la web o en la API admin.
+
+export const ACTIVACION_INDICADORES = Object.freeze([
+  { key: 'descargo_app', label: 'Descarga App' },
+  { key: 'registro', label: 'Registro' },
+  { key: 'cash_in', label: 'Cash In' },
+  { key: 'cash_out', label: 'Cash Out' },
+  { key: 'p2p', label: 'P2P' },
+  { key: 'qr_fisico', label: 'QR Fisico' },
+  { key: 'respaldo', label: 'Respaldo' },
+  { key: 'hubo_error', label: 'Error Reportado' },
+])
+
+// Cada paso del embudo exige que la activacion haya cumplido tambien todos los anteriores.
+export const EMBUDO_PASOS = Object.freeze(
+  ACTIVACION_INDICADORES.filter((indicador) => indicador.key !== 'hubo_error')
+)
+
+export function calcularPorcentaje(parte, total) {
+  return total ? (parte / total) * 100 : 0
+}
+
+// `conteos` = `{ [indicador]: n }`, como lo devuelve la agregacion en SQL.
+export function indicadoresDesdeConteos(conteos, total) {
+  return ACTIVACION_INDICADORES.map((indicador) => {
+    const conteo = Number(conteos?.[indicador.key]) || 0
+    return { ...indicador, conteo, porcentaje: calcularPorcentaje(conteo, total) }
+  })
+}
+
+export function contarIndicadores(rows) {
+  const conteos = Object.fromEntries(
+    ACTIVACION_INDICADORES.map((indicador) => [
+      indicador.key,
+      rows.filter((item) => item[indicador.key] === true).length,
+    ])
+  )
+  return indicadoresDesdeConteos(conteos, rows.length)
+}
+
+// `conteos` = activaciones que cumplen cada paso y todos los anteriores, en el orden de
+// `EMBUDO_PASOS`.
+export function embudoDesdeConteos(conteos, total) {
+  let pasoAnterior = total
+
+  return EMBUDO_PASOS.map((paso, index) => {
+    const conteo = Number(conteos?.[index]) || 0
+    const resultado = {
+      ...paso,
+      conteo,
+      porcentajeTotal: calcularPorcentaje(conteo, total),
+      porcentajePasoAnterior: calcularPorcentaje(conteo, pasoAnterior),
+    }
+    pasoAnterior = conteo
+    return resultado
+  })
+}
+
+export function calcularEmbudo(rows) {
+  let pendientes = rows
+  const conteos = EMBUDO_PASOS.map((paso) => {
+    pendientes = pendientes.filter((item) => item[paso.key] === true)
+    return pendientes.length
+  })
+  return embudoDesdeConteos(conteos, rows.length)
+}
+
+// Series en el tiempo por `fecha_activacion` (fecha local de Bolivia, `YYYY-MM-DD`). Las semanas
+// empiezan el lunes. Se arman desde conteos por dia (`{ fecha, total, descargo_app, registro,
+// cash_in, hubo_error }`), que salen de `resumirPorDia` o de la agregacion en SQL.
+export const SERIE_AGRUPACIONES = Object.freeze(['dia', 'semana', 'mes'])
+export const SERIE_CONTEOS = Object.freeze(['descargo_app', 'registro', 'cash_in', 'hubo_error'])
+const DAY_MS = 24 * 60 * 60 * 1000
+const boliviaDateFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/La_Paz' })
+
+export function fechaHoyBolivia() {
+  return boliviaDateFormatter.format(new Date())
+}
+
+export function parseFechaActivacion(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00Z`)
+    : null
+}
+
+export function toFechaActivacion(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function sumarDias(date, dias) {
+  return new Date(date.getTime() + dias * DAY_MS)
+}
+
+function finDeMes(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0))
+}
+
+export function inicioPeriodo(date, agrupacion) {
+  if (agrupacion === 'semana') {
+    return sumarDias(date, -((date.getUTCDay() + 6) % 7))
+  }
+  if (agrupacion === 'mes') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+  }
+  return date
+}
+
+function siguientePeriodo(date, agrupacion) {
+  if (agrupacion === 'semana') {
+    return sumarDias(date, 7)
+  }
+  if (agrupacion === 'mes') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+  }
+  return sumarDias(date, 1)
+}
+
+// Ultimo dia del periodo que empieza en `inicio`.
+export function finPeriodo(inicio, agrupacion) {
+  return sumarDias(siguientePeriodo(inicio, agrupacion), -1)
+}
+
+function periodoAnterior(date, agrupacion) {
+  if (agrupacion === 'semana') {
+    return sumarDias(date, -7)
+  }
+  if (agrupacion === 'mes') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1))
+  }
+  return sumarDias(date, -1)
+}
+
+function crearConteos() {
+  return Object.fromEntries([['total', 0], ...SERIE_CONTEOS.map((key) => [key, 0])])
+}
+
+function sumarConteos(conteos, punto) {
+  conteos.total += Number(punto.total) || 0
+  for (const key of SERIE_CONTEOS) {
+    conteos[key] += Number(punto[key]) || 0
+  }
+}
+
+// Agrupa activaciones por `fecha_activacion`; las filas sin fecha valida se omiten.
+export function resumirPorDia(rows) {
+  const dias = new Map()
+
+  for (const row of rows) {
+    if (!parseFechaActivacion(row.fecha_activacion)) {
+      continue
+    }
+    const dia = dias.get(row.fecha_activacion) ?? { fecha: row.fecha_activacion, ...crearConteos() }
+    dia.total += 1
+    for (const key of SERIE_CONTEOS) {
+      dia[key] += row[key] === true ? 1 : 0
+    }
+    dias.set(row.fecha_activacion, dia)
+  }
+
+  return [...dias.values()].sort((a, b) => a.fecha.localeCompare(b.fecha))
+}
+
+// Totales de un conjunto de dias con las tasas de las tarjetas de Metricas.
+// `tasa_cash_in` mide la conversion Registro -> Cash In.
+export function resumirConteos(dias) {
+  const conteos = crearConteos()
+  for (const dia of dias) {
+    sumarConteos(conteos, dia)
+  }
+
+  return {
+    ...conteos,
+    tasa_registro: calcularPorcentaje(conteos.registro, conteos.total),
+    tasa_cash_in: calcularPorcentaje(conteos.cash_in, conteos.registro),
+    tasa_error: calcularPorcentaje(conteos.hubo_error, conteos.total),
+  }
+}
+
+// Un punto por periodo entre `desde` y `hasta` (o entre el primer y el ultimo dia con datos),
+// incluidos los periodos sin actividad. Los dias fuera del rango no suman.
+export function buildSerieTemporal(dias, { agrupacion = 'dia', desde = null, hasta = null } = {}) {
+  const fechas = dias
+    .map((dia) => dia.fecha)
+    .filter((value) => parseFechaActivacion(value))
+    .sort()
+  const inicio = parseFechaActivacion(desde || fechas[0])
+  const fin = parseFechaActivacion(hasta || fechas[fechas.length - 1])
+
+  if (!inicio || !fin || inicio > fin) {
+    return []
+  }
+
+  const puntos = new Map()
+  for (
+    let cursor = inicioPeriodo(inicio, agrupacion);
+    cursor <= fin;
+    cursor = siguientePeriodo(cursor, agrupacion)
+  ) {
+    const periodo = toFechaActivacion(cursor)
+    puntos.set(periodo, { periodo, ...crearConteos() })
+  }
+
+  for (const dia of dias) {
+    const fecha = parseFechaActivacion(dia.fecha)
+    if (!fecha || fecha < inicio || fecha > fin) {
+      continue
+    }
+    const punto = puntos.get(toFechaActivacion(inicioPeriodo(fecha, agrupacion)))
+    if (punto) {
+      sumarConteos(punto, dia)
+    }
+  }
+
+  return [...puntos.values()]
+}
+
+// Promedio de los ultimos `ventana` valores; `null` mientras no haya suficientes.
+export function calcularMediaMovil(valores, ventana) {
+  return valores.map((_, index) => {
+    if (index + 1 < ventana) {
+      return null
+    }
+    const tramo = valores.slice(index + 1 - ventana, index + 1)
+    return tramo.reduce((total, value) => total + value, 0) / ventana
+  })
+}
+
+// Compara el periodo que contiene `referencia` (hasta ese dia) con el mismo tramo del periodo
+// anterior: el martes de esta semana contra lunes y martes de la semana pasada, por ejemplo.
+export function compararPeriodos(dias, { agrupacion = 'semana', referencia }) {
+  const fin = parseFechaActivacion(referencia)
+  if (!fin) {
+    return null
+  }
+
+  const inicio = inicioPeriodo(fin, agrupacion)
+  const largo = Math.round((fin.getTime() - inicio.getTime()) / DAY_MS)
+  const inicioAnterior = periodoAnterior(inicio, agrupacion)
+  const finAnterior = sumarDias(inicioAnterior, largo)
+  const limiteAnterior = agrupacion === 'mes' ? finDeMes(inicioAnterior) : finAnterior
+  const rangos = {
+    actual: { desde: toFechaActivacion(inicio), hasta: toFechaActivacion(fin) },
+    anterior: {
+      desde: toFechaActivacion(inicioAnterior),
+      hasta: toFechaActivacion(finAnterior < limiteAnterior ? finAnterior : limiteAnterior),
+    },
+  }
+
+  const enRango = (rango) => (dia) => dia.fecha >= rango.desde && dia.fecha <= rango.hasta
+
+  return {
+    actual: { ...rangos.actual, ...resumirConteos(dias.filter(enRango(rangos.actual))) },
+    anterior: { ...rangos.anterior, ...resumirConteos(dias.filter(enRango(rangos.anterior))) },
+  }
+}
+
+const hallazgoNumberFormatter = new Intl.NumberFormat('es-BO')
+const hallazgoPercentFormatter = new Intl.NumberFormat('es-BO', { maximumFractionDigits: 1 })
+
+function formatHallazgoPorcentaje(value) {
+  return `${hallazgoPercentFormatter.format(Number.isFinite(value) ? value : 0)}%`
+}
+
+// Una meta va atrasada si su proyeccion o su tasa no alcanzan el objetivo, o si el periodo
+// cerro sin cumplirla.
+export function isMetaAtrasada(meta) {
+  return meta?.estado === 'atrasada' || meta?.estado === 'no_cumplida'
+}
+
+function describirMetaAtrasada(meta) {
+  const numero = (value) => hallazgoNumberFormatter.format(Number(value) || 0)
+
+  if (meta.estado_activaciones === 'atrasada') {
+    return `${meta.nombre} (proyecta ${numero(meta.proyeccion)} de ${numero(meta.meta_activaciones)})`
+  }
+  if (meta.estado_activaciones === 'no_cumplida') {
+    return `${meta.nombre} (${numero(meta.actual.total)} de ${numero(meta.meta_activaciones)})`
+  }
+  return `${meta.nombre} (registro ${formatHallazgoPorcentaje(meta.actual.tasa_registro)} de ${formatHallazgoPorcentaje(meta.meta_tasa_registro)})`
+}
+
+// Primero quien va por debajo de su meta del periodo, aunque no haya activaciones en el corte.
+function buildHallazgosMetas(metas) {
+  const atrasadas = metas.filter(isMetaAtrasada)
+  const data = []
+
+  for (const [alcance, titulo] of [
+    ['impulsador', 'Impulsadores bajo meta'],
+    ['plaza', 'Plazas bajo meta'],
+  ]) {
+    const items = atrasadas.filter((meta) => meta.alcance === alcance)
+    if (!items.length) {
+      continue
+    }
+
+    const resto = items.length > 3 ? ` y ${items.length - 3} mas` : ''
+    data.push({
+      tone: 'alert',
+      title: `${titulo}: ${items.length}`,
+      detail: `${items.slice(0, 3).map(describirMetaAtrasada).join(', ')}${resto}.`,
+    })
+  }
+
+  if (metas.length && !atrasadas.length) {
+    data.push({
+      tone: 'ok',
+      title: 'Metas del periodo en ritmo',
+      detail:
+        metas.length === 1
+          ? 'La meta vigente va en ritmo o ya se cumplio.'
+          : `Las ${metas.length} metas vigentes van en ritmo o ya se cumplieron.`,
+    })
+  }
+
+  return data
+}
+
+// Hallazgos automaticos del panel de Metricas, a partir de las estructuras ya calculadas y del
+// avance de las metas vigentes.
+export function buildHallazgos({
+  total,
+  metricasEstado = [],
+  plazaDistritoRanking = [],
+  topActivadores = [],
+  metas = [],
+}) {
+  const data = buildHallazgosMetas(metas)
+
+  if (!total) {
+    return data
+  }
+
+  const porcentajes = Object.fromEntries(
+    metricasEstado.map((item) => [item.key, item.porcentaje])
+  )
+  const registro = porcentajes.registro ?? 0
+  const errores = porcentajes.hubo_error ?? 0
+  const cashIn = porcentajes.cash_in ?? 0
+  const respaldo = porcentajes.respaldo ?? 0
+  const liderPlaza = plazaDistritoRanking[0]
+  const liderImpulsador = topActivadores[0]
+
+  data.push(
+    registro < 50
+      ? {
+          tone: 'warn',
+          title: 'Registro por debajo de objetivo',
+          detail: `La tasa de registro actual es ${formatHallazgoPorcentaje(registro)}.`,
+        }
+      : {
+          tone: 'ok',
+          title: 'Registro en buen nivel',
+          detail: `La tasa de registro se mantiene en ${formatHallazgoPorcentaje(registro)}.`,
+        }
+  )
+
+  data.push(
+    errores > 12
+      ? {
+          tone: 'alert',
+          title: 'Incidencia de errores alta',
+          detail: `Los errores representan ${formatHallazgoPorcentaje(errores)} del total.`,
+        }
+      : {
+          tone: 'ok',
+          title: 'Error operativo controlado',
+          detail: `La tasa de error se mantiene en ${formatHallazgoPorcentaje(errores)}.`,
+        }
+  )
+
+  data.push(
+    cashIn < 35
+      ? {
+          tone: 'warn',
+          title: 'Conversion a Cash In baja',
+          detail: `Solo ${formatHallazgoPorcentaje(cashIn)} llega a cash in.`,
+        }
+      : {
+          tone: 'info',
+          title: 'Buen avance a Cash In',
+          detail: `${formatHallazgoPorcentaje(cashIn)} de activaciones completa cash in.`,
+        }
+  )
+
+  data.push(
+    respaldo < 40
+      ? {
+          tone: 'warn',
+          title: 'Uso de respaldo mejorable',
+          detail: `El respaldo esta activo en ${formatHallazgoPorcentaje(respaldo)} de casos.`,
+        }
+      : {
+          tone: 'info',
+          title: 'Respaldo con traccion',
+          detail: `${formatHallazgoPorcentaje(respaldo)} incluye respaldo operativo.`,
+        }
+  )
+
+  if (liderPlaza) {
+    data.push({
+      tone: 'info',
+      title: `Plaza lider: ${liderPlaza.plaza}`,
+      detail: `${hallazgoNumberFormatter.format(liderPlaza.total)} activaciones (${formatHallazgoPorcentaje(calcularPorcentaje(liderPlaza.total, total))} del total).`,
+    })
+  }
+
+  if (liderImpulsador) {
+    data.push({
+      tone: 'info',
+      title: `Impulsador con mayor carga: ${liderImpulsador.label}`,
+      detail: `${hallazgoNumberFormatter.format(liderImpulsador.conteo)} activaciones (${formatHallazgoPorcentaje(liderImpulsador.porcentaje)}).`,
+    })
+  }
+
+  return data.slice(0, 8)
+}
@@ -0,0 +1,67 @@
+// Datos del cliente que la API admin entrega enmascarados en la tabla, el detalle y las
+// exportaciones. Se revelan campo por campo y cada revelacion queda en la auditoria.
+
+export const ACTIVACIONES_PII_FIELDS = ['ci_cliente', 'telefono_cliente', 'email_cliente']
+export const ACTIVACIONES_PII_REVEAL_ROLE = 'supervisor'
+
+const MASK_CHAR = '*'
+
+function maskTail(value, visibleChars) {
+  const visible = value.length > visibleChars ? value.slice(-visibleChars) : ''
+  return `${MASK_CHAR.repeat(Math.max(value.length - visible.length, 3))}${visible}`
+}
+
+function maskEmail(value) {
+  const atIndex = value.lastIndexOf('@')
+  if (atIndex <= 0) {
+    return maskTail(value, 0)
+  }
+
+  return `${value[0]}${MASK_CHAR.repeat(3)}${value.slice(atIndex)}`
+}
+
+export function isActivacionPiiField(field) {
+  return ACTIVACIONES_PII_FIELDS.includes(field)
+}
+
+export function maskPiiValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return value
+  }
+
+  const text = String(value).trim()
+  if (field === 'email_cliente') {
+    return maskEmail(text)
+  }
+  if (field === 'telefono_cliente') {
+    return maskTail(text, 2)
+  }
+  return maskTail(text, 3)
+}
+
+export function maskActivacionPii(row) {
+  if (!row || typeof row !== 'object') {
+    return row
+  }
+
+  const masked = { ...row }
+  for (const field of ACTIVACIONES_PII_FIELDS) {
+    if (field in masked) {
+      masked[field] = maskPiiValue(field, masked[field])
+    }
+  }
+  return masked
+}
+
+// Enmascara los valores `from`/`to` de un historial de cambios `[{ field, from, to }]`.
+export function maskActivacionChanges(changes) {
+  return (Array.isArray(changes) ? changes : []).map((change) =>
+    isActivacionPiiField(change?.field)
+      ? {
+          ...change,
+          from: maskPiiValue(change.field, change.from),
+          to: maskPiiValue(change.field, change.to),
+        }
+      : change
+  )
+}
@@ -0,0 +1,66 @@
+// Revision de cumplimiento de las fotos de activaciones. `foto_revision` queda en `aprobada` o
+// `rechazada`; sin valor, una activacion con foto esta pendiente. La web y la API comparten los
+// estados y la validacion.
+
+export const FOTO_REVISION_ESTADOS = Object.freeze(['aprobada', 'rechazada'])
+// Valores del filtro `foto` de la tabla de activaciones.
+export const FOTO_REVISION_FILTROS = Object.freeze(['sin_foto', 'pendiente', ...FOTO_REVISION_ESTADOS])
+export const FOTO_REVISION_MOTIVO_MAX_LENGTH = 300
+
+// Motivos sugeridos en la web; la API acepta cualquier texto.
+export const FOTO_RECHAZO_MOTIVOS = Object.freeze([
+  'Foto borrosa u oscura',
+  'No se ve el comercio',
+  'No corresponde a la activacion',
+  'Captura de pantalla o foto de otra foto',
+  'Foto repetida',
+])
+
+export function tieneFoto(activacion) {
+  return typeof activacion?.foto_url === 'string' && Boolean(activacion.foto_url.trim())
+}
+
+// `sin_foto`, `pendiente`, `aprobada` o `rechazada`.
+export function getFotoRevisionEstado(activacion) {
+  if (!tieneFoto(activacion)) {
+    return 'sin_foto'
+  }
+  return FOTO_REVISION_ESTADOS.includes(activacion.foto_revision)
+    ? activacion.foto_revision
+    : 'pendiente'
+}
+
+// Aprobadas sobre revisadas (0-100), o null si no hay ninguna revisada.
+export function calcularTasaAprobacion(aprobadas, rechazadas) {
+  const revisadas = (Number(aprobadas) || 0) + (Number(rechazadas) || 0)
+  return revisadas ? ((Number(aprobadas) || 0) / revisadas) * 100 : null
+}
+
+// Valida la revision de un supervisor: `estado` (`aprobada`, `rechazada` o `pendiente` para
+// deshacerla) y `motivo`, obligatorio al rechazar.
+export function normalizeFotoRevisionInput(raw = {}) {
+  const estado = typeof raw.estado === 'string' ? raw.estado.trim() : ''
+  if (estado !== 'pendiente' && !FOTO_REVISION_ESTADOS.includes(estado)) {
+    return { errors: ['estado debe ser aprobada, rechazada o pendiente.'] }
+  }
+
+  if (raw.motivo !== undefined && raw.motivo !== null && typeof raw.motivo !== 'string') {
+    return { errors: ['motivo debe ser texto.'] }
+  }
+
+  const motivo = typeof raw.motivo === 'string' ? raw.motivo.trim() : ''
+  if (estado === 'rechazada' && !motivo) {
+    return { errors: ['motivo es obligatorio para rechazar la foto.'] }
+  }
+  if (motivo.length > FOTO_REVISION_MOTIVO_MAX_LENGTH) {
+    return { errors: [`motivo admite hasta ${FOTO_REVISION_MOTIVO_MAX_LENGTH} caracteres.`] }
+  }
+
+  return {
+    revision: {
+      foto_revision: estado === 'pendiente' ? null : estado,
+      foto_revision_motivo: estado === 'rechazada' ? motivo : null,
+    },
+    errors: [],
+  }
+}
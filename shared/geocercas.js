@@ -0,0 +1,218 @@
+// Geocercas (poligonos GeoJSON) de plazas y distritos del catalogo. Se guardan siempre como
+// geometria MultiPolygon en WGS84 (`[longitud, latitud]`); la web valida los archivos subidos
+// con las mismas reglas que la API.
+import { buildCatalogoIndex } from './plazasCatalogo.js'
+import { getCiudadActivacion } from './activacionesExport.js'
+
+export const GEOCERCA_MAX_VERTICES = 5000
+export const GEOCERCA_ALERTAS = Object.freeze(['plaza', 'distrito'])
+
+// Texto de la alerta que deja la revision en `geocerca_alerta` / `geocerca_detalle`.
+export function describirAlertaGeocerca(alerta, detalle) {
+  if (!alerta) {
+    return ''
+  }
+
+  const base =
+    alerta === 'plaza' ? 'GPS fuera de la plaza declarada' : 'GPS fuera del distrito declarado'
+  return detalle ? `${base}; cae en ${detalle}.` : `${base}.`
+}
+
+function isPosicion(value) {
+  return (
+    Array.isArray(value) &&
+    value.length >= 2 &&
+    Number.isFinite(value[0]) &&
+    Number.isFinite(value[1]) &&
+    Math.abs(value[0]) <= 180 &&
+    Math.abs(value[1]) <= 90
+  )
+}
+
+// Poligonos de un objeto GeoJSON: geometria, Feature o FeatureCollection. Los demas tipos de
+// geometria (puntos, lineas) se ignoran.
+function extraerPoligonos(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    return []
+  }
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (Array.isArray(geojson.features) ? geojson.features : []).flatMap(extraerPoligonos)
+    case 'Feature':
+      return extraerPoligonos(geojson.geometry)
+    case 'GeometryCollection':
+      return (Array.isArray(geojson.geometries) ? geojson.geometries : []).flatMap(
+        extraerPoligonos
+      )
+    case 'Polygon':
+      return [geojson.coordinates]
+    case 'MultiPolygon':
+      return Array.isArray(geojson.coordinates) ? geojson.coordinates : []
+    default:
+      return []
+  }
+}
+
+// Valida un GeoJSON (objeto o texto) y lo reduce a `{ type: 'MultiPolygon', coordinates }`.
+// Los anillos sin cerrar se cierran. Devuelve `{ geocerca, errors }`.
+export function normalizeGeocercaInput(raw) {
+  let geojson = raw
+  if (typeof raw === 'string') {
+    try {
+      geojson = JSON.parse(raw)
+    } catch {
+      return { geocerca: null, errors: ['El archivo no es un JSON valido.'] }
+    }
+  }
+
+  const poligonos = extraerPoligonos(geojson)
+  if (poligonos.length === 0) {
+    return { geocerca: null, errors: ['El GeoJSON no tiene poligonos (Polygon o MultiPolygon).'] }
+  }
+
+  const coordinates = []
+  let vertices = 0
+  for (const poligono of poligonos) {
+    if (!Array.isArray(poligono) || poligono.length === 0) {
+      return { geocerca: null, errors: ['Hay un poligono sin anillos.'] }
+    }
+
+    const anillos = []
+    for (const anillo of poligono) {
+      if (!Array.isArray(anillo) || !anillo.every(isPosicion)) {
+        return {
+          geocerca: null,
+          errors: ['Cada vertice debe ser [longitud, latitud] con valores validos.'],
+        }
+      }
+
+      const posiciones = anillo.map((posicion) => [posicion[0], posicion[1]])
+      const [primera] = posiciones
+      const ultima = posiciones[posiciones.length - 1]
+      if (primera && (primera[0] !== ultima[0] || primera[1] !== ultima[1])) {
+        posiciones.push([...primera])
+      }
+      if (posiciones.length < 4) {
+        return { geocerca: null, errors: ['Cada anillo necesita al menos 3 vertices distintos.'] }
+      }
+
+      vertices += posiciones.length
+      anillos.push(posiciones)
+    }
+    coordinates.push(anillos)
+  }
+
+  if (vertices > GEOCERCA_MAX_VERTICES) {
+    return {
+      geocerca: null,
+      errors: [`La geocerca tiene ${vertices} vertices; el maximo es ${GEOCERCA_MAX_VERTICES}.`],
+    }
+  }
+
+  return { geocerca: { type: 'MultiPolygon', coordinates }, errors: [] }
+}
+
+export function contarVerticesGeocerca(geocerca) {
+  return (geocerca?.coordinates ?? []).reduce(
+    (total, poligono) => total + poligono.reduce((suma, anillo) => suma + anillo.length, 0),
+    0
+  )
+}
+
+function puntoEnAnillo(lon, lat, anillo) {
+  let dentro = false
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i, i += 1) {
+    const [xi, yi] = anillo[i]
+    const [xj, yj] = anillo[j]
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      dentro = !dentro
+    }
+  }
+  return dentro
+}
+
+// El primer anillo de cada poligono es el borde; los siguientes son huecos.
+export function puntoEnGeocerca(lat, lon, geocerca) {
+  return (geocerca?.coordinates ?? []).some(
+    ([borde, ...huecos]) =>
+      puntoEnAnillo(lon, lat, borde) && !huecos.some((hueco) => puntoEnAnillo(lon, lat, hueco))
+  )
+}
+
+function coordenadasValidas(row) {
+  const lat = Number(row?.latitud)
+  const lon = Number(row?.longitud)
+  if (
+    row?.latitud === null ||
+    row?.longitud === null ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lon) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lon) > 180 ||
+    (lat === 0 && lon === 0)
+  ) {
+    return null
+  }
+  return { lat, lon }
+}
+
+// Revisa activaciones contra las geocercas de la plaza (`ciudad_activacion` o, si falta,
+// `plaza`) y del distrito (`zona_activacion`) declarados, resueltos con el catalogo.
+// - `plazas`: catalogo con distritos, como `buildCatalogoIndex`.
+// - `geocercas`: `[{ plaza_id, distrito_id, geojson }]`.
+// Devuelve `revisar(row)` -> `{ alerta, detalle }`: `alerta` es `plaza` o `distrito` cuando el
+// GPS cae fuera de la geocerca declarada y `detalle` nombra donde cae, si alguna geocerca lo
+// contiene. Sin coordenadas o sin geocerca para lo declarado no hay alerta.
+export function buildGeocercaChecker(plazas, geocercas) {
+  const catalogo = buildCatalogoIndex(plazas)
+  const porPlaza = new Map()
+  const porDistrito = new Map()
+
+  for (const item of geocercas ?? []) {
+    if (item.plaza_id) {
+      porPlaza.set(item.plaza_id, item.geojson)
+    } else if (item.distrito_id) {
+      porDistrito.set(item.distrito_id, item.geojson)
+    }
+  }
+
+  const plazasConGeocerca = (plazas ?? []).filter((plaza) => porPlaza.has(plaza.id))
+
+  function revisar(row) {
+    const coordenadas = coordenadasValidas(row)
+    if (!coordenadas) {
+      return { alerta: null, detalle: null }
+    }
+
+    const { lat, lon } = coordenadas
+    const plazaValue = getCiudadActivacion(row)
+    const plaza = catalogo.findPlaza(plazaValue)
+
+    if (plaza && porPlaza.has(plaza.id) && !puntoEnGeocerca(lat, lon, porPlaza.get(plaza.id))) {
+      const detectada = plazasConGeocerca.find((item) =>
+        puntoEnGeocerca(lat, lon, porPlaza.get(item.id))
+      )
+      return { alerta: 'plaza', detalle: detectada?.nombre ?? null }
+    }
+
+    const distrito = row?.zona_activacion
+      ? catalogo.findDistrito(row.zona_activacion, plazaValue)
+      : null
+    if (
+      distrito &&
+      porDistrito.has(distrito.id) &&
+      !puntoEnGeocerca(lat, lon, porDistrito.get(distrito.id))
+    ) {
+      const hermanos = (plazas ?? []).find((item) => item.id === distrito.plaza_id)?.distritos ?? []
+      const detectado = hermanos.find(
+        (item) => porDistrito.has(item.id) && puntoEnGeocerca(lat, lon, porDistrito.get(item.id))
+      )
+      return { alerta: 'distrito', detalle: detectado?.nombre ?? null }
+    }
+
+    return { alerta: null, detalle: null }
+  }
+
+  return { revisar, total: porPlaza.size + porDistrito.size }
+}
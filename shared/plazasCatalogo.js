@@ -0,0 +1,156 @@
+// Catalogo de plazas y sus distritos. Impulsadores y activaciones guardan texto libre; este
+// modulo lo resuelve al nombre canonico comparando sin tildes, mayusculas ni espacios extra
+// contra el nombre y los alias de cada entrada.
+
+export const CATALOGO_NOMBRE_MAX_LENGTH = 80
+export const CATALOGO_ALIAS_MAX = 20
+
+export function normalizeCatalogKey(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+}
+
+function cleanCatalogText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : ''
+}
+
+export function getCatalogEntryKeys(entry) {
+  return [entry?.nombre, ...(Array.isArray(entry?.alias) ? entry.alias : [])]
+    .map(normalizeCatalogKey)
+    .filter(Boolean)
+}
+
+// `alias` acepta lista o texto separado por comas.
+function parseCatalogAlias(value) {
+  if (Array.isArray(value)) {
+    return [...value]
+  }
+  return typeof value === 'string' ? value.split(',') : []
+}
+
+// Valida `{ nombre, alias }` de una plaza o distrito; se descartan los alias repetidos y los que
+// coinciden con el nombre.
+export function normalizeCatalogEntryInput(raw = {}) {
+  const errors = []
+  const nombre = cleanCatalogText(raw.nombre)
+  const rawAlias = parseCatalogAlias(raw.alias)
+
+  if (!nombre) {
+    errors.push('nombre es obligatorio.')
+  } else if (nombre.length > CATALOGO_NOMBRE_MAX_LENGTH) {
+    errors.push(`nombre no puede superar ${CATALOGO_NOMBRE_MAX_LENGTH} caracteres.`)
+  }
+
+  const seen = new Set([normalizeCatalogKey(nombre)])
+  const alias = []
+  for (const item of rawAlias) {
+    const text = cleanCatalogText(typeof item === 'string' ? item : '')
+    const key = normalizeCatalogKey(text)
+    if (!key || seen.has(key)) {
+      continue
+    }
+    if (text.length > CATALOGO_NOMBRE_MAX_LENGTH) {
+      errors.push(`Cada alias puede tener hasta ${CATALOGO_NOMBRE_MAX_LENGTH} caracteres.`)
+      continue
+    }
+    seen.add(key)
+    alias.push(text)
+  }
+
+  if (alias.length > CATALOGO_ALIAS_MAX) {
+    errors.push(`Se permiten hasta ${CATALOGO_ALIAS_MAX} alias.`)
+  }
+
+  return { entry: { nombre, alias }, errors }
+}
+
+// Aplica un PATCH sobre una entrada existente. Al renombrar, el nombre anterior queda como
+// alias para que los registros guardados con ese nombre sigan resolviendo.
+export function mergeCatalogEntryPatch(previous, patch = {}) {
+  const nombre = patch.nombre !== undefined ? patch.nombre : previous.nombre
+  const alias = parseCatalogAlias(patch.alias !== undefined ? patch.alias : previous.alias)
+
+  if (normalizeCatalogKey(nombre) !== normalizeCatalogKey(previous.nombre)) {
+    alias.push(previous.nombre)
+  }
+
+  return normalizeCatalogEntryInput({ nombre, alias })
+}
+
+// Devuelve el nombre de la primera entrada (distinta de `excludeId`) que ya usa alguno de los
+// nombres o alias de `entry`.
+export function findCatalogConflict(entries, entry, excludeId = null) {
+  const keys = new Set(getCatalogEntryKeys(entry))
+  const conflict = (entries ?? []).find(
+    (other) =>
+      other?.id !== excludeId && getCatalogEntryKeys(other).some((key) => keys.has(key))
+  )
+  return conflict?.nombre ?? null
+}
+
+// `plazas` = `[{ id, nombre, alias, distritos: [{ id, nombre, alias }] }]`.
+// Los valores que no estan en el catalogo se agrupan igual por su clave normalizada y se
+// muestran con la primera variante encontrada, para que "La Paz" y "la paz " no se separen.
+export function buildCatalogoIndex(plazas = []) {
+  const plazasPorClave = new Map()
+  const distritosPorPlaza = new Map()
+  const distritosPorClave = new Map()
+  const etiquetasSinCatalogo = new Map()
+
+  for (const plaza of plazas ?? []) {
+    for (const key of getCatalogEntryKeys(plaza)) {
+      plazasPorClave.set(key, plaza)
+    }
+
+    const distritosPlaza = new Map()
+    for (const distrito of plaza.distritos ?? []) {
+      for (const key of getCatalogEntryKeys(distrito)) {
+        distritosPlaza.set(key, distrito)
+        // Un mismo nombre puede existir en dos plazas; sin plaza solo se resuelve si es unico.
+        distritosPorClave.set(key, distritosPorClave.has(key) ? null : distrito)
+      }
+    }
+    distritosPorPlaza.set(plaza.id, distritosPlaza)
+  }
+
+  function etiquetaSinCatalogo(scope, value) {
+    const text = cleanCatalogText(value)
+    if (!text) {
+      return ''
+    }
+    const key = `${scope}|${normalizeCatalogKey(text)}`
+    if (!etiquetasSinCatalogo.has(key)) {
+      etiquetasSinCatalogo.set(key, text)
+    }
+    return etiquetasSinCatalogo.get(key)
+  }
+
+  function findPlaza(value) {
+    return plazasPorClave.get(normalizeCatalogKey(value)) ?? null
+  }
+
+  function findDistrito(value, plazaValue = null) {
+    const key = normalizeCatalogKey(value)
+    const plaza = plazaValue ? findPlaza(plazaValue) : null
+    if (plaza) {
+      return distritosPorPlaza.get(plaza.id)?.get(key) ?? null
+    }
+    return distritosPorClave.get(key) ?? null
+  }
+
+  return {
+    isEmpty: plazasPorClave.size === 0,
+    findPlaza,
+    findDistrito,
+    canonicalPlaza(value) {
+      return findPlaza(value)?.nombre ?? etiquetaSinCatalogo('plaza', value)
+    },
+    canonicalDistrito(value, plazaValue = null) {
+      return findDistrito(value, plazaValue)?.nombre ?? etiquetaSinCatalogo('distrito', value)
+    },
+  }
+}
@@ -1,34 +1,89 @@
-import { supabase } from './supabaseClient'
-
-export async function fetchAllActivaciones({ pageSize = 1000, columns = '*' } = {}) {
-  const rows = []
-  let from = 0
-  let to = pageSize - 1
-
-  while (true) {
-    const { data, error } = await supabase
-      .from('activaciones')
-      .select(columns)
-      .order('created_at', { ascending: false })
-      .range(from, to)
-
-    if (error) {
-      throw error
+const storageBaseUrl = String(import.meta.env.VITE_SUPABASE_URL ?? '').replace(/\/$/, '')
+const storageBucket =
+  import.meta.env.VITE_STORAGE_BUCKET_ACTIVACIONES ?? 'fotos-activaciones'
+
+export function getFotoPublicUrl(fotoUrl) {
+  if (!fotoUrl) {
+    return ''
+  }
+
+  if (/^https?:\/\//i.test(fotoUrl)) {
+    return fotoUrl
+  }
+
+  if (!storageBaseUrl) {
+    return fotoUrl
+  }
+
+  const cleanPath = String(fotoUrl).replace(/^\/+/, '')
+
+  if (cleanPath.startsWith('storage/v1/object/public/')) {
+    return `${storageBaseUrl}/${cleanPath}`
+  }
+
+  const bucketPrefix = `${storageBucket}/`
+  const objectPath = cleanPath.startsWith(bucketPrefix)
+    ? cleanPath.slice(bucketPrefix.length)
+    : cleanPath
+
+  return `${storageBaseUrl}/storage/v1/object/public/${storageBucket}/${objectPath}`
+}
+
+export function buildActivacionesQuery(params = {}) {
+  const searchParams = new URLSearchParams()
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value === null || value === undefined) {
+      continue
     }
 
-    if (!data || data.length === 0) {
-      break
+    const normalized = typeof value === 'string' ? value.trim() : String(value)
+    if (normalized) {
+      searchParams.set(key, normalized)
     }
+  }
 
-    rows.push(...data)
+  const query = searchParams.toString()
+  return query ? `?${query}` : ''
+}
 
-    if (data.length < pageSize) {
-      break
-    }
+export async function fetchMetricasActivaciones(requestAdmin, filtros = {}) {
+  return requestAdmin(`/admin/metrics${buildActivacionesQuery(filtros)}`)
+}
 
-    from += pageSize
-    to += pageSize
+export async function fetchActivacionesPage(requestAdmin, params = {}) {
+  const result = await requestAdmin(`/admin/activaciones${buildActivacionesQuery(params)}`)
+
+  return {
+    rows: result?.activaciones ?? [],
+    total: Number(result?.total) || 0,
+    hasMore: Boolean(result?.has_more),
+    nextCursor: result?.next_cursor ?? null,
+    retentionDays: Number(result?.retention_days) || null,
   }
+}
+
+export async function fetchActivacionDetalle(requestAdmin, activacionId) {
+  const result = await requestAdmin(`/admin/activaciones/${encodeURIComponent(activacionId)}`)
+
+  return {
+    activacion: result?.activacion ?? null,
+    sameDay: result?.same_day ?? [],
+    retentionDays: Number(result?.retention_days) || null,
+  }
+}
+
+export async function revealActivacionPii(requestAdmin, activacionId, field) {
+  const result = await requestAdmin(
+    `/admin/activaciones/${encodeURIComponent(activacionId)}/reveal`,
+    { method: 'POST', body: { field } }
+  )
+
+  return result?.value ?? null
+}
 
-  return rows
+// Valores permitidos de tipo_activacion, tipo_comercio y tamano_tienda; vacio si es texto libre.
+export async function fetchActivacionOpciones(requestAdmin) {
+  const result = await requestAdmin('/admin/activaciones/options')
+  return result?.opciones ?? {}
 }
@@ -1,16 +1,19 @@
-function toBase64(value) {
-  try {
-    return btoa(value)
-  } catch {
-    const bytes = new TextEncoder().encode(value)
-    let binary = ''
-    for (const byte of bytes) {
-      binary += String.fromCharCode(byte)
-    }
-    return btoa(binary)
+import { clearAdminSession, getAdminSession, setAdminSession } from './adminAuthStore'
+
+let refreshInFlight = null
+
+export class AdminApiError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'AdminApiError'
+    this.status = status
   }
 }
 
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl || '').replace(/\/$/, '')
+}
+
 function parseErrorMessage(payload, status) {
   if (payload && typeof payload === 'object') {
     if (payload.error && payload.details) {
@@ -44,27 +47,11 @@ async function parseResponsePayload(response) {
   }
 }
 
-export async function adminApiRequest({
-  baseUrl,
-  path,
-  username,
-  password,
-  method = 'GET',
-  body,
-  headers = {},
-  signal,
-}) {
-  const safeUsername = typeof username === 'string' ? username.trim() : ''
-  const safePassword = typeof password === 'string' ? password : ''
-
-  if (!safeUsername || !safePassword) {
-    throw new Error('Ingresa usuario y password de API.')
-  }
+async function sendRequest({ baseUrl, path, method = 'GET', body, headers = {}, signal, accessToken }) {
+  const requestHeaders = { ...headers }
 
-  const normalizedBaseUrl = String(baseUrl || '').replace(/\/$/, '')
-  const requestHeaders = {
-    Authorization: `Basic ${toBase64(`${safeUsername}:${safePassword}`)}`,
-    ...headers,
+  if (accessToken) {
+    requestHeaders.Authorization = `Bearer ${accessToken}`
   }
 
   const requestInit = {
@@ -78,12 +65,182 @@ export async function adminApiRequest({
     requestInit.body = typeof body === 'string' ? body : JSON.stringify(body)
   }
 
-  const response = await fetch(`${normalizedBaseUrl}${path}`, requestInit)
+  const response = await fetch(`${normalizeBaseUrl(baseUrl)}${path}`, requestInit)
   const payload = await parseResponsePayload(response)
 
   if (!response.ok) {
-    throw new Error(parseErrorMessage(payload, response.status))
+    throw new AdminApiError(parseErrorMessage(payload, response.status), response.status)
   }
 
   return payload
 }
+
+// Un solo refresh a la vez: las llamadas concurrentes que reciben 401 esperan el mismo resultado.
+async function refreshAdminSession(baseUrl) {
+  if (!refreshInFlight) {
+    const { refreshToken } = getAdminSession()
+
+    refreshInFlight = (async () => {
+      if (!refreshToken) {
+        return false
+      }
+
+      try {
+        const session = await sendRequest({
+          baseUrl,
+          path: '/admin/session/refresh',
+          method: 'POST',
+          body: { refresh_token: refreshToken },
+        })
+        setAdminSession(session)
+        return true
+      } catch {
+        clearAdminSession()
+        return false
+      }
+    })().finally(() => {
+      refreshInFlight = null
+    })
+  }
+
+  return refreshInFlight
+}
+
+export async function loginAdminSession({ baseUrl, username, password }) {
+  const safeUsername = typeof username === 'string' ? username.trim() : ''
+  const safePassword = typeof password === 'string' ? password : ''
+
+  if (!safeUsername || !safePassword) {
+    throw new Error('Ingresa usuario y password de API.')
+  }
+
+  const session = await sendRequest({
+    baseUrl,
+    path: '/admin/session',
+    method: 'POST',
+    body: { username: safeUsername, password: safePassword },
+  })
+
+  setAdminSession(session)
+  return session.account ?? null
+}
+
+export async function logoutAdminSession({ baseUrl }) {
+  const { accessToken } = getAdminSession()
+
+  try {
+    if (accessToken) {
+      await sendRequest({ baseUrl, path: '/admin/session', method: 'DELETE', accessToken })
+    }
+  } catch {
+    // La sesion local se descarta aunque el servidor no responda.
+  } finally {
+    clearAdminSession()
+  }
+}
+
+export async function adminApiRequest({ baseUrl, path, ...options }) {
+  const { accessToken } = getAdminSession()
+
+  if (!accessToken) {
+    throw new AdminApiError('Inicia sesion en la API admin.', 401)
+  }
+
+  try {
+    return await sendRequest({ baseUrl, path, ...options, accessToken })
+  } catch (error) {
+    if (!(error instanceof AdminApiError) || error.status !== 401) {
+      throw error
+    }
+
+    const refreshed = await refreshAdminSession(baseUrl)
+    if (!refreshed) {
+      throw new AdminApiError('La sesion admin expiro. Inicia sesion nuevamente.', 401)
+    }
+
+    return sendRequest({ baseUrl, path, ...options, accessToken: getAdminSession().accessToken })
+  }
+}
+
+async function openStream({ baseUrl, path, method = 'POST', body, signal, accessToken }) {
+  const response = await fetch(`${normalizeBaseUrl(baseUrl)}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+  })
+
+  if (!response.ok) {
+    const payload = await parseResponsePayload(response)
+    throw new AdminApiError(parseErrorMessage(payload, response.status), response.status)
+  }
+
+  return response
+}
+
+// Lee una respuesta NDJSON (un evento JSON por linea) y entrega cada evento a `onEvent`.
+// Devuelve el ultimo evento; un evento `error` se convierte en AdminApiError.
+export async function adminApiStream({ baseUrl, path, onEvent = () => {}, ...options }) {
+  const { accessToken } = getAdminSession()
+
+  if (!accessToken) {
+    throw new AdminApiError('Inicia sesion en la API admin.', 401)
+  }
+
+  let response
+  try {
+    response = await openStream({ baseUrl, path, ...options, accessToken })
+  } catch (error) {
+    if (!(error instanceof AdminApiError) || error.status !== 401) {
+      throw error
+    }
+
+    const refreshed = await refreshAdminSession(baseUrl)
+    if (!refreshed) {
+      throw new AdminApiError('La sesion admin expiro. Inicia sesion nuevamente.', 401)
+    }
+
+    response = await openStream({
+      baseUrl,
+      path,
+      ...options,
+      accessToken: getAdminSession().accessToken,
+    })
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let lastEvent = null
+
+  const handleLine = (line) => {
+    if (!line.trim()) {
+      return
+    }
+
+    const event = JSON.parse(line)
+    lastEvent = event
+    if (event.type === 'error') {
+      throw new AdminApiError(parseErrorMessage(event, 500), 500)
+    }
+    onEvent(event)
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) {
+      break
+    }
+
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop() ?? ''
+    lines.forEach(handleLine)
+  }
+
+  handleLine(buffer + decoder.decode())
+  return lastEvent
+}
@@ -1,9 +1,11 @@
 import { computed, ref } from 'vue'
 
-const STORAGE_KEY = 'impulsa360.admin_api_auth.v1'
+const STORAGE_KEY = 'impulsa360.admin_api_session.v2'
+const LEGACY_STORAGE_KEY = 'impulsa360.admin_api_auth.v1'
 
-const username = ref('')
-const password = ref('')
+const accessToken = ref('')
+const refreshToken = ref('')
+const account = ref(null)
 let hydrated = false
 
 function canUseSessionStorage() {
@@ -27,8 +29,9 @@ function readFromStorage() {
     }
 
     return {
-      username: typeof parsed.username === 'string' ? parsed.username : '',
-      password: typeof parsed.password === 'string' ? parsed.password : '',
+      accessToken: typeof parsed.accessToken === 'string' ? parsed.accessToken : '',
+      refreshToken: typeof parsed.refreshToken === 'string' ? parsed.refreshToken : '',
+      account: parsed.account && typeof parsed.account === 'object' ? parsed.account : null,
     }
   } catch {
     return null
@@ -40,7 +43,7 @@ function persistToStorage() {
     return
   }
 
-  if (!username.value.trim() || !password.value) {
+  if (!accessToken.value || !refreshToken.value) {
     window.sessionStorage.removeItem(STORAGE_KEY)
     return
   }
@@ -48,8 +51,9 @@ function persistToStorage() {
   window.sessionStorage.setItem(
     STORAGE_KEY,
     JSON.stringify({
-      username: username.value,
-      password: password.value,
+      accessToken: accessToken.value,
+      refreshToken: refreshToken.value,
+      account: account.value,
     })
   )
 }
@@ -60,49 +64,71 @@ function hydrateOnce() {
   }
 
   hydrated = true
+
+  // Las versiones anteriores guardaban usuario y password en claro.
+  if (canUseSessionStorage()) {
+    window.sessionStorage.removeItem(LEGACY_STORAGE_KEY)
+  }
+
   const stored = readFromStorage()
   if (!stored) {
     return
   }
 
-  username.value = stored.username
-  password.value = stored.password
+  accessToken.value = stored.accessToken
+  refreshToken.value = stored.refreshToken
+  account.value = stored.account
 }
 
-function setCredentials(nextUsername, nextPassword) {
-  username.value = typeof nextUsername === 'string' ? nextUsername : ''
-  password.value = typeof nextPassword === 'string' ? nextPassword : ''
+export function getAdminSession() {
+  hydrateOnce()
+
+  return {
+    accessToken: accessToken.value,
+    refreshToken: refreshToken.value,
+    account: account.value,
+  }
+}
+
+export function setAdminSession(session) {
+  hydrateOnce()
+
+  accessToken.value = typeof session?.access_token === 'string' ? session.access_token : ''
+  refreshToken.value = typeof session?.refresh_token === 'string' ? session.refresh_token : ''
+  account.value = session?.account && typeof session.account === 'object' ? session.account : null
   persistToStorage()
 }
 
-function clearCredentials() {
-  username.value = ''
-  password.value = ''
+export function clearAdminSession() {
+  accessToken.value = ''
+  refreshToken.value = ''
+  account.value = null
   persistToStorage()
 }
 
-function refreshCredentials() {
+function refreshFromStorage() {
   const stored = readFromStorage()
   if (!stored) {
-    clearCredentials()
+    clearAdminSession()
     return
   }
 
-  username.value = stored.username
-  password.value = stored.password
+  accessToken.value = stored.accessToken
+  refreshToken.value = stored.refreshToken
+  account.value = stored.account
 }
 
 export function useAdminApiAuth() {
   hydrateOnce()
 
-  const hasCredentials = computed(() => Boolean(username.value.trim() && password.value))
+  const hasSession = computed(() => Boolean(accessToken.value && refreshToken.value))
+  const role = computed(() => account.value?.role ?? null)
 
   return {
-    username,
-    password,
-    hasCredentials,
-    setCredentials,
-    clearCredentials,
-    refreshCredentials,
+    account,
+    role,
+    hasSession,
+    clearSession: clearAdminSession,
+    refreshFromStorage,
   }
 }
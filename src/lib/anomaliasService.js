@@ -0,0 +1,41 @@
+import { buildActivacionesQuery } from './activacionesService'
+
+// Patrones que busca la API, en el orden en que se muestran.
+export const ANOMALIA_TIPOS = Object.freeze({
+  ci_repetido: { label: 'CI repetido' },
+  telefono_repetido: { label: 'Telefono repetido' },
+  coordenadas_repetidas: { label: 'Mismo punto en minutos' },
+  foto_repetida: { label: 'Foto reutilizada' },
+})
+
+export const ANOMALIA_ESTADOS = Object.freeze({
+  pendiente: { label: 'Pendiente', tone: 'scope-pill-warning' },
+  confirmada: { label: 'Confirmada', tone: 'scope-pill-danger' },
+  descartada: { label: 'Descartada', tone: 'scope-pill-all' },
+})
+
+export async function fetchAnomalias(requestAdmin, params = {}) {
+  const result = await requestAdmin(`/admin/anomalies${buildActivacionesQuery(params)}`)
+
+  return {
+    ultimaRevision: result?.ultima_revision ?? null,
+    resumen: result?.resumen ?? {},
+    total: Number(result?.total) || 0,
+    anomalias: result?.anomalias ?? [],
+    relacionadas: result?.relacionadas ?? {},
+  }
+}
+
+export async function buscarAnomalias(requestAdmin) {
+  return requestAdmin('/admin/anomalies/scan', { method: 'POST' })
+}
+
+// `revision`: `{ estado, nota }`; sin `nota` se conserva la anterior.
+export async function revisarAnomalia(requestAdmin, anomaliaId, revision) {
+  const result = await requestAdmin(`/admin/anomalies/${encodeURIComponent(anomaliaId)}`, {
+    method: 'PATCH',
+    body: revision,
+  })
+
+  return result?.anomalia ?? null
+}
@@ -0,0 +1,26 @@
+export async function fetchNormalizacionPropuestas(requestAdmin) {
+  const result = await requestAdmin('/admin/data-quality/proposals')
+
+  return {
+    scanned: result?.scanned ?? 0,
+    mappings: result?.mappings ?? [],
+  }
+}
+
+export async function aplicarNormalizaciones(requestAdmin, mappings) {
+  return requestAdmin('/admin/data-quality/apply', {
+    method: 'POST',
+    body: { mappings },
+  })
+}
+
+export async function fetchNormalizacionLotes(requestAdmin) {
+  const result = await requestAdmin('/admin/data-quality/batches')
+  return result?.batches ?? []
+}
+
+export async function deshacerNormalizacion(requestAdmin, batchId) {
+  return requestAdmin(`/admin/data-quality/batches/${encodeURIComponent(batchId)}/undo`, {
+    method: 'POST',
+  })
+}
@@ -0,0 +1,29 @@
+import { buildActivacionesQuery } from './activacionesService'
+
+// Estados de `getFotoRevisionEstado`, en el orden del filtro de la tabla.
+export const FOTO_REVISION_ETIQUETAS = Object.freeze({
+  sin_foto: { label: 'Sin foto', tone: 'scope-pill-all' },
+  pendiente: { label: 'Pendiente', tone: 'scope-pill-warning' },
+  aprobada: { label: 'Aprobada', tone: 'scope-pill-user' },
+  rechazada: { label: 'Rechazada', tone: 'scope-pill-danger' },
+})
+
+export async function fetchMetricasFotos(requestAdmin, filtros = {}) {
+  const result = await requestAdmin(`/admin/photo-reviews/metrics${buildActivacionesQuery(filtros)}`)
+
+  return {
+    resumen: result?.resumen ?? {},
+    impulsadores: result?.impulsadores ?? [],
+    motivos: result?.motivos ?? [],
+  }
+}
+
+// `revision`: `{ estado: 'aprobada' | 'rechazada' | 'pendiente', motivo }`.
+export async function revisarFoto(requestAdmin, activacionId, revision) {
+  const result = await requestAdmin(
+    `/admin/activaciones/${encodeURIComponent(activacionId)}/photo-review`,
+    { method: 'PATCH', body: revision }
+  )
+
+  return result?.activacion ?? null
+}
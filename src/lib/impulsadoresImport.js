@@ -0,0 +1,178 @@
+import { csvEscape } from '../../shared/activacionesExport.js'
+
+export const IMPORT_COLUMNAS = ['email', 'password', 'nombre', 'plaza']
+
+// Encabezados aceptados por columna (sin tildes ni mayusculas).
+const ALIAS_COLUMNAS = {
+  email: ['email', 'correo', 'correo electronico', 'e-mail'],
+  password: ['password', 'contrasena', 'clave'],
+  nombre: ['nombre', 'nombre completo', 'impulsador'],
+  plaza: ['plaza', 'ciudad'],
+}
+
+function normalizarEncabezado(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+}
+
+function resolverColumnas(encabezados) {
+  const indices = {}
+
+  for (const [columna, alias] of Object.entries(ALIAS_COLUMNAS)) {
+    const index = encabezados.findIndex((encabezado) =>
+      alias.includes(normalizarEncabezado(encabezado))
+    )
+    if (index >= 0) {
+      indices[columna] = index
+    }
+  }
+
+  const faltantes = ['email', 'nombre'].filter((columna) => !(columna in indices))
+  if (faltantes.length) {
+    throw new Error(`Faltan columnas en el archivo: ${faltantes.join(', ')}.`)
+  }
+
+  return indices
+}
+
+// Parser CSV con comillas dobles; detecta `,` o `;` (Excel en espanol exporta con `;`).
+function parseCsv(texto) {
+  const contenido = texto.replace(/^\uFEFF/, '')
+  const primeraLinea = contenido.split(/\r?\n/, 1)[0] ?? ''
+  const separador =
+    (primeraLinea.match(/;/g) ?? []).length > (primeraLinea.match(/,/g) ?? []).length ? ';' : ','
+  const filas = []
+  let fila = []
+  let celda = ''
+  let entreComillas = false
+
+  for (let index = 0; index < contenido.length; index += 1) {
+    const caracter = contenido[index]
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[index + 1] === '"') {
+        celda += '"'
+        index += 1
+      } else if (caracter === '"') {
+        entreComillas = false
+      } else {
+        celda += caracter
+      }
+      continue
+    }
+
+    if (caracter === '"') {
+      entreComillas = true
+    } else if (caracter === separador) {
+      fila.push(celda)
+      celda = ''
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[index + 1] === '\n') {
+        index += 1
+      }
+      fila.push(celda)
+      filas.push(fila)
+      fila = []
+      celda = ''
+    } else {
+      celda += caracter
+    }
+  }
+
+  if (celda || fila.length) {
+    fila.push(celda)
+    filas.push(fila)
+  }
+
+  return filas
+}
+
+async function parseXlsx(buffer) {
+  const { default: ExcelJS } = await import('exceljs')
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) {
+    return []
+  }
+
+  const filas = []
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const valores = []
+    for (let columna = 1; columna <= worksheet.columnCount; columna += 1) {
+      valores.push(row.getCell(columna).text ?? '')
+    }
+    filas[rowNumber - 1] = valores
+  })
+
+  return Array.from(filas, (fila) => fila ?? [])
+}
+
+// Devuelve `[{ fila, email, password, nombre, plaza }]`; `fila` es el numero de linea en el archivo.
+export async function parseImpulsadoresFile(file) {
+  const nombreArchivo = String(file?.name ?? '').toLowerCase()
+  let filas
+
+  if (nombreArchivo.endsWith('.xlsx')) {
+    filas = await parseXlsx(await file.arrayBuffer())
+  } else if (nombreArchivo.endsWith('.csv')) {
+    filas = parseCsv(await file.text())
+  } else {
+    throw new Error('Formato no soportado. Usa un archivo .csv o .xlsx.')
+  }
+
+  const [encabezados = [], ...datos] = filas
+  const indices = resolverColumnas(encabezados)
+
+  return datos
+    .map((valores, posicion) => {
+      const registro = { fila: posicion + 2 }
+      for (const columna of IMPORT_COLUMNAS) {
+        const index = indices[columna]
+        registro[columna] = index === undefined ? '' : String(valores[index] ?? '')
+      }
+      return registro
+    })
+    .filter((registro) => IMPORT_COLUMNAS.some((columna) => registro[columna].trim()))
+}
+
+// `password` vacio crea el usuario por invitacion.
+export function buildImportTemplateCsv() {
+  return `${IMPORT_COLUMNAS.join(',')}\nimpulsador@correo.com,,Nombre Apellido,La Paz\n`
+}
+
+// Reporte de resultados sin contrasenas; incluye el enlace de invitacion de cada alta.
+export function buildImportReportCsv(results) {
+  const encabezados = [
+    'fila',
+    'email',
+    'nombre',
+    'plaza',
+    'acceso',
+    'estado',
+    'usuario_id',
+    'enlace_invitacion',
+    'error',
+  ]
+  const lineas = results.map((result) =>
+    [
+      result.fila,
+      result.email,
+      result.nombre,
+      result.plaza,
+      result.mode,
+      result.status,
+      result.usuario_id,
+      result.invite_link,
+      result.error,
+    ]
+      .map(csvEscape)
+      .join(',')
+  )
+
+  return `\uFEFF${[encabezados.join(','), ...lineas].join('\n')}`
+}
@@ -0,0 +1,7 @@
+import { buildActivacionesQuery } from './activacionesService'
+
+export async function fetchImpulsadorPerfil(requestAdmin, usuarioId, { desde, hasta } = {}) {
+  return requestAdmin(
+    `/admin/users/${encodeURIComponent(usuarioId)}/profile${buildActivacionesQuery({ desde, hasta })}`
+  )
+}
@@ -0,0 +1,87 @@
+import { EMBUDO_PASOS } from '../../shared/activacionesMetricas.js'
+import { buildActivacionesQuery } from './activacionesService'
+
+// Zoom de la grilla de cobertura: celdas de unos 450 m de lado.
+export const COBERTURA_ZOOM = 14
+
+// Areas urbanas para revisar cobertura. El limite entre La Paz y El Alto sigue la ceja.
+export const MAPA_ZONAS = Object.freeze([
+  { value: 'la_paz', label: 'La Paz', norte: -16.47, sur: -16.56, este: -68.05, oeste: -68.16 },
+  { value: 'el_alto', label: 'El Alto', norte: -16.44, sur: -16.57, este: -68.14, oeste: -68.26 },
+])
+
+const ETAPA_COLORES = ['#ff8a00', '#f2c230', '#9bcf3c', '#0fa968', '#2d9bd8', '#1769ff', '#8c57d1']
+
+// Etapa de una activacion = ultimo paso del embudo cumplido junto con todos los anteriores.
+export const MAPA_ETAPAS = Object.freeze([
+  { label: 'Sin descarga', color: '#8a97a6' },
+  ...EMBUDO_PASOS.map((paso, index) => ({ label: paso.label, color: ETAPA_COLORES[index] })),
+])
+
+export const MAPA_COLORES_ERROR = Object.freeze([
+  { label: 'Sin errores', color: '#0fa968', hasta: 0 },
+  { label: 'Hasta 25% con error', color: '#ff8a00', hasta: 25 },
+  { label: 'Mas de 25% con error', color: '#d64545', hasta: 100 },
+])
+
+function etapaPredominante(celda) {
+  return (celda.etapas ?? []).reduce(
+    (mejor, conteo, index, etapas) => (conteo > etapas[mejor] ? index : mejor),
+    0
+  )
+}
+
+// Color de un grupo: su etapa mas frecuente o el porcentaje de activaciones con error.
+export function colorCelda(celda, modo) {
+  if (modo === 'error') {
+    const porcentaje = celda.total ? (celda.hubo_error / celda.total) * 100 : 0
+    return MAPA_COLORES_ERROR.find((item) => porcentaje <= item.hasta).color
+  }
+  return MAPA_ETAPAS[etapaPredominante(celda)]?.color ?? MAPA_ETAPAS[0].color
+}
+
+// Todos los cuadros de la grilla de la API (`celda` grados) que tocan `area`, con su conteo;
+// los que quedan en 0 son huecos de cobertura.
+export function buildGrillaCobertura(celdas, { celda, area }) {
+  if (!celda || !area) {
+    return []
+  }
+
+  const conteos = new Map(celdas.map((item) => [`${item.fila}:${item.columna}`, item.total]))
+  const cuadros = []
+
+  for (let fila = Math.floor(area.sur / celda); fila <= Math.floor(area.norte / celda); fila += 1) {
+    for (
+      let columna = Math.floor(area.oeste / celda);
+      columna <= Math.floor(area.este / celda);
+      columna += 1
+    ) {
+      const key = `${fila}:${columna}`
+      cuadros.push({
+        key,
+        sur: fila * celda,
+        norte: (fila + 1) * celda,
+        oeste: columna * celda,
+        este: (columna + 1) * celda,
+        total: conteos.get(key) ?? 0,
+      })
+    }
+  }
+
+  return cuadros
+}
+
+// Grilla de celdas del area visible (`zoom`, `norte`, `sur`, `este`, `oeste`) con los filtros de
+// Metricas. `opciones: true` agrega las opciones de los filtros.
+export async function fetchMapaActivaciones(requestAdmin, params = {}) {
+  const result = await requestAdmin(`/admin/map${buildActivacionesQuery(params)}`)
+
+  return {
+    celda: Number(result?.celda) || null,
+    total: Number(result?.total) || 0,
+    sinCoordenadas: Number(result?.sin_coordenadas) || 0,
+    extension: result?.extension ?? null,
+    celdas: result?.celdas ?? [],
+    opciones: result?.opciones ?? null,
+  }
+}
@@ -0,0 +1,56 @@
+// Mapas con tiles de OpenStreetMap (o `VITE_MAP_TILE_URL`) sin libreria de mapas: las
+// coordenadas se proyectan a pixeles Web Mercator del zoom indicado.
+export const TILE_SIZE = 256
+
+const tileUrlTemplate =
+  import.meta.env.VITE_MAP_TILE_URL ?? 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+
+export function proyectar(lat, lon, zoom) {
+  const escala = TILE_SIZE * 2 ** zoom
+  const latRad = (lat * Math.PI) / 180
+  return {
+    x: ((lon + 180) / 360) * escala,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * escala,
+  }
+}
+
+export function desproyectar(x, y, zoom) {
+  const escala = TILE_SIZE * 2 ** zoom
+  const n = Math.PI - (2 * Math.PI * y) / escala
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lon: (x / escala) * 360 - 180,
+  }
+}
+
+// Tiles alrededor de `centro` (pixeles del zoom), `rangoX`/`rangoY` tiles a cada lado.
+// `left`/`top` son relativos al centro del contenedor.
+export function buildTiles({ zoom, centro, rangoX, rangoY }) {
+  const maxTile = 2 ** zoom
+  const tileCentroX = Math.floor(centro.x / TILE_SIZE)
+  const tileCentroY = Math.floor(centro.y / TILE_SIZE)
+  const items = []
+
+  for (let dy = -rangoY; dy <= rangoY; dy += 1) {
+    for (let dx = -rangoX; dx <= rangoX; dx += 1) {
+      const x = tileCentroX + dx
+      const y = tileCentroY + dy
+      if (y < 0 || y >= maxTile) {
+        continue
+      }
+
+      const xNormalizado = ((x % maxTile) + maxTile) % maxTile
+      items.push({
+        key: `${zoom}-${x}-${y}`,
+        url: tileUrlTemplate
+          .replace('{z}', String(zoom))
+          .replace('{x}', String(xNormalizado))
+          .replace('{y}', String(y)),
+        left: x * TILE_SIZE - centro.x,
+        top: y * TILE_SIZE - centro.y,
+      })
+    }
+  }
+
+  return items
+}
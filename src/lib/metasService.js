@@ -0,0 +1,33 @@
+import { buildActivacionesQuery } from './activacionesService'
+
+// Etiqueta y clase de cada estado que calcula la API para una meta.
+export const META_ESTADOS = Object.freeze({
+  cumplida: { label: 'Cumplida', tone: 'scope-pill-user' },
+  en_ritmo: { label: 'En ritmo', tone: 'scope-pill-all' },
+  pendiente: { label: 'Pendiente', tone: 'scope-pill-all' },
+  atrasada: { label: 'Atrasada', tone: 'scope-pill-warning' },
+  no_cumplida: { label: 'No cumplida', tone: 'scope-pill-danger' },
+})
+
+export async function fetchMetas(requestAdmin, { fecha, periodo } = {}) {
+  const result = await requestAdmin(`/admin/goals${buildActivacionesQuery({ fecha, periodo })}`)
+
+  return {
+    fecha: result?.fecha ?? null,
+    periodos: result?.periodos ?? {},
+    metas: result?.metas ?? [],
+  }
+}
+
+export async function saveMeta(requestAdmin, metaId, payload) {
+  const result = await requestAdmin(
+    metaId ? `/admin/goals/${encodeURIComponent(metaId)}` : '/admin/goals',
+    { method: metaId ? 'PATCH' : 'POST', body: payload }
+  )
+
+  return result?.meta ?? null
+}
+
+export async function deleteMeta(requestAdmin, metaId) {
+  await requestAdmin(`/admin/goals/${encodeURIComponent(metaId)}`, { method: 'DELETE' })
+}
@@ -0,0 +1,82 @@
+import { buildActivacionesQuery } from './activacionesService'
+
+export async function fetchPlazasCatalogo(requestAdmin) {
+  const result = await requestAdmin('/admin/plazas')
+
+  return {
+    plazas: result?.plazas ?? [],
+    sinCatalogo: result?.sin_catalogo ?? [],
+  }
+}
+
+export async function savePlaza(requestAdmin, plazaId, payload) {
+  const result = await requestAdmin(
+    plazaId ? `/admin/plazas/${encodeURIComponent(plazaId)}` : '/admin/plazas',
+    { method: plazaId ? 'PATCH' : 'POST', body: payload }
+  )
+
+  return result?.plaza ?? null
+}
+
+export async function deletePlaza(requestAdmin, plazaId) {
+  await requestAdmin(`/admin/plazas/${encodeURIComponent(plazaId)}`, { method: 'DELETE' })
+}
+
+export async function saveDistrito(requestAdmin, { plazaId, distritoId }, payload) {
+  const result = await requestAdmin(
+    distritoId
+      ? `/admin/distritos/${encodeURIComponent(distritoId)}`
+      : `/admin/plazas/${encodeURIComponent(plazaId)}/distritos`,
+    { method: distritoId ? 'PATCH' : 'POST', body: payload }
+  )
+
+  return result?.distrito ?? null
+}
+
+export async function deleteDistrito(requestAdmin, distritoId) {
+  await requestAdmin(`/admin/distritos/${encodeURIComponent(distritoId)}`, { method: 'DELETE' })
+}
+
+function geocercaPath({ tipo, id }) {
+  return `/admin/${tipo === 'distrito' ? 'distritos' : 'plazas'}/${encodeURIComponent(id)}/geofence`
+}
+
+export async function fetchGeocercas(requestAdmin) {
+  const result = await requestAdmin('/admin/geofences')
+
+  return {
+    geocercas: result?.geocercas ?? [],
+    ultimaRevision: result?.ultima_revision ?? null,
+  }
+}
+
+// `destino`: `{ tipo: 'plaza' | 'distrito', id }`; `geojson` ya normalizado o el texto del archivo.
+export async function saveGeocerca(requestAdmin, destino, geojson) {
+  const result = await requestAdmin(geocercaPath(destino), {
+    method: 'PUT',
+    body: { geojson },
+  })
+
+  return result?.geocerca ?? null
+}
+
+export async function deleteGeocerca(requestAdmin, destino) {
+  await requestAdmin(geocercaPath(destino), { method: 'DELETE' })
+}
+
+export async function revisarGeocercas(requestAdmin) {
+  return requestAdmin('/admin/geofences/check', { method: 'POST' })
+}
+
+export async function fetchReporteGeocercas(requestAdmin, params = {}) {
+  const result = await requestAdmin(`/admin/geofences/report${buildActivacionesQuery(params)}`)
+
+  return {
+    ultimaRevision: result?.ultima_revision ?? null,
+    pendientes: result?.pendientes ?? null,
+    total: Number(result?.total) || 0,
+    resumen: result?.resumen ?? { plaza: 0, distrito: 0 },
+    cruces: result?.cruces ?? [],
+    activaciones: result?.activaciones ?? [],
+  }
+}
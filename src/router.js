@@ -6,18 +6,54 @@ const routes = [
     path: '/activaciones',
     component: () => import('./pages/ActivacionesPage.vue'),
   },
+  {
+    path: '/activaciones/:id',
+    component: () => import('./pages/ActivacionDetallePage.vue'),
+  },
   {
     path: '/impulsadores',
     component: () => import('./pages/ImpulsadoresPage.vue'),
   },
+  {
+    path: '/impulsadores/:usuarioId',
+    component: () => import('./pages/ImpulsadorPerfilPage.vue'),
+  },
   {
     path: '/metricas',
     component: () => import('./components/MetricsDashboard.vue'),
   },
+  {
+    path: '/mapa',
+    component: () => import('./components/MapaActivaciones.vue'),
+  },
+  {
+    path: '/metas',
+    component: () => import('./components/Metas.vue'),
+  },
   {
     path: '/usuarios',
     component: () => import('./components/Usuarios.vue'),
   },
+  {
+    path: '/plazas',
+    component: () => import('./components/PlazasCatalogo.vue'),
+  },
+  {
+    path: '/geocercas',
+    component: () => import('./components/Geocercas.vue'),
+  },
+  {
+    path: '/calidad-datos',
+    component: () => import('./components/CalidadDatos.vue'),
+  },
+  {
+    path: '/anomalias',
+    component: () => import('./components/Anomalias.vue'),
+  },
+  {
+    path: '/revision-fotos',
+    component: () => import('./components/RevisionFotos.vue'),
+  },
   {
     path: '/notificaciones',
     component: () => import('./components/Notificaciones.vue'),
@@ -26,6 +62,14 @@ const routes = [
     path: '/capacidad',
     component: () => import('./components/Capacidad.vue'),
   },
+  {
+    path: '/cuentas',
+    component: () => import('./components/CuentasAdmin.vue'),
+  },
+  {
+    path: '/auditoria',
+    component: () => import('./components/Auditoria.vue'),
+  },
 ]
 
 export const router = createRouter({
@@ -0,0 +1,41 @@
+-- Ejecutar en Supabase SQL Editor (despues de activaciones_papelera.sql)
+-- Cola de revision de duplicados y posibles fraudes. La API (service_role) busca los patrones,
+-- calcula el puntaje de cada activacion y guarda aqui las sospechosas; un supervisor las
+-- confirma o descarta desde la web.
+
+create extension if not exists pgcrypto;
+
+-- Huella (sha256) de la foto de cada activacion, para no descargar el bucket en cada revision.
+-- `sha256` queda en null si la foto no se pudo descargar; se reintenta en la siguiente.
+create table if not exists public.activaciones_fotos_huella (
+  activacion_id uuid primary key references public.activaciones(id) on delete cascade,
+  foto_url text not null,
+  sha256 text null,
+  calculada_at timestamptz not null default now()
+);
+
+create index if not exists idx_activaciones_fotos_huella_sha256
+  on public.activaciones_fotos_huella (sha256)
+  where sha256 is not null;
+
+create table if not exists public.activaciones_anomalias (
+  id uuid primary key default gen_random_uuid(),
+  activacion_id uuid not null unique references public.activaciones(id) on delete cascade,
+  puntaje integer not null check (puntaje between 0 and 100),
+  -- [{ tipo, puntaje, valor, total, relacionadas: [uuid] }]
+  motivos jsonb not null default '[]'::jsonb,
+  estado text not null default 'pendiente'
+    check (estado in ('pendiente', 'confirmada', 'descartada')),
+  nota text null check (char_length(nota) <= 500),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  revisada_at timestamptz null,
+  revisada_por text null
+);
+
+create index if not exists idx_activaciones_anomalias_estado_puntaje
+  on public.activaciones_anomalias (estado, puntaje desc);
+
+-- Solo el backend (service_role) accede a estas tablas.
+alter table public.activaciones_fotos_huella enable row level security;
+alter table public.activaciones_anomalias enable row level security;
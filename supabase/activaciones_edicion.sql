@@ -0,0 +1,17 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_audit_log.sql)
+-- Correcciones desde la web admin: guarda quien y cuando edito por ultima vez cada activacion.
+-- El detalle campo por campo queda en admin_audit_log (accion activaciones.update).
+
+alter table public.activaciones
+  add column if not exists updated_at timestamptz null,
+  add column if not exists updated_by text null;
+
+-- Historial de una activacion: las acciones masivas guardan sus ids en `details.results`.
+create index if not exists idx_admin_audit_log_bulk_details
+  on public.admin_audit_log using gin (details jsonb_path_ops)
+  where action in (
+    'activaciones.bulk_delete',
+    'activaciones.bulk_restore',
+    'activaciones.bulk_purge',
+    'activaciones.bulk_reassign'
+  );
@@ -0,0 +1,129 @@
+-- Ejecutar en Supabase SQL Editor (despues de activaciones_metricas.sql)
+-- Revision de cumplimiento de fotos: cada activacion guarda si su foto fue aprobada o rechazada
+-- (con motivo), quien la reviso y cuando. Sin `foto_revision`, una activacion con foto esta
+-- pendiente. Vuelve a ejecutar activaciones_pii.sql para que anon pueda leer las columnas nuevas.
+
+alter table public.activaciones
+  add column if not exists foto_revision text null
+    check (foto_revision in ('aprobada', 'rechazada')),
+  add column if not exists foto_revision_motivo text null
+    check (char_length(foto_revision_motivo) <= 300),
+  add column if not exists foto_revisada_at timestamptz null,
+  add column if not exists foto_revisada_por text null;
+
+-- Cola de revision: fotos pendientes, las mas antiguas primero.
+create index if not exists idx_activaciones_foto_pendiente
+  on public.activaciones (created_at)
+  where foto_revision is null and foto_url is not null and deleted_at is null;
+
+create index if not exists idx_activaciones_foto_revision
+  on public.activaciones (foto_revision)
+  where foto_revision is not null;
+
+-- Si la app reemplaza la foto, la revision anterior ya no aplica.
+create or replace function public.activaciones_reiniciar_revision_foto()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.foto_url is distinct from old.foto_url then
+    new.foto_revision := null;
+    new.foto_revision_motivo := null;
+    new.foto_revisada_at := null;
+    new.foto_revisada_por := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_activaciones_reiniciar_revision_foto on public.activaciones;
+create trigger trg_activaciones_reiniciar_revision_foto
+  before update of foto_url on public.activaciones
+  for each row
+  execute function public.activaciones_reiniciar_revision_foto();
+
+-- Metricas de la revision por impulsador (GET /admin/photo-reviews/metrics), con los filtros de
+-- fecha y plaza del listado de activaciones. Las activaciones en papelera no cuentan.
+create or replace function public.get_activaciones_fotos_revision(
+  p_desde date default null,
+  p_hasta date default null,
+  p_plaza_terms text[] default null
+)
+returns jsonb
+language sql
+stable
+set search_path = public, pg_catalog
+as $$
+  with filtradas as (
+    select
+      nullif(btrim(a.impulsador), '') as impulsador,
+      nullif(btrim(a.foto_url), '') is not null as con_foto,
+      a.foto_revision,
+      a.foto_revision_motivo
+    from public.activaciones a
+    where a.deleted_at is null
+      and (p_desde is null or a.fecha_activacion::date >= p_desde)
+      and (p_hasta is null or a.fecha_activacion::date <= p_hasta)
+      and (
+        p_plaza_terms is null
+        or exists (
+          select 1 from unnest(p_plaza_terms) t
+          where coalesce(a.ciudad_activacion, a.plaza)
+            ilike public.activaciones_metricas_patron(t)
+        )
+      )
+  ),
+  conteos as (
+    select
+      impulsador,
+      count(*) as total,
+      count(*) filter (where not con_foto) as sin_foto,
+      count(*) filter (where con_foto and foto_revision is null) as pendientes,
+      count(*) filter (where con_foto and foto_revision = 'aprobada') as aprobadas,
+      count(*) filter (where con_foto and foto_revision = 'rechazada') as rechazadas
+    from filtradas
+    group by impulsador
+  )
+  select jsonb_build_object(
+    'resumen', (
+      select jsonb_build_object(
+        'total', coalesce(sum(total), 0),
+        'sin_foto', coalesce(sum(sin_foto), 0),
+        'pendientes', coalesce(sum(pendientes), 0),
+        'aprobadas', coalesce(sum(aprobadas), 0),
+        'rechazadas', coalesce(sum(rechazadas), 0)
+      )
+      from conteos
+    ),
+    'impulsadores', coalesce((
+      select jsonb_agg(
+        jsonb_build_object(
+          'impulsador', impulsador,
+          'total', total,
+          'sin_foto', sin_foto,
+          'pendientes', pendientes,
+          'aprobadas', aprobadas,
+          'rechazadas', rechazadas
+        )
+        order by total desc, impulsador
+      )
+      from conteos
+    ), '[]'::jsonb),
+    'motivos', coalesce((
+      select jsonb_agg(
+        jsonb_build_object('motivo', motivo, 'conteo', conteo)
+        order by conteo desc, motivo
+      )
+      from (
+        select foto_revision_motivo as motivo, count(*) as conteo
+        from filtradas
+        where con_foto and foto_revision = 'rechazada' and foto_revision_motivo is not null
+        group by foto_revision_motivo
+      ) m
+    ), '[]'::jsonb)
+  );
+$$;
+
+-- Solo el backend (service_role) la usa.
+revoke execute on function public.get_activaciones_fotos_revision(date, date, text[])
+  from public, anon, authenticated;
@@ -0,0 +1,169 @@
+-- Ejecutar en Supabase SQL Editor (despues de activaciones_metricas.sql)
+-- Agregados de la pagina Mapa. La API admin (GET /admin/map) pide una grilla de celdas de
+-- `p_celda` grados dentro del area visible; la web dibuja cada celda como grupo o como calor,
+-- sin descargar coordenadas sueltas. Los filtros son los mismos de get_activaciones_metricas.
+-- Coordenadas fuera de rango o en (0, 0) (GPS sin fijar) cuentan como sin coordenadas.
+
+create or replace function public.get_activaciones_mapa(
+  p_celda double precision,
+  p_norte double precision,
+  p_sur double precision,
+  p_este double precision,
+  p_oeste double precision,
+  p_desde date default null,
+  p_hasta date default null,
+  p_plaza_terms text[] default null,
+  p_distrito_terms text[] default null,
+  p_impulsador text default null,
+  p_tipo text default null,
+  p_opciones boolean default false
+)
+returns jsonb
+language sql
+stable
+set search_path = public, pg_catalog
+as $$
+  with vigentes as (
+    select
+      a.id,
+      a.fecha_activacion::date as fecha,
+      coalesce(a.ciudad_activacion, a.plaza) as plaza,
+      a.zona_activacion as distrito,
+      nullif(btrim(a.impulsador), '') as impulsador,
+      nullif(btrim(a.tipo_activacion), '') as tipo,
+      case
+        when a.latitud between -90 and 90
+          and a.longitud between -180 and 180
+          and not (a.latitud = 0 and a.longitud = 0)
+        then a.latitud::double precision
+      end as lat,
+      a.longitud::double precision as lon,
+      -- Ultimo paso del embudo cumplido junto con todos los anteriores (0 = ninguno).
+      case
+        when a.descargo_app is not true then 0
+        when a.registro is not true then 1
+        when a.cash_in is not true then 2
+        when a.cash_out is not true then 3
+        when a.p2p is not true then 4
+        when a.qr_fisico is not true then 5
+        when a.respaldo is not true then 6
+        else 7
+      end as etapa,
+      a.hubo_error is true as hubo_error
+    from public.activaciones a
+    where a.deleted_at is null
+  ),
+  filtradas as (
+    select v.*
+    from vigentes v
+    where (
+        p_plaza_terms is null
+        or exists (
+          select 1 from unnest(p_plaza_terms) t
+          where v.plaza ilike public.activaciones_metricas_patron(t)
+        )
+      )
+      and (
+        p_distrito_terms is null
+        or exists (
+          select 1 from unnest(p_distrito_terms) t
+          where v.distrito ilike public.activaciones_metricas_patron(t)
+        )
+      )
+      and (
+        p_impulsador is null
+        or v.impulsador ilike public.activaciones_metricas_patron(p_impulsador)
+      )
+      and (p_tipo is null or v.tipo ilike public.activaciones_metricas_patron(p_tipo))
+      and (p_desde is null or v.fecha >= p_desde)
+      and (p_hasta is null or v.fecha <= p_hasta)
+  ),
+  visibles as (
+    select
+      f.*,
+      floor(f.lat / p_celda)::integer as fila,
+      floor(f.lon / p_celda)::integer as columna
+    from filtradas f
+    where f.lat between p_sur and p_norte
+      and f.lon between p_oeste and p_este
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtradas),
+    'sin_coordenadas', (select count(*) from filtradas where lat is null),
+    -- Extension de todas las coordenadas filtradas, para encuadrar el mapa.
+    'extension', (
+      select jsonb_build_object(
+        'norte', max(lat),
+        'sur', min(lat),
+        'este', max(lon),
+        'oeste', min(lon)
+      )
+      from filtradas
+      where lat is not null
+    ),
+    'celdas', coalesce((
+      select jsonb_agg(
+        jsonb_build_object(
+          'fila', fila,
+          'columna', columna,
+          'lat', lat,
+          'lon', lon,
+          'total', total,
+          'etapas', etapas,
+          'hubo_error', hubo_error,
+          'activacion_id', activacion_id
+        )
+      )
+      from (
+        select
+          fila,
+          columna,
+          avg(lat) as lat,
+          avg(lon) as lon,
+          count(*) as total,
+          jsonb_build_array(
+            count(*) filter (where etapa = 0),
+            count(*) filter (where etapa = 1),
+            count(*) filter (where etapa = 2),
+            count(*) filter (where etapa = 3),
+            count(*) filter (where etapa = 4),
+            count(*) filter (where etapa = 5),
+            count(*) filter (where etapa = 6),
+            count(*) filter (where etapa = 7)
+          ) as etapas,
+          count(*) filter (where hubo_error) as hubo_error,
+          -- Una celda con una sola activacion se abre en su detalle.
+          case when count(*) = 1 then min(id::text) end as activacion_id
+        from visibles
+        group by fila, columna
+      ) c
+    ), '[]'::jsonb),
+    -- Opciones de los filtros, sobre todas las activaciones vigentes; solo si se piden.
+    'opciones', case when p_opciones then jsonb_build_object(
+      'plazas_distritos', coalesce((
+        select jsonb_agg(jsonb_build_object('plaza', plaza, 'distrito', distrito))
+        from (select distinct plaza, distrito from vigentes) o
+      ), '[]'::jsonb),
+      'tipos', coalesce((
+        select jsonb_agg(tipo order by tipo)
+        from (select distinct tipo from vigentes where tipo is not null) o
+      ), '[]'::jsonb)
+    ) end
+  );
+$$;
+
+-- Solo el backend (service_role) la usa.
+revoke execute on function public.get_activaciones_mapa(
+  double precision,
+  double precision,
+  double precision,
+  double precision,
+  double precision,
+  date,
+  date,
+  text[],
+  text[],
+  text,
+  text,
+  boolean
+) from public, anon, authenticated;
@@ -0,0 +1,191 @@
+-- Ejecutar en Supabase SQL Editor (despues de activaciones_papelera.sql)
+-- Agregados del panel de Metricas. La API admin (GET /admin/metrics) llama a esta funcion en
+-- lugar de descargar todas las activaciones: la base agrega y a la web solo llegan conteos,
+-- sin importar cuantas filas tenga la tabla. Los filtros replican los del listado de
+-- activaciones: texto parcial sin distinguir mayusculas y plaza con ciudad_activacion o, si
+-- falta, plaza.
+
+create or replace function public.activaciones_metricas_patron(p_texto text)
+returns text
+language sql
+immutable
+as $$
+  select '%' || replace(replace(replace(p_texto, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+$$;
+
+create or replace function public.get_activaciones_metricas(
+  p_desde date default null,
+  p_hasta date default null,
+  p_plaza_terms text[] default null,
+  p_distrito_terms text[] default null,
+  p_impulsador text default null,
+  p_tipo text default null
+)
+returns jsonb
+language sql
+stable
+set search_path = public, pg_catalog
+as $$
+  with vigentes as (
+    select
+      a.fecha_activacion::date as fecha,
+      coalesce(a.ciudad_activacion, a.plaza) as plaza,
+      a.zona_activacion as distrito,
+      nullif(btrim(a.impulsador), '') as impulsador,
+      nullif(btrim(a.tipo_activacion), '') as tipo,
+      a.descargo_app is true as descargo_app,
+      a.registro is true as registro,
+      a.cash_in is true as cash_in,
+      a.cash_out is true as cash_out,
+      a.p2p is true as p2p,
+      a.qr_fisico is true as qr_fisico,
+      a.respaldo is true as respaldo,
+      a.hubo_error is true as hubo_error
+    from public.activaciones a
+    where a.deleted_at is null
+  ),
+  -- Todos los filtros menos el rango: la comparacion de periodos mira fuera del rango.
+  sin_rango as (
+    select v.*
+    from vigentes v
+    where (
+        p_plaza_terms is null
+        or exists (
+          select 1 from unnest(p_plaza_terms) t
+          where v.plaza ilike public.activaciones_metricas_patron(t)
+        )
+      )
+      and (
+        p_distrito_terms is null
+        or exists (
+          select 1 from unnest(p_distrito_terms) t
+          where v.distrito ilike public.activaciones_metricas_patron(t)
+        )
+      )
+      and (
+        p_impulsador is null
+        or v.impulsador ilike public.activaciones_metricas_patron(p_impulsador)
+      )
+      and (p_tipo is null or v.tipo ilike public.activaciones_metricas_patron(p_tipo))
+  ),
+  filtradas as (
+    select s.*
+    from sin_rango s
+    where (p_desde is null or s.fecha >= p_desde)
+      and (p_hasta is null or s.fecha <= p_hasta)
+  )
+  select jsonb_build_object(
+    'total_general', (select count(*) from vigentes),
+    'resumen', (
+      select jsonb_build_object(
+        'total', count(*),
+        'impulsadores', count(distinct impulsador),
+        'fecha_min', to_char(min(fecha), 'YYYY-MM-DD'),
+        'fecha_max', to_char(max(fecha), 'YYYY-MM-DD'),
+        'indicadores', jsonb_build_object(
+          'descargo_app', count(*) filter (where descargo_app),
+          'registro', count(*) filter (where registro),
+          'cash_in', count(*) filter (where cash_in),
+          'cash_out', count(*) filter (where cash_out),
+          'p2p', count(*) filter (where p2p),
+          'qr_fisico', count(*) filter (where qr_fisico),
+          'respaldo', count(*) filter (where respaldo),
+          'hubo_error', count(*) filter (where hubo_error)
+        ),
+        -- Cada paso del embudo exige tambien todos los anteriores.
+        'embudo', jsonb_build_array(
+          count(*) filter (where descargo_app),
+          count(*) filter (where descargo_app and registro),
+          count(*) filter (where descargo_app and registro and cash_in),
+          count(*) filter (where descargo_app and registro and cash_in and cash_out),
+          count(*) filter (where descargo_app and registro and cash_in and cash_out and p2p),
+          count(*) filter (
+            where descargo_app and registro and cash_in and cash_out and p2p and qr_fisico
+          ),
+          count(*) filter (
+            where descargo_app and registro and cash_in and cash_out and p2p and qr_fisico
+              and respaldo
+          )
+        )
+      )
+      from filtradas
+    ),
+    -- Valores tal cual estan guardados; la API los agrupa por nombre canonico del catalogo.
+    'plazas_distritos', coalesce((
+      select jsonb_agg(jsonb_build_object('plaza', plaza, 'distrito', distrito, 'conteo', conteo))
+      from (
+        select plaza, distrito, count(*) as conteo
+        from filtradas
+        group by plaza, distrito
+      ) g
+    ), '[]'::jsonb),
+    'impulsadores', coalesce((
+      select jsonb_agg(
+        jsonb_build_object('valor', impulsador, 'conteo', conteo)
+        order by conteo desc, impulsador
+      )
+      from (
+        select impulsador, count(*) as conteo
+        from filtradas
+        where impulsador is not null
+        group by impulsador
+        order by conteo desc, impulsador
+        limit 5
+      ) g
+    ), '[]'::jsonb),
+    'tipos', coalesce((
+      select jsonb_agg(
+        jsonb_build_object('valor', tipo, 'conteo', conteo)
+        order by conteo desc, tipo
+      )
+      from (
+        select tipo, count(*) as conteo
+        from filtradas
+        where tipo is not null
+        group by tipo
+        order by conteo desc, tipo
+        limit 5
+      ) g
+    ), '[]'::jsonb),
+    'por_dia', coalesce((
+      select jsonb_agg(
+        jsonb_build_object(
+          'fecha', to_char(fecha, 'YYYY-MM-DD'),
+          'total', total,
+          'descargo_app', descargo_app,
+          'registro', registro,
+          'cash_in', cash_in,
+          'hubo_error', hubo_error
+        )
+        order by fecha
+      )
+      from (
+        select
+          fecha,
+          count(*) as total,
+          count(*) filter (where descargo_app) as descargo_app,
+          count(*) filter (where registro) as registro,
+          count(*) filter (where cash_in) as cash_in,
+          count(*) filter (where hubo_error) as hubo_error
+        from sin_rango
+        where fecha is not null
+        group by fecha
+      ) d
+    ), '[]'::jsonb),
+    -- Opciones de los filtros, sobre todas las activaciones vigentes.
+    'opciones', jsonb_build_object(
+      'plazas_distritos', coalesce((
+        select jsonb_agg(jsonb_build_object('plaza', plaza, 'distrito', distrito))
+        from (select distinct plaza, distrito from vigentes) o
+      ), '[]'::jsonb),
+      'tipos', coalesce((
+        select jsonb_agg(tipo order by tipo)
+        from (select distinct tipo from vigentes where tipo is not null) o
+      ), '[]'::jsonb)
+    )
+  );
+$$;
+
+-- Solo el backend (service_role) la usa.
+revoke execute on function public.get_activaciones_metricas(date, date, text[], text[], text, text)
+  from public, anon, authenticated;
@@ -0,0 +1,30 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_accounts.sql y activaciones_edicion.sql)
+-- Lotes de normalizacion de datos historicos. Cada lote guarda los ids que cambio por mapeo
+-- para poder deshacerlo desde la web.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.activaciones_normalizaciones (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  account_id uuid null references public.admin_accounts(id) on delete set null,
+  username text not null,
+  status text not null default 'running' check (status in ('running', 'applied', 'error', 'undone')),
+  -- [{ field, from, to, ids: [uuid] }]
+  cambios jsonb not null default '[]'::jsonb,
+  total_rows integer not null default 0,
+  error_message text null,
+  undone_at timestamptz null,
+  undone_by text null,
+  undone_rows integer null
+);
+
+create index if not exists idx_activaciones_normalizaciones_created_at
+  on public.activaciones_normalizaciones (created_at desc);
+
+-- Historial de una activacion: lotes cuyo `cambios` contiene su id.
+create index if not exists idx_activaciones_normalizaciones_cambios
+  on public.activaciones_normalizaciones using gin (cambios jsonb_path_ops);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.activaciones_normalizaciones enable row level security;
@@ -0,0 +1,45 @@
+-- Ejecutar en Supabase SQL Editor
+-- Valores permitidos para tipo_activacion, tipo_comercio y tamano_tienda al corregir una
+-- activacion desde la web. Un campo sin opciones acepta texto libre. Las opciones se agregan o
+-- quitan desde este editor; cada ejecucion agrega los valores que ya usan las activaciones.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.activaciones_opciones (
+  id uuid primary key default gen_random_uuid(),
+  campo text not null check (campo in ('tipo_activacion', 'tipo_comercio', 'tamano_tienda')),
+  valor text not null check (char_length(trim(valor)) between 1 and 80),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_activaciones_opciones_campo_valor
+  on public.activaciones_opciones (campo, lower(valor));
+
+-- Por cada valor (sin distinguir mayusculas) se guarda la escritura mas usada.
+insert into public.activaciones_opciones (campo, valor)
+select distinct on (campo, lower(valor)) campo, valor
+from (
+  select v.campo, btrim(v.valor) as valor, count(*) as usos
+  from public.activaciones a
+  cross join lateral (
+    values
+      ('tipo_activacion', a.tipo_activacion),
+      ('tipo_comercio', a.tipo_comercio),
+      ('tamano_tienda', a.tamano_tienda)
+  ) as v(campo, valor)
+  where a.deleted_at is null
+    and nullif(btrim(v.valor), '') is not null
+    and char_length(btrim(v.valor)) <= 80
+  group by v.campo, btrim(v.valor)
+) usados
+order by campo, lower(valor), usos desc
+on conflict do nothing;
+
+alter table public.activaciones_opciones enable row level security;
+
+drop policy if exists activaciones_opciones_select_all on public.activaciones_opciones;
+create policy activaciones_opciones_select_all
+  on public.activaciones_opciones
+  for select
+  to anon, authenticated
+  using (true);
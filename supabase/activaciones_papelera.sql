@@ -0,0 +1,11 @@
+-- Ejecutar en Supabase SQL Editor
+-- Papelera de activaciones: el borrado desde la web marca deleted_at y la purga definitiva
+-- (registro + foto) ocurre al vencer la retencion (ADMIN_ACTIVACIONES_RETENTION_DAYS).
+
+alter table public.activaciones
+  add column if not exists deleted_at timestamptz null,
+  add column if not exists deleted_by text null;
+
+create index if not exists idx_activaciones_deleted_at
+  on public.activaciones (deleted_at)
+  where deleted_at is not null;
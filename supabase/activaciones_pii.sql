@@ -0,0 +1,25 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_export_jobs.sql)
+-- Datos personales del cliente en activaciones: la clave anon ya no puede leer CI, telefono
+-- ni email. El portal los recibe enmascarados desde la API admin (service_role).
+
+-- Permisos por columna para anon: todo excepto ci_cliente, telefono_cliente y email_cliente.
+-- Si agregas columnas nuevas a activaciones, agregalas aqui para que anon pueda leerlas.
+do $$
+declare
+  allowed_columns text;
+begin
+  select string_agg(quote_ident(column_name), ', ' order by ordinal_position)
+    into allowed_columns
+  from information_schema.columns
+  where table_schema = 'public'
+    and table_name = 'activaciones'
+    and column_name not in ('ci_cliente', 'telefono_cliente', 'email_cliente');
+
+  execute 'revoke select on public.activaciones from anon';
+  execute format('grant select (%s) on public.activaciones to anon', allowed_columns);
+end
+$$;
+
+-- Exportaciones generadas con los datos del cliente sin enmascarar.
+alter table public.admin_export_jobs
+  add column if not exists pii_revealed boolean not null default false;
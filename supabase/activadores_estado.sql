@@ -0,0 +1,36 @@
+-- Ejecutar en Supabase SQL Editor
+-- Suspension de impulsadores: la web marca activo = false y banea el usuario en Auth en lugar
+-- de borrarlo, para conservar el nombre en el historial de activaciones.
+
+alter table public.activadores
+  add column if not exists activo boolean not null default true,
+  add column if not exists suspendido_at timestamptz null,
+  add column if not exists suspendido_por text null,
+  add column if not exists motivo_suspension text null;
+
+create index if not exists idx_activadores_activo
+  on public.activadores (activo)
+  where activo = false;
+
+-- Cierra las sesiones abiertas del impulsador al suspenderlo. El baneo impide iniciar sesion y
+-- renovar el token; borrar sus sesiones (y con ellas los refresh tokens) lo desconecta de la app.
+-- Devuelve cuantas sesiones se cerraron.
+create or replace function public.cerrar_sesiones_impulsador(p_usuario_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = auth, pg_catalog
+as $$
+declare
+  cerradas integer;
+begin
+  delete from auth.refresh_tokens where user_id = p_usuario_id::text;
+  delete from auth.sessions where user_id = p_usuario_id;
+  get diagnostics cerradas = row_count;
+  return cerradas;
+end;
+$$;
+
+-- Solo el backend (service_role) la usa.
+revoke execute on function public.cerrar_sesiones_impulsador(uuid)
+  from public, anon, authenticated;
@@ -0,0 +1,22 @@
+-- Ejecutar en Supabase SQL Editor
+-- Cuentas nominales para la API admin (reemplaza el usuario Basic compartido)
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_accounts (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique check (username ~ '^[a-z0-9._-]{3,40}$'),
+  nombre text not null check (char_length(trim(nombre)) > 0),
+  password_hash text not null,
+  role text not null check (role in ('viewer', 'supervisor', 'superadmin')),
+  activo boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  last_login_at timestamptz null
+);
+
+create index if not exists idx_admin_accounts_role
+  on public.admin_accounts (role);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.admin_accounts enable row level security;
@@ -0,0 +1,39 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_accounts.sql)
+-- Bitacora de auditoria de la API admin: quien hizo que, sobre que registro y con que resultado
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  actor_account_id uuid null references public.admin_accounts(id) on delete set null,
+  actor_username text null,
+  actor_role text null,
+  session_id uuid null,
+  action text not null,
+  target_type text null,
+  target_id text null,
+  outcome text not null check (outcome in ('success', 'denied', 'rejected', 'error')),
+  status_code integer null,
+  error_message text null,
+  before jsonb null,
+  after jsonb null,
+  details jsonb null,
+  ip text null,
+  user_agent text null
+);
+
+create index if not exists idx_admin_audit_log_created_at
+  on public.admin_audit_log (created_at desc);
+
+create index if not exists idx_admin_audit_log_action
+  on public.admin_audit_log (action, created_at desc);
+
+create index if not exists idx_admin_audit_log_actor
+  on public.admin_audit_log (actor_username, created_at desc);
+
+create index if not exists idx_admin_audit_log_target
+  on public.admin_audit_log (target_type, target_id);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.admin_audit_log enable row level security;
@@ -0,0 +1,37 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_accounts.sql)
+-- Exportaciones de activaciones generadas en la API admin (CSV/XLSX con fotos)
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_export_jobs (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  finished_at timestamptz null,
+  expires_at timestamptz not null,
+  account_id uuid null references public.admin_accounts(id) on delete set null,
+  username text not null,
+  format text not null check (format in ('csv', 'xlsx')),
+  include_photos boolean not null default false,
+  filters jsonb null,
+  status text not null default 'running' check (status in ('running', 'done', 'error')),
+  total_rows integer not null default 0,
+  photos_embedded integer not null default 0,
+  photos_failed integer not null default 0,
+  file_path text null,
+  file_size_bytes bigint null,
+  error_message text null
+);
+
+create index if not exists idx_admin_export_jobs_username
+  on public.admin_export_jobs (username, created_at desc);
+
+create index if not exists idx_admin_export_jobs_expires_at
+  on public.admin_export_jobs (expires_at);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.admin_export_jobs enable row level security;
+
+-- Bucket privado para los archivos; se descargan con URL firmada de corta duracion.
+insert into storage.buckets (id, name, public)
+values ('exportaciones', 'exportaciones', false)
+on conflict (id) do nothing;
@@ -0,0 +1,24 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_export_jobs.sql)
+-- Plantillas de exportacion por admin: columnas, encabezados, formato Si/No o 1/0 y datos personales
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_export_templates (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  account_id uuid null references public.admin_accounts(id) on delete cascade,
+  username text not null,
+  nombre text not null,
+  config jsonb not null
+);
+
+create unique index if not exists idx_admin_export_templates_username_nombre
+  on public.admin_export_templates (username, lower(nombre));
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.admin_export_templates enable row level security;
+
+-- Nombre de la plantilla usada en cada exportacion (null = columnas completas).
+alter table public.admin_export_jobs
+  add column if not exists template_nombre text null;
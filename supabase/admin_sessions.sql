@@ -0,0 +1,27 @@
+-- Ejecutar en Supabase SQL Editor (despues de admin_accounts.sql)
+-- Sesiones de la API admin: refresh tokens (solo hash) y revocacion
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.admin_sessions (
+  id uuid primary key default gen_random_uuid(),
+  account_id uuid null references public.admin_accounts(id) on delete cascade,
+  username text not null,
+  refresh_token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  last_refreshed_at timestamptz null,
+  revoked_at timestamptz null,
+  ip text null,
+  user_agent text null
+);
+
+create index if not exists idx_admin_sessions_account
+  on public.admin_sessions (account_id)
+  where revoked_at is null;
+
+create index if not exists idx_admin_sessions_expires_at
+  on public.admin_sessions (expires_at);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.admin_sessions enable row level security;
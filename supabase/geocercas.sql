@@ -0,0 +1,31 @@
+-- Ejecutar en Supabase SQL Editor (despues de plazas_catalogo.sql)
+-- Geocercas de plazas y distritos, y la alerta que deja la revision en cada activacion. La API
+-- (service_role) guarda los poligonos como geometria GeoJSON MultiPolygon y hace la revision;
+-- la base solo almacena el resultado para filtrar la tabla.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.geocercas (
+  id uuid primary key default gen_random_uuid(),
+  plaza_id uuid null unique references public.plazas(id) on delete cascade,
+  distrito_id uuid null unique references public.distritos(id) on delete cascade,
+  geojson jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by text not null,
+  check ((plaza_id is null) <> (distrito_id is null))
+);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.geocercas enable row level security;
+
+-- `plaza`: el GPS cae fuera de la plaza declarada; `distrito`: dentro de la plaza pero fuera del
+-- distrito. `geocerca_detalle` nombra la plaza o distrito donde cae, si alguna geocerca lo tiene.
+alter table public.activaciones
+  add column if not exists geocerca_alerta text null
+    check (geocerca_alerta in ('plaza', 'distrito')),
+  add column if not exists geocerca_detalle text null;
+
+create index if not exists idx_activaciones_geocerca_alerta
+  on public.activaciones (geocerca_alerta)
+  where geocerca_alerta is not null;
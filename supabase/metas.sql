@@ -0,0 +1,66 @@
+-- Ejecutar en Supabase SQL Editor (despues de plazas_catalogo.sql y activaciones_papelera.sql)
+-- Metas de activaciones y de tasa de registro por plaza o por impulsador, para una semana
+-- (desde el lunes) o un mes. `inicio` siempre es el primer dia del periodo.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.metas (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  created_by text not null,
+  updated_at timestamptz not null default now(),
+  updated_by text null,
+  alcance text not null check (alcance in ('plaza', 'impulsador')),
+  plaza_id uuid null references public.plazas(id) on delete cascade,
+  usuario_id uuid null,
+  periodo text not null check (periodo in ('semana', 'mes')),
+  inicio date not null,
+  meta_activaciones integer null check (meta_activaciones > 0),
+  meta_tasa_registro numeric(5, 2) null check (meta_tasa_registro > 0 and meta_tasa_registro <= 100),
+  check (
+    (alcance = 'plaza' and plaza_id is not null and usuario_id is null)
+    or (alcance = 'impulsador' and usuario_id is not null and plaza_id is null)
+  ),
+  check (meta_activaciones is not null or meta_tasa_registro is not null)
+);
+
+create unique index if not exists idx_metas_alcance_periodo
+  on public.metas (alcance, coalesce(plaza_id, usuario_id), periodo, inicio);
+
+create index if not exists idx_metas_periodo_inicio
+  on public.metas (periodo, inicio);
+
+-- Solo el backend (service_role) accede a esta tabla.
+alter table public.metas enable row level security;
+
+-- Conteos del rango por plaza (ciudad_activacion o, si falta, plaza) y usuario_id. La API los
+-- agrupa por plaza del catalogo o por impulsador segun la meta.
+create or replace function public.get_activaciones_avance_metas(p_desde date, p_hasta date)
+returns jsonb
+language sql
+stable
+set search_path = public, pg_catalog
+as $$
+  select coalesce(jsonb_agg(
+    jsonb_build_object(
+      'plaza', plaza,
+      'usuario_id', usuario_id,
+      'total', total,
+      'registro', registro
+    )
+  ), '[]'::jsonb)
+  from (
+    select
+      coalesce(a.ciudad_activacion, a.plaza) as plaza,
+      a.usuario_id,
+      count(*) as total,
+      count(*) filter (where a.registro is true) as registro
+    from public.activaciones a
+    where a.deleted_at is null
+      and a.fecha_activacion::date between p_desde and p_hasta
+    group by 1, 2
+  ) g;
+$$;
+
+revoke execute on function public.get_activaciones_avance_metas(date, date)
+  from public, anon, authenticated;
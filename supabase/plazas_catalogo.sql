@@ -0,0 +1,45 @@
+-- Ejecutar en Supabase SQL Editor
+-- Catalogo de plazas y distritos con alias. La web lo administra via API admin (service_role);
+-- la app movil y la web pueden leerlo con la clave anon para mostrar nombres canonicos.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.plazas (
+  id uuid primary key default gen_random_uuid(),
+  nombre text not null check (char_length(trim(nombre)) between 1 and 80),
+  alias text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_plazas_nombre
+  on public.plazas (lower(nombre));
+
+create table if not exists public.distritos (
+  id uuid primary key default gen_random_uuid(),
+  plaza_id uuid not null references public.plazas(id) on delete cascade,
+  nombre text not null check (char_length(trim(nombre)) between 1 and 80),
+  alias text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_distritos_plaza_nombre
+  on public.distritos (plaza_id, lower(nombre));
+
+alter table public.plazas enable row level security;
+alter table public.distritos enable row level security;
+
+drop policy if exists plazas_select_all on public.plazas;
+create policy plazas_select_all
+  on public.plazas
+  for select
+  to anon, authenticated
+  using (true);
+
+drop policy if exists distritos_select_all on public.distritos;
+create policy distritos_select_all
+  on public.distritos
+  for select
+  to anon, authenticated
+  using (true);